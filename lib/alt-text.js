@@ -0,0 +1,41 @@
+// Texto alternativo (acessibilidade) de cada imagem do post, enviado no campo `alt_text` dos
+// containers da Graph API (server.js). O card da notícia é descrito pelo chapéu, título e legenda
+// da foto escolhida; a publi usa o texto do patrocinador salvo junto com a imagem.
+const MAX_LENGTH = 1000;
+
+const PUBLICIDADE_PADRAO = 'Card publicitário do R10 Piauí.';
+
+const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+const withPeriod = (text) => (/[.!?…]$/.test(text) ? text : `${text}.`);
+
+// Espaços colapsados e no máximo MAX_LENGTH caracteres (corta na última palavra inteira)
+function cleanAltText(text) {
+  const t = clean(text);
+  if (t.length <= MAX_LENGTH) return t;
+  const cut = t.slice(0, MAX_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Descrição do card da notícia para leitores de tela.
+ * @param {{ chapeu?: string, title: string, foto?: { caption?: string } }} card
+ *   `foto.caption` é a legenda/alt da foto na matéria (lib/extractors); sem ela, só indica que há uma foto.
+ * @returns {string}
+ */
+function newsCardAltText({ chapeu, title, foto } = {}) {
+  const partes = ['Card de notícia do R10 Piauí.'];
+  const titulo = clean(title);
+  const etiqueta = clean(chapeu);
+  if (etiqueta && titulo) partes.push(`Com a etiqueta ${etiqueta}, o título diz: ${withPeriod(titulo)}`);
+  else if (titulo) partes.push(`O título diz: ${withPeriod(titulo)}`);
+  const legenda = clean(foto && foto.caption);
+  partes.push(legenda ? `Ao fundo, foto: ${withPeriod(legenda)}` : 'Ao fundo, foto da matéria.');
+  return cleanAltText(partes.join(' '));
+}
+
+// Texto da publi: o do patrocinador salvo na configuração, ou um genérico
+function publicityAltText(textoPatrocinador) {
+  return cleanAltText(textoPatrocinador) || PUBLICIDADE_PADRAO;
+}
+
+module.exports = { newsCardAltText, publicityAltText, cleanAltText, MAX_ALT_TEXT: MAX_LENGTH };
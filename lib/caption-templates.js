@@ -0,0 +1,111 @@
+// Modelos de legenda por editoria. O padrão fica em config/legendas.json; a versão editada na área
+// de configurações é gravada em PERSIST_DIR/legendas.json e passa a valer sem reiniciar.
+// A IA escreve só o {resumo}; a legenda final (com ou sem IA) sai sempre de renderCaption.
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'config', 'legendas.json');
+const PLACEHOLDERS = ['titulo', 'resumo', 'url', 'creditos', 'hashtags', 'chapeu', 'categoria', 'apoio'];
+const INVALID = 'TEMPLATE_INVALIDO';
+
+let cached = { file: null, mtimeMs: 0, data: null };
+
+const persistedPath = () => path.join(process.env.PERSIST_DIR || path.join(__dirname, '..', 'uploads'), 'legendas.json');
+
+function loadCaptionTemplates() {
+  const persisted = persistedPath();
+  const file = fs.existsSync(persisted) ? persisted : DEFAULT_PATH;
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (cached.data && cached.file === file && cached.mtimeMs === mtimeMs) return cached.data;
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    cached = { file, mtimeMs, data };
+    console.log(`📝 Modelos de legenda carregados: ${file}`);
+    return data;
+  } catch (e) {
+    console.log(`⚠️ Falha ao ler modelos de legenda (${file}): ${e.message}`);
+    return JSON.parse(fs.readFileSync(DEFAULT_PATH, 'utf8'));
+  }
+}
+
+// Modelo da editoria (ou o padrão), já com a chave efetivamente usada
+function templateFor(categoria) {
+  const data = loadCaptionTemplates();
+  const key = data.templates[categoria] ? categoria : data.padrao;
+  return { categoria: key, ...data.templates[key] };
+}
+
+/**
+ * Preenche o modelo. Linhas que tinham placeholders e ficaram vazias somem, e sobra no
+ * máximo uma linha em branco entre blocos.
+ * @param {string} modelo
+ * @param {{ titulo?: string, resumo?: string, url?: string, creditos?: string, hashtags?: string|string[],
+ *   chapeu?: string, categoria?: string, apoio?: string }} values
+ */
+function renderCaption(modelo, values = {}) {
+  const lines = String(modelo || '').replace(/\r/g, '').split('\n').map(line => {
+    if (!/\{\w+\}/.test(line)) return line;
+    const filled = line.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!PLACEHOLDERS.includes(name)) return match;
+      const value = values[name];
+      return Array.isArray(value) ? value.join(' ') : String(value || '').trim();
+    });
+    return filled.replace(/[^\p{L}\p{N}#@]/gu, '') ? filled.trimEnd() : null;
+  }).filter(line => line !== null);
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = INVALID;
+  return err;
+}
+
+// Valida e normaliza o que veio da tela de configurações
+function validateTemplates(data) {
+  if (!data || typeof data.templates !== 'object' || Array.isArray(data.templates)) throw invalid('Formato inválido: esperado { padrao, templates }');
+  const templates = {};
+  for (const [categoria, tpl] of Object.entries(data.templates)) {
+    const modelo = String((tpl && tpl.modelo) || '').replace(/\r/g, '').trim();
+    if (!modelo.includes('{titulo}')) throw invalid(`Modelo "${categoria}" precisa do placeholder {titulo}`);
+    const unknown = (modelo.match(/\{(\w+)\}/g) || []).map(p => p.slice(1, -1)).filter(p => !PLACEHOLDERS.includes(p));
+    if (unknown.length) throw invalid(`Modelo "${categoria}" tem placeholder desconhecido: {${unknown[0]}}`);
+    const hashtags = [].concat((tpl && tpl.hashtags) || [])
+      .map(h => String(h).trim().replace(/^#*/, '#').replace(/\s+/g, ''))
+      .filter(h => h.length > 1);
+    templates[categoria] = { modelo, hashtags };
+  }
+  const padrao = String(data.padrao || '');
+  if (!templates[padrao]) throw invalid(`Modelo padrão "${padrao}" não existe`);
+  return { padrao, templates };
+}
+
+function saveCaptionTemplates(data) {
+  const current = loadCaptionTemplates();
+  const normalized = validateTemplates(data);
+  const file = persistedPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ _comentario: current._comentario, ...normalized }, null, 2));
+  cached = { file: null, mtimeMs: 0, data: null };
+  console.log(`💾 Modelos de legenda salvos em ${file}`);
+  return loadCaptionTemplates();
+}
+
+// Volta ao config/legendas.json do repositório
+function resetCaptionTemplates() {
+  const file = persistedPath();
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+  cached = { file: null, mtimeMs: 0, data: null };
+  return loadCaptionTemplates();
+}
+
+module.exports = {
+  loadCaptionTemplates,
+  templateFor,
+  renderCaption,
+  validateTemplates,
+  saveCaptionTemplates,
+  resetCaptionTemplates,
+  PLACEHOLDERS,
+  TEMPLATE_INVALIDO: INVALID
+};
@@ -0,0 +1,132 @@
+// Detecção automática de editoria (categoria) a partir da própria matéria.
+// Sinais, em ordem de peso: segmento da URL, seção (article:section / JSON-LD articleSection),
+// breadcrumbs e regras de palavras-chave. O mapa fica em config/categorias.json e pode ser
+// substituído por CATEGORY_MAP_PATH ou por PERSIST_DIR/categorias.json.
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_MAP_PATH = path.join(__dirname, '..', 'config', 'categorias.json');
+
+let cached = { file: null, mtimeMs: 0, map: null };
+
+function resolveMapPath() {
+  if (process.env.CATEGORY_MAP_PATH) return process.env.CATEGORY_MAP_PATH;
+  const persistDir = process.env.PERSIST_DIR || path.join(__dirname, '..', 'uploads');
+  const persisted = path.join(persistDir, 'categorias.json');
+  return fs.existsSync(persisted) ? persisted : DEFAULT_MAP_PATH;
+}
+
+// Recarrega o arquivo apenas quando ele muda (permite editar o mapa sem reiniciar)
+function loadCategoryMap() {
+  const file = resolveMapPath();
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (cached.map && cached.file === file && cached.mtimeMs === mtimeMs) return cached.map;
+    const map = JSON.parse(fs.readFileSync(file, 'utf8'));
+    cached = { file, mtimeMs, map };
+    console.log(`🗂️ Mapa de categorias carregado: ${file}`);
+    return map;
+  } catch (e) {
+    console.log(`⚠️ Falha ao ler mapa de categorias (${file}): ${e.message}`);
+    if (file !== DEFAULT_MAP_PATH) {
+      return JSON.parse(fs.readFileSync(DEFAULT_MAP_PATH, 'utf8'));
+    }
+    return { padrao: 'geral', pesos: {}, categorias: {} };
+  }
+}
+
+const normalize = (s) => String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+const slugify = (s) => normalize(s).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Procura a categoria cujo segmento bate com algum dos valores informados.
+// A categoria padrão (geral) só vence quando nenhuma outra bate; `partial` aceita
+// rótulos compostos ("Caso de Polícia") comparando palavra a palavra.
+function matchSegments(values, categorias, padrao, partial = false) {
+  const slugs = values.map(v => ({ value: v, slug: slugify(v) })).filter(v => v.slug);
+  const entries = Object.entries(categorias);
+  const ordered = [...entries.filter(([c]) => c !== padrao), ...entries.filter(([c]) => c === padrao)];
+  for (const [categoria, regras] of ordered) {
+    for (const { value, slug } of slugs) {
+      const hit = (regras.segmentos || []).some(seg => slug === seg || (partial && slug.split('-').includes(seg)));
+      if (hit) return { categoria, valor: value };
+    }
+  }
+  return null;
+}
+
+function keywordScores(text, categorias) {
+  const nt = ` ${normalize(text)} `;
+  const scores = {};
+  for (const [categoria, regras] of Object.entries(categorias)) {
+    const hits = (regras.palavras || []).filter(p => {
+      const np = normalize(p).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return np && new RegExp(`[^a-z0-9]${np}[^a-z0-9]`).test(nt);
+    });
+    if (hits.length) scores[categoria] = hits;
+  }
+  return scores;
+}
+
+/**
+ * Infere a editoria da matéria.
+ * @param {{ url?: string, section?: string, breadcrumbs?: string[], title?: string, description?: string, keywords?: string[] }} article
+ * @returns {{ categoria: string, confianca: number, sinais: Array<{ fonte: string, categoria: string, valor: string, peso: number }> }}
+ */
+function detectCategory(article = {}) {
+  const map = loadCategoryMap();
+  const categorias = map.categorias || {};
+  const pesos = { url: 0.9, secao: 0.85, breadcrumb: 0.8, palavras: 0.6, ...(map.pesos || {}) };
+  const sinais = [];
+
+  // 1. Segmentos do caminho da URL (ex.: /noticias/policia/2025/...)
+  if (article.url) {
+    try {
+      const segments = new URL(article.url).pathname.split('/').filter(Boolean);
+      const hit = matchSegments(segments, categorias, map.padrao);
+      if (hit) sinais.push({ fonte: 'url', categoria: hit.categoria, valor: hit.valor, peso: pesos.url });
+    } catch {}
+  }
+
+  // 2. Seção declarada pela página
+  if (article.section) {
+    const hit = matchSegments(String(article.section).split(','), categorias, map.padrao, true);
+    if (hit) sinais.push({ fonte: 'secao', categoria: hit.categoria, valor: hit.valor, peso: pesos.secao });
+  }
+
+  // 3. Breadcrumbs (Início › Polícia › ...)
+  if (Array.isArray(article.breadcrumbs) && article.breadcrumbs.length) {
+    const hit = matchSegments(article.breadcrumbs, categorias, map.padrao, true);
+    if (hit) sinais.push({ fonte: 'breadcrumb', categoria: hit.categoria, valor: hit.valor, peso: pesos.breadcrumb });
+  }
+
+  // 4. Palavras-chave no título/descrição/tags: vence a categoria com mais ocorrências
+  const text = [article.title, article.description, ...(article.keywords || [])].filter(Boolean).join(' | ');
+  const scores = keywordScores(text, categorias);
+  const ranked = Object.entries(scores).sort((a, b) => b[1].length - a[1].length);
+  if (ranked.length) {
+    const [categoria, hits] = ranked[0];
+    const tie = ranked[1] && ranked[1][1].length === hits.length;
+    // Empate entre categorias: o sinal vale menos
+    const peso = Math.min(pesos.palavras, 0.3 + 0.1 * hits.length) * (tie ? 0.5 : 1);
+    sinais.push({ fonte: 'palavras', categoria, valor: hits.slice(0, 5).join(', '), peso: Number(peso.toFixed(2)) });
+  }
+
+  if (!sinais.length) {
+    return { categoria: map.padrao || 'geral', confianca: 0, sinais };
+  }
+
+  // Combinar sinais: sinais concordantes reforçam, discordantes diluem a confiança
+  const totals = {};
+  for (const s of sinais) totals[s.categoria] = (totals[s.categoria] || 0) + s.peso;
+  const [categoria, best] = Object.entries(totals).sort((a, b) => b[1] - a[1])[0];
+  const total = Object.values(totals).reduce((acc, v) => acc + v, 0);
+  const agreement = 1 - sinais
+    .filter(s => s.categoria === categoria)
+    .reduce((acc, s) => acc * (1 - s.peso), 1);
+  const confianca = Number((agreement * (best / total)).toFixed(2));
+
+  console.log(`🧭 Categoria detectada: ${categoria} (confiança ${confianca}) via ${sinais.map(s => s.fonte).join(', ')}`);
+  return { categoria, confianca, sinais };
+}
+
+module.exports = { detectCategory, loadCategoryMap };
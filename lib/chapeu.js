@@ -0,0 +1,191 @@
+// Regras do chapéu como dados: palavras proibidas, correções pt-PT -> pt-BR, chapéus permitidos e
+// mapeamento de termos do título para chapéu. O padrão fica em config/chapeus.json; a versão editada
+// na área de configurações é gravada em PERSIST_DIR/chapeus.json e passa a valer sem reiniciar.
+// A IA sugere o chapéu (server.js); resolveChapeu decide o que vale, com ou sem resposta da IA.
+const path = require('path');
+const fs = require('fs');
+const { compileTerms, fold } = require('./editorial-lint');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'config', 'chapeus.json');
+const INVALID = 'CHAPEU_INVALIDO';
+
+let cached = { file: null, mtimeMs: 0, rules: null };
+
+const persistedPath = () => path.join(process.env.PERSIST_DIR || path.join(__dirname, '..', 'uploads'), 'chapeus.json');
+const normalize = (s) => fold(s).toLowerCase().trim();
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Dados do arquivo -> regras prontas para uso (termos compilados, conjuntos sem acento)
+function compileChapeuRules(data) {
+  return {
+    data,
+    banned: new Set([...(data.genericos || []), ...(data.proibidos || [])].map(normalize)),
+    allowed: new Set((data.permitidos || []).map(normalize)),
+    corrections: Object.entries(data.correcoes || {}).map(([de, para]) => [new RegExp(`(?<![\\p{L}])${escapeRegex(de)}(?![\\p{L}])`, 'gu'), para]),
+    keywordRules: (data.regras || []).map(r => ({ chapeu: r.chapeu, match: compileTerms(r.termos) }))
+  };
+}
+
+function loadChapeuRules() {
+  const persisted = persistedPath();
+  const file = fs.existsSync(persisted) ? persisted : DEFAULT_PATH;
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (cached.rules && cached.file === file && cached.mtimeMs === mtimeMs) return cached.rules;
+    const rules = compileChapeuRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+    cached = { file, mtimeMs, rules };
+    console.log(`🏷️ Regras de chapéu carregadas: ${file}`);
+    return rules;
+  } catch (e) {
+    console.log(`⚠️ Falha ao ler regras de chapéu (${file}): ${e.message}`);
+    return compileChapeuRules(JSON.parse(fs.readFileSync(DEFAULT_PATH, 'utf8')));
+  }
+}
+
+// Palavras do título sem acento, caixa e pontuação nas pontas ("Piauí," = "piaui")
+const titleWordsOf = (title) => new Set(String(title || '').split(/\s+/).map(w => normalize(w).replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')).filter(Boolean));
+
+/**
+ * Chapéu pelas regras, sem IA: termos do título -> chapéu (primeiro as `aprendidas` com as
+ * correções dos editores, lib/editor-feedback.js); senão a primeira região que o título não cita;
+ * senão o padrão.
+ * @param {{ aprendidas?: { chapeu: string, termos: string[] }[] }} [options]
+ * @returns {{ chapeu: string, origem: 'aprendida'|'regra'|'regiao'|'padrao', termo?: string }}
+ */
+function chapeuFromTitle(title, rules = loadChapeuRules(), { aprendidas = [] } = {}) {
+  // Sem acento as posições não mudam (NFC): o termo sai com a grafia do título
+  const original = String(title || '').normalize('NFC');
+  const folded = fold(original);
+  const candidates = [
+    ...aprendidas.map(r => ({ chapeu: r.chapeu, match: compileTerms(r.termos), origem: 'aprendida' })),
+    ...rules.keywordRules.map(r => ({ ...r, origem: 'regra' }))
+  ];
+  for (const { chapeu, match, origem } of candidates) {
+    const m = match(folded);
+    if (m) return { chapeu, origem, termo: original.substr(m.index, m[0].length) };
+  }
+  const titleWords = titleWordsOf(title);
+  const regional = (rules.data.regionais || []).find(r => !titleWords.has(normalize(r.palavra)));
+  if (regional) return { chapeu: regional.chapeu, origem: 'regiao' };
+  return { chapeu: rules.data.padrao || 'ESPECIAL', origem: 'padrao' };
+}
+
+/**
+ * Limpa a sugestão da IA. Devolve `motivo` quando ela não pode ser usada.
+ * @returns {{ chapeu: string, motivo?: string }}
+ */
+function sanitizeChapeu(text, title, rules = loadChapeuRules()) {
+  const { data } = rules;
+  const titleWords = titleWordsOf(title);
+  let chapeu = String(text || '').replace(/["“”'’]/g, '').toUpperCase().trim()
+    .split(/\s+/).filter(Boolean).slice(0, data.maxPalavras || 2)
+    .filter(p => !titleWords.has(normalize(p)))
+    .join(' ').trim();
+  const maxChars = data.maxCaracteres || 18;
+  if (chapeu.length > maxChars) chapeu = chapeu.slice(0, maxChars).trim();
+  rules.corrections.forEach(([regex, para]) => { chapeu = chapeu.replace(regex, para); });
+  chapeu = chapeu.toUpperCase();
+
+  if (!chapeu) return { chapeu, motivo: 'vazio ou repetindo o título' };
+  if (rules.banned.has(normalize(chapeu))) return { chapeu, motivo: 'termo proibido' };
+  const titleTokens = new Set(String(title || '').split(/\s+/).map(w => w.toUpperCase()));
+  if (chapeu.split(/\s+/).some(t => t.length < 3 && !titleTokens.has(t))) return { chapeu, motivo: 'sigla curta fora do título' };
+  if (data.apenasPermitidos && !rules.allowed.has(normalize(chapeu))) return { chapeu, motivo: 'fora dos permitidos' };
+  return { chapeu };
+}
+
+/**
+ * Chapéu final a partir da resposta da IA (vazia quando ela falhou): a sugestão limpa, se válida,
+ * ou o das regras.
+ * @param {{ aprendidas?: object[] }} [options] ver chapeuFromTitle
+ * @returns {{ chapeu: string, origem: 'ia'|'aprendida'|'regra'|'regiao'|'padrao', sugestao?: string, motivo?: string, termo?: string }}
+ */
+function resolveChapeu(aiText, title, rules = loadChapeuRules(), options = {}) {
+  if (aiText) {
+    const { chapeu, motivo } = sanitizeChapeu(aiText, title, rules);
+    if (!motivo) return { chapeu, origem: 'ia' };
+    return { ...chapeuFromTitle(title, rules, options), sugestao: chapeu, motivo };
+  }
+  return chapeuFromTitle(title, rules, options);
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = INVALID;
+  return err;
+}
+
+const upperList = (list) => [...new Set([].concat(list || []).map(s => String(s).trim().toUpperCase()).filter(Boolean))];
+
+// Valida e normaliza o que veio da tela de configurações
+function validateChapeuRules(data) {
+  if (!data || typeof data !== 'object') throw invalid('Formato inválido: esperado um objeto com as regras');
+  const permitidos = upperList(data.permitidos);
+  const genericos = upperList(data.genericos);
+  const proibidos = upperList(data.proibidos);
+  const banned = new Set([...genericos, ...proibidos].map(normalize));
+  const conflito = permitidos.find(p => banned.has(normalize(p)));
+  if (conflito) throw invalid(`"${conflito}" está nos permitidos e nos proibidos`);
+
+  const correcoes = {};
+  Object.entries(data.correcoes || {}).forEach(([de, para]) => {
+    const from = String(de).trim().toUpperCase();
+    const to = String(para || '').trim().toUpperCase();
+    if (!from || !to) throw invalid(`Correção incompleta: "${de}"`);
+    correcoes[from] = to;
+  });
+
+  const regras = [].concat(data.regras || []).map((r, i) => {
+    const chapeu = String((r && r.chapeu) || '').trim().toUpperCase();
+    const termos = [].concat((r && r.termos) || []).map(t => String(t).trim()).filter(Boolean);
+    if (!chapeu || !termos.length) throw invalid(`Regra ${i + 1} precisa de chapéu e termos`);
+    if (banned.has(normalize(chapeu))) throw invalid(`Regra ${i + 1}: o chapéu "${chapeu}" está nos proibidos`);
+    return { chapeu, termos };
+  });
+
+  const regionais = [].concat(data.regionais || []).map((r, i) => {
+    const chapeu = String((r && r.chapeu) || '').trim().toUpperCase();
+    const palavra = String((r && r.palavra) || '').trim();
+    if (!chapeu || !palavra) throw invalid(`Região ${i + 1} precisa de chapéu e palavra`);
+    return { chapeu, palavra };
+  });
+
+  const maxPalavras = parseInt(data.maxPalavras, 10) || 2;
+  const maxCaracteres = parseInt(data.maxCaracteres, 10) || 18;
+  const padrao = String(data.padrao || 'ESPECIAL').trim().toUpperCase();
+  const longo = [...regras, ...regionais, { chapeu: padrao }].find(r => r.chapeu.length > maxCaracteres || r.chapeu.split(/\s+/).length > maxPalavras);
+  if (longo) throw invalid(`"${longo.chapeu}" passa de ${maxPalavras} palavras ou ${maxCaracteres} caracteres`);
+
+  return { maxPalavras, maxCaracteres, apenasPermitidos: !!data.apenasPermitidos, padrao, permitidos, genericos, proibidos, correcoes, regras, regionais };
+}
+
+function saveChapeuRules(data) {
+  const current = loadChapeuRules().data;
+  const normalized = validateChapeuRules(data);
+  const file = persistedPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ _comentario: current._comentario, ...normalized }, null, 2));
+  cached = { file: null, mtimeMs: 0, rules: null };
+  console.log(`💾 Regras de chapéu salvas em ${file}`);
+  return loadChapeuRules().data;
+}
+
+// Volta ao config/chapeus.json do repositório
+function resetChapeuRules() {
+  const file = persistedPath();
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+  cached = { file: null, mtimeMs: 0, rules: null };
+  return loadChapeuRules().data;
+}
+
+module.exports = {
+  loadChapeuRules,
+  compileChapeuRules,
+  validateChapeuRules,
+  saveChapeuRules,
+  resetChapeuRules,
+  chapeuFromTitle,
+  sanitizeChapeu,
+  resolveChapeu,
+  CHAPEU_INVALIDO: INVALID
+};
@@ -0,0 +1,120 @@
+// Armazenamento de rascunhos gerados automaticamente (monitor de feeds).
+// Tudo fica em <dir>/drafts.json + uma imagem PNG por rascunho; também guarda as URLs já vistas
+// para o monitor não reprocessar matérias.
+const path = require('path');
+const fs = require('fs-extra');
+
+const MAX_SEEN = 5000;
+// Formato dos ids gerados por add(): também é o nome do arquivo da imagem
+const DRAFT_ID = /^\d+-\d+$/;
+
+const isDraftId = (id) => DRAFT_ID.test(String(id));
+
+function createDraftStore(dir) {
+  const file = path.join(dir, 'drafts.json');
+  let state = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (state) return state;
+    try {
+      state = await fs.readJson(file);
+    } catch {
+      state = { drafts: [], seen: [] };
+    }
+    state.drafts = state.drafts || [];
+    state.seen = state.seen || [];
+    return state;
+  }
+
+  // Escritas em série para não corromper o JSON com chamadas concorrentes
+  function save() {
+    writing = writing.then(async () => {
+      await fs.ensureDir(dir);
+      const tmp = `${file}.tmp`;
+      await fs.writeJson(tmp, state, { spaces: 2 });
+      await fs.move(tmp, file, { overwrite: true });
+    }).catch(err => console.log('⚠️ Falha ao salvar rascunhos:', err.message));
+    return writing;
+  }
+
+  const imagePath = (id) => path.join(dir, `${id}.png`);
+
+  return {
+    async list({ status } = {}) {
+      const { drafts } = await load();
+      return drafts
+        .filter(d => !status || d.status === status)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    },
+
+    async get(id) {
+      const { drafts } = await load();
+      return drafts.find(d => d.id === id) || null;
+    },
+
+    async add(draft, imageBuffer) {
+      await load();
+      const id = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+      const entry = { status: 'pendente', ...draft, id, createdAt: new Date().toISOString(), hasImage: Boolean(imageBuffer) };
+      if (imageBuffer) {
+        await fs.ensureDir(dir);
+        await fs.writeFile(imagePath(id), imageBuffer);
+      }
+      state.drafts.push(entry);
+      await save();
+      return entry;
+    },
+
+    /**
+     * Troca de status só se o rascunho ainda estiver em `from` (conferência e troca sem espera no
+     * meio: duas aprovações simultâneas não passam as duas).
+     * @returns {Promise<object|null>} o rascunho atualizado ou null se não existe / status mudou
+     */
+    async transition(id, from, patch) {
+      await load();
+      const draft = state.drafts.find(d => d.id === id);
+      if (!draft || draft.status !== from) return null;
+      Object.assign(draft, patch, { updatedAt: new Date().toISOString() });
+      await save();
+      return draft;
+    },
+
+    async update(id, patch) {
+      await load();
+      const draft = state.drafts.find(d => d.id === id);
+      if (!draft) return null;
+      Object.assign(draft, patch, { updatedAt: new Date().toISOString() });
+      await save();
+      return draft;
+    },
+
+    async readImage(id) {
+      if (!isDraftId(id)) return null;
+      const p = imagePath(id);
+      return (await fs.pathExists(p)) ? fs.readFile(p) : null;
+    },
+
+    async removeImage(id) {
+      if (!isDraftId(id)) return null;
+      try { await fs.unlink(imagePath(id)); } catch {}
+      return this.update(id, { hasImage: false });
+    },
+
+    async hasSeen(url) {
+      const { seen } = await load();
+      return seen.includes(url);
+    },
+
+    async markSeen(urls) {
+      await load();
+      const fresh = [].concat(urls).filter(u => u && !state.seen.includes(u));
+      if (!fresh.length) return;
+      state.seen.push(...fresh);
+      if (state.seen.length > MAX_SEEN) state.seen = state.seen.slice(-MAX_SEEN);
+      await save();
+    }
+  };
+}
+
+module.exports = { createDraftStore, isDraftId };
@@ -0,0 +1,191 @@
+// Correções dos editores sobre as sugestões automáticas de chapéu e destaque.
+// Cada troca fica em <dir>/editor-feedback.json com o título e a sugestão original; as mais parecidas
+// com um título novo viram exemplos nos prompts, palavras recorrentes viram regras de chapéu para o
+// modo sem IA e as contagens por editoria alimentam o relatório da área de configurações.
+const path = require('path');
+const fs = require('fs-extra');
+const { fold } = require('./editorial-lint');
+
+const MAX_CORRECOES = 2000;
+// Regra aprendida: a palavra apareceu em pelo menos MIN_OCORRENCIAS títulos corrigidos para o
+// mesmo chapéu, e esse chapéu é pelo menos MIN_PROPORCAO das correções com a palavra
+const MIN_OCORRENCIAS = 2;
+const MIN_PROPORCAO = 0.75;
+
+const STOPWORDS = new Set(('para pela pelo pelas pelos entre sobre apos ante ate como mais menos muito muita ' +
+  'este esta esse essa isso aquele aquela seus suas dele dela deles delas onde quando porque quem qual ' +
+  'cada todo toda todos todas outro outra outros outras ainda tambem sera serao foram esta estao sao tem ' +
+  'diz dizem apos durante contra desde nesta neste nessa nesse anos dias hoje ontem amanha').split(' '));
+
+// Palavras de conteúdo do título (sem acento, caixa, números e palavras curtas/vazias)
+function titleTokens(title) {
+  return [...new Set(fold(String(title || '').normalize('NFC')).toLowerCase().split(/[^\p{L}]+/u)
+    .filter(w => w.length >= 4 && !STOPWORDS.has(w)))];
+}
+
+// Semelhança entre dois títulos (Jaccard das palavras de conteúdo)
+function similarity(a, b) {
+  const ta = new Set(titleTokens(a));
+  const tb = titleTokens(b);
+  const shared = tb.filter(w => ta.has(w)).length;
+  return shared ? shared / (ta.size + tb.length - shared) : 0;
+}
+
+const pickHighlight = ({ inicio, fim, texto }) => ({ inicio, fim, texto });
+
+const sameValue = (tipo, a, b) => tipo === 'chapeu'
+  ? fold(a).toUpperCase().trim() === fold(b).toUpperCase().trim()
+  : !!a && !!b && fold(a.texto).toLowerCase() === fold(b.texto).toLowerCase();
+
+/**
+ * Regras termo -> chapéu tiradas das correções (mesmo formato de config/chapeus.json).
+ * @param {object[]} correcoes
+ * @returns {{ chapeu: string, termos: string[] }[]}
+ */
+function learnChapeuRules(correcoes) {
+  const counts = new Map();
+  correcoes.filter(c => c.tipo === 'chapeu').forEach(c => {
+    titleTokens(c.titulo).forEach(w => {
+      if (!counts.has(w)) counts.set(w, new Map());
+      const byChapeu = counts.get(w);
+      byChapeu.set(c.escolhido, (byChapeu.get(c.escolhido) || 0) + 1);
+    });
+  });
+  const rules = new Map();
+  counts.forEach((byChapeu, termo) => {
+    const total = [...byChapeu.values()].reduce((a, b) => a + b, 0);
+    byChapeu.forEach((n, chapeu) => {
+      if (n < MIN_OCORRENCIAS || n / total < MIN_PROPORCAO) return;
+      if (!rules.has(chapeu)) rules.set(chapeu, []);
+      rules.get(chapeu).push({ termo, n });
+    });
+  });
+  return [...rules.entries()]
+    .map(([chapeu, termos]) => ({ chapeu, termos: termos.sort((a, b) => b.n - a.n).map(t => t.termo), peso: termos.reduce((a, t) => a + t.n, 0) }))
+    .sort((a, b) => b.peso - a.peso)
+    .map(({ chapeu, termos }) => ({ chapeu, termos }));
+}
+
+function createFeedbackStore(dir) {
+  const file = path.join(dir, 'editor-feedback.json');
+  let state = null;
+  let learned = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (state) return state;
+    try {
+      state = await fs.readJson(file);
+    } catch {
+      state = { correcoes: [], sugestoes: {} };
+    }
+    state.correcoes = state.correcoes || [];
+    state.sugestoes = state.sugestoes || {};
+    return state;
+  }
+
+  // Escritas em série para não corromper o JSON com chamadas concorrentes
+  function save() {
+    writing = writing.then(async () => {
+      await fs.ensureDir(dir);
+      const tmp = `${file}.tmp`;
+      await fs.writeJson(tmp, state, { spaces: 2 });
+      await fs.move(tmp, file, { overwrite: true });
+    }).catch(err => console.log('⚠️ Falha ao salvar correções dos editores:', err.message));
+    return writing;
+  }
+
+  const bucket = (categoria) => {
+    const key = categoria || 'geral';
+    if (!state.sugestoes[key]) state.sugestoes[key] = { chapeu: 0, destaque: 0 };
+    return state.sugestoes[key];
+  };
+
+  return {
+    // Card gerado com chapéu e/ou destaque automáticos (base do relatório)
+    async recordSuggestion({ categoria, chapeu = false, destaque = false }) {
+      await load();
+      const b = bucket(categoria);
+      if (chapeu) b.chapeu++;
+      if (destaque) b.destaque++;
+      await save();
+    },
+
+    /**
+     * Guarda a troca feita pelo editor. Uma por matéria (link, ou título sem link) e tipo: regerar de
+     * novo substitui a anterior, e voltar à sugestão apaga a correção.
+     * @param {{ tipo: 'chapeu'|'destaque', categoria?: string, titulo: string, url?: string, sugestao: any, escolhido: any }} correcao
+     *   No destaque, `sugestao`/`escolhido` são { inicio, fim, texto }.
+     * @returns {Promise<boolean>} se ficou registrada uma correção
+     */
+    async recordOverride({ tipo, categoria, titulo, url, sugestao, escolhido }) {
+      await load();
+      const key = (c) => c.url || fold(c.titulo).toLowerCase().trim();
+      const materia = key({ url, titulo });
+      state.correcoes = state.correcoes.filter(c => !(c.tipo === tipo && key(c) === materia));
+      learned = null;
+      if (sameValue(tipo, sugestao, escolhido)) {
+        await save();
+        return false;
+      }
+      state.correcoes.push({
+        em: new Date().toISOString(),
+        tipo,
+        categoria: categoria || 'geral',
+        titulo,
+        ...(url ? { url } : {}),
+        sugestao: tipo === 'chapeu' ? String(sugestao).toUpperCase().trim() : pickHighlight(sugestao),
+        escolhido: tipo === 'chapeu' ? String(escolhido).toUpperCase().trim() : pickHighlight(escolhido)
+      });
+      if (state.correcoes.length > MAX_CORRECOES) state.correcoes = state.correcoes.slice(-MAX_CORRECOES);
+      await save();
+      return true;
+    },
+
+    // Correções mais parecidas com o título (ao menos uma palavra em comum), as mais recentes no empate
+    async examples(tipo, titulo, limit = 4) {
+      await load();
+      return state.correcoes
+        .filter(c => c.tipo === tipo)
+        .map((c, i) => ({ c, i, score: similarity(titulo, c.titulo) }))
+        .filter(x => x.score > 0)
+        .sort((a, b) => b.score - a.score || b.i - a.i)
+        .slice(0, limit)
+        .map(x => x.c);
+    },
+
+    async learnedChapeuRules() {
+      await load();
+      if (!learned) learned = learnChapeuRules(state.correcoes);
+      return learned;
+    },
+
+    // Por editoria: quantas sugestões automáticas e quantas o editor trocou; e as trocas de chapéu mais comuns
+    async report() {
+      await load();
+      const categorias = new Set([...Object.keys(state.sugestoes), ...state.correcoes.map(c => c.categoria)]);
+      const porCategoria = [...categorias].sort().map(categoria => {
+        const sugeridos = state.sugestoes[categoria] || { chapeu: 0, destaque: 0 };
+        const linha = { categoria };
+        ['chapeu', 'destaque'].forEach(tipo => {
+          const corrigidos = state.correcoes.filter(c => c.categoria === categoria && c.tipo === tipo).length;
+          const total = Math.max(sugeridos[tipo] || 0, corrigidos);
+          linha[tipo] = { sugeridos: total, corrigidos, taxa: total ? Math.round((corrigidos / total) * 100) : 0 };
+        });
+        return linha;
+      });
+      const trocas = new Map();
+      state.correcoes.filter(c => c.tipo === 'chapeu' && c.sugestao).forEach(c => {
+        const key = `${c.sugestao}→${c.escolhido}`;
+        trocas.set(key, { de: c.sugestao, para: c.escolhido, vezes: ((trocas.get(key) || {}).vezes || 0) + 1 });
+      });
+      return {
+        porCategoria,
+        trocasFrequentes: [...trocas.values()].sort((a, b) => b.vezes - a.vezes).slice(0, 10),
+        regrasAprendidas: await this.learnedChapeuRules()
+      };
+    }
+  };
+}
+
+module.exports = { createFeedbackStore, learnChapeuRules, similarity, titleTokens };
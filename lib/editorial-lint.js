@@ -0,0 +1,120 @@
+// Revisor editorial antes de publicar: procura no título, chapéu e legenda finais identificação de
+// crianças/adolescentes e de vítimas de violência sexual, método de suicídio e termos gráficos.
+// Regras em config/editorial-lint.json; achados 'bloqueio' só passam com justificativa do editor.
+const path = require('path');
+const fs = require('fs');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const REVISAO_EDITORIAL = 'REVISAO_EDITORIAL';
+
+let rules = null;
+
+const fold = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Idade abaixo de 18 ("12 anos", "8 meses", "3 dias de vida"), fora de tempo decorrido ou pena
+const MINOR_AGE = /(?<!(?:\bha|\bpor|\bdurante|\bapos|\bpena de|\bcondenad[oa] a|\bsentenciad[oa] a|\bprisao de|\breclusao de|\bdetencao de|\bultimos|\bprimeiros)\s)\b(\d{1,2})\s*(anos?|mes(?:es)?|dias de vida)(?![\p{L}\p{N}])/giu;
+
+function termRegex(term) {
+  const wildcard = term.endsWith('*');
+  const body = escapeRegex(fold(wildcard ? term.slice(0, -1) : term)).replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}${wildcard ? '[\\p{L}\\p{N}]*' : '(?![\\p{L}\\p{N}])'}`, 'iu');
+}
+
+// Lista de termos -> função que devolve o match no texto sem acentos (ou null). Também usada por
+// lib/help-lines.js, com a mesma sintaxe de termos.
+function compileTerms(terms = []) {
+  const regexes = terms.filter(t => t !== '@idade-menor').map(termRegex);
+  const withAge = terms.includes('@idade-menor');
+  return (folded) => {
+    for (const regex of regexes) {
+      const m = folded.match(regex);
+      if (m) return m;
+    }
+    if (withAge) {
+      MINOR_AGE.lastIndex = 0;
+      let m;
+      while ((m = MINOR_AGE.exec(folded))) {
+        if (!/^ano/i.test(m[2]) || parseInt(m[1], 10) < 18) return m;
+      }
+    }
+    return null;
+  };
+}
+
+function loadRules() {
+  if (rules) return rules;
+  const config = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'editorial-lint.json'), 'utf8'));
+  const { municipios } = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'municipios-piaui.json'), 'utf8'));
+  rules = {
+    regras: config.regras.map(r => ({
+      ...r,
+      matchTermos: compileTerms(r.termos),
+      matchComTermos: r.comTermos ? compileTerms(r.comTermos) : null
+    })),
+    naoNomes: new Set((config.naoNomes || []).map(w => fold(w).toLowerCase())),
+    // Municípios mais longos primeiro, para mascarar "José de Freitas" antes de procurar nomes
+    municipios: municipios.slice().sort((a, b) => b.length - a.length).map(nome => new RegExp(`(?<![\\p{L}])${escapeRegex(nome)}(?![\\p{L}])`, 'gu'))
+  };
+  return rules;
+}
+
+const CAPITALIZED = '[A-ZÀ-Ý][a-zà-ÿ]+';
+const NAME_SEQUENCE = new RegExp(`${CAPITALIZED}(?:\\s+(?:(?:de|da|do|dos|das|e)\\s+)?${CAPITALIZED})+`, 'gu');
+const NAME_WITH_AGE = new RegExp(`(?<=\\S\\s+)(${CAPITALIZED}),?\\s+(?:de\\s+)?\\d{1,2}\\s+anos`, 'gu');
+
+/**
+ * Nome próprio de pessoa na frase: duas ou mais palavras com inicial maiúscula que não sejam órgãos,
+ * lugares ou datas ("Maria Souza", "João da Silva"), ou um prenome seguido de idade ("Ana, 12 anos").
+ * Iniciais ("A.C.S.") não contam: é o que o ECA permite.
+ */
+function findPersonName(sentence) {
+  const { naoNomes, municipios } = loadRules();
+  let text = sentence;
+  municipios.forEach(regex => { text = text.replace(regex, m => ' '.repeat(m.length)); });
+  const isName = (word) => !naoNomes.has(fold(word).toLowerCase());
+  for (const m of text.matchAll(NAME_SEQUENCE)) {
+    const words = m[0].split(/\s+/).filter(w => /^[A-ZÀ-Ý]/.test(w) && isName(w));
+    if (words.length >= 2) return words.join(' ');
+  }
+  for (const m of text.matchAll(NAME_WITH_AGE)) {
+    if (isName(m[1])) return m[1];
+  }
+  return null;
+}
+
+const splitSentences = (text) => String(text || '').split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+
+/**
+ * @param {{ title?: string, chapeu?: string, caption?: string }} texts
+ * @returns {{ ok: boolean, bloqueios: object[], alertas: object[] }} `ok` = nenhum bloqueio.
+ *   Cada achado: { regra, severidade, mensagem, campo: 'titulo'|'chapeu'|'legenda', trecho, termo, nome? }
+ */
+function lintEditorial({ title, chapeu, caption } = {}) {
+  const { regras } = loadRules();
+  const achados = [];
+  const seen = new Set();
+  [['titulo', title], ['chapeu', chapeu], ['legenda', caption]].forEach(([campo, text]) => {
+    splitSentences(text).forEach(sentence => {
+      // Tirar os acentos não muda as posições (texto em NFC), então o termo sai com a grafia original
+      const original = sentence.normalize('NFC');
+      const folded = fold(original);
+      regras.forEach(regra => {
+        const match = regra.matchTermos(folded);
+        if (!match) return;
+        const termo = original.substr(match.index, match[0].length);
+        if (regra.matchComTermos && !regra.matchComTermos(folded)) return;
+        const nome = regra.comNome ? findPersonName(original) : null;
+        if (regra.comNome && !nome) return;
+        const key = `${regra.id}|${campo}|${sentence}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        achados.push({ regra: regra.id, severidade: regra.severidade, mensagem: regra.mensagem, campo, trecho: sentence, termo, ...(nome ? { nome } : {}) });
+      });
+    });
+  });
+  const bloqueios = achados.filter(a => a.severidade === 'bloqueio');
+  return { ok: bloqueios.length === 0, bloqueios, alertas: achados.filter(a => a.severidade !== 'bloqueio') };
+}
+
+module.exports = { lintEditorial, findPersonName, compileTerms, fold, REVISAO_EDITORIAL };
@@ -0,0 +1,176 @@
+// Extrator genérico (fallback para qualquer site): JSON-LD NewsArticle com prioridade,
+// depois metatags og:/twitter:/article: (em qualquer ordem de atributos) e a marcação da página.
+// Usa parser HTML de verdade (cheerio), então AMP e markups de CMS variados funcionam.
+const { cleanText, absoluteUrl, meta, firstText, imageFromElement, createImageCollector, paragraphsOf } = require('./util');
+const { extractMainText } = require('./readability');
+
+const ARTICLE_TYPES = ['NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle', 'Article', 'BlogPosting', 'LiveBlogPosting'];
+
+// Containers comuns de corpo de matéria (WordPress, CMSs de notícia, AMP)
+const BODY_SELECTORS = [
+  '[itemprop="articleBody"]', '.entry-content', '.post-content', '.article-body', '.article-content',
+  '.materia-conteudo', '.conteudo-materia', '.texto-materia', '.news-content', '.content-text', 'article'
+];
+
+const typesOf = (node) => [].concat(node['@type'] || []).map(String);
+
+// JSON-LD: lê todos os <script type="application/ld+json"> e devolve os nós já achatados (@graph e arrays)
+function parseJsonLdNodes($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    const raw = $(el).text().trim().replace(/^<!--|-->$/g, '').trim();
+    if (!raw) return;
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      // CMSs costumam deixar quebras de linha dentro de strings e vírgulas sobrando
+      try {
+        parsed = JSON.parse(raw.replace(/[\r\n\t]+/g, ' ').replace(/,\s*([}\]])/g, '$1'));
+      } catch {
+        console.log('⚠️ Bloco JSON-LD inválido ignorado');
+      }
+    }
+    const stack = [parsed];
+    while (stack.length) {
+      const item = stack.shift();
+      if (!item) continue;
+      if (Array.isArray(item)) { stack.push(...item); continue; }
+      if (typeof item !== 'object') continue;
+      nodes.push(item);
+      if (Array.isArray(item['@graph'])) stack.push(...item['@graph']);
+    }
+  });
+  return nodes;
+}
+
+const ldText = (v) => {
+  if (!v) return '';
+  if (typeof v === 'string') return v;
+  if (Array.isArray(v)) return v.map(ldText).filter(Boolean).join(', ');
+  if (typeof v === 'object') return ldText(v.name || v['@value'] || '');
+  return String(v);
+};
+
+const ldImages = (v) => {
+  if (!v) return [];
+  if (typeof v === 'string') return [{ url: v, width: null, height: null, caption: '', credit: '' }];
+  if (Array.isArray(v)) return v.flatMap(ldImages);
+  if (typeof v === 'object') {
+    const url = v.url || v.contentUrl || '';
+    if (!url) return [];
+    return [{
+      url: String(url),
+      width: parseInt(v.width, 10) || null,
+      height: parseInt(v.height, 10) || null,
+      caption: ldText(v.caption) || '',
+      credit: ldText(v.creditText || v.copyrightHolder || v.author) || ''
+    }];
+  }
+  return [];
+};
+
+// Seleciona o nó de matéria (NewsArticle e afins) e normaliza os campos que usamos
+function newsArticleFromJsonLd(nodes) {
+  const article = ARTICLE_TYPES
+    .map(type => nodes.find(n => typesOf(n).includes(type)))
+    .find(Boolean);
+  if (!article) return null;
+
+  const keywords = Array.isArray(article.keywords)
+    ? article.keywords.map(ldText)
+    : ldText(article.keywords).split(',');
+
+  return {
+    headline: cleanText(ldText(article.headline || article.name)),
+    alternativeHeadline: cleanText(ldText(article.alternativeHeadline)),
+    description: ldText(article.description).trim(),
+    articleBody: ldText(article.articleBody).trim(),
+    images: ldImages(article.image),
+    author: ldText(article.author).trim(),
+    datePublished: ldText(article.datePublished).trim(),
+    dateModified: ldText(article.dateModified).trim(),
+    section: ldText(article.articleSection).trim(),
+    keywords: keywords.map(k => k.trim()).filter(Boolean)
+  };
+}
+
+// Breadcrumbs: BreadcrumbList do JSON-LD ou marcação com class/id "breadcrumb"
+function breadcrumbsOf($, nodes) {
+  const list = nodes.find(n => typesOf(n).includes('BreadcrumbList'));
+  if (list && Array.isArray(list.itemListElement)) {
+    const names = [...list.itemListElement]
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map(el => cleanText(el.name || el.item?.name || ''))
+      .filter(Boolean);
+    if (names.length) return names;
+  }
+  const block = $('nav, ol, ul, div').filter((_, el) => /breadcrumb/i.test(`${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`)).first();
+  if (!block.length) return [];
+  const items = block.find('a, span, li').filter((_, el) => !$(el).children('a, span, li').length);
+  return items
+    .map((_, el) => cleanText($(el).text()))
+    .get()
+    .filter(t => t && !/^[›»>\/|•·-]+$/.test(t))
+    .filter((t, i, all) => all.indexOf(t) === i);
+}
+
+// Container do corpo da matéria: o primeiro seletor conhecido com texto de verdade
+function bodyContainer($) {
+  for (const sel of BODY_SELECTORS) {
+    const el = $(sel).filter((_, e) => cleanText($(e).text()).length > 200).first();
+    if (el.length) return el;
+  }
+  return null;
+}
+
+/**
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {{ url: string }} ctx
+ * @returns {{ title: string, subtitle: string, description: string, body: string, imageUrl: string, images: object[],
+ *   author: string, datePublished: string, dateModified: string, section: string,
+ *   breadcrumbs: string[], keywords: string[], source: 'json-ld'|'meta' }}
+ */
+function extract($, { url }) {
+  const nodes = parseJsonLdNodes($);
+  const ld = newsArticleFromJsonLd(nodes);
+  if (ld) console.log(`🧩 JSON-LD encontrado: "${ld.headline}" (${ld.images.length} imagem(ns))`);
+
+  const container = bodyContainer($);
+
+  // Candidatas a foto: JSON-LD, og/twitter, depois <figure>/<img>/<amp-img> do corpo
+  const images = createImageCollector(url);
+  (ld?.images || []).forEach(img => images.add({ ...img, source: 'json-ld' }));
+  images.add({ url: meta($, 'og:image:secure_url', 'og:image'), width: meta($, 'og:image:width'), height: meta($, 'og:image:height'), caption: meta($, 'og:image:alt'), source: 'og' });
+  images.add({ url: meta($, 'twitter:image', 'twitter:image:src'), caption: meta($, 'twitter:image:alt'), source: 'twitter' });
+  // A foto de abertura costuma ficar fora do container do texto, mas dentro do <article>
+  const article = container ? container.closest('article') : $('article').first();
+  const scope = article.length ? article : (container || $('body'));
+  scope.find('figure img, figure amp-img').each((_, el) => images.add(imageFromElement($, el, 'figure')));
+  scope.find('img, amp-img').filter((_, el) => !$(el).closest('figure').length)
+    .each((_, el) => images.add(imageFromElement($, el, 'img')));
+
+  const metaKeywords = meta($, 'keywords', 'news_keywords').split(',').map(k => k.trim()).filter(Boolean);
+  const articleTags = $('meta[property="article:tag"]').map((_, m) => cleanText($(m).attr('content'))).get().filter(Boolean);
+
+  // Foto principal declarada pela página (mesmo que pareça logo); as candidatas são o plano B
+  const declaredImage = ld?.images[0]?.url || meta($, 'og:image:secure_url', 'og:image', 'image');
+
+  return {
+    title: ld?.headline || meta($, 'og:title', 'twitter:title') || firstText($, ['h1']) || cleanText($('title').first().text()),
+    subtitle: ld?.alternativeHeadline || firstText($, ['[itemprop="alternativeHeadline"]', '.subtitle', '.subtitulo', '.linha-fina', '.entry-subtitle', '.olho']),
+    description: ld?.description || meta($, 'og:description', 'description', 'twitter:description'),
+    body: extractMainText($)?.text || (container && paragraphsOf($, container)) || ld?.articleBody || '',
+    imageUrl: absoluteUrl(declaredImage, url),
+    images: images.list(),
+    author: ld?.author || meta($, 'author', 'article:author') || firstText($, ['[rel="author"]', '[itemprop="author"]', '.author-name', '.autor']),
+    datePublished: ld?.datePublished || meta($, 'article:published_time', 'datePublished') || ($('time[datetime]').first().attr('datetime') || ''),
+    dateModified: ld?.dateModified || meta($, 'article:modified_time', 'dateModified'),
+    section: ld?.section || meta($, 'article:section'),
+    breadcrumbs: breadcrumbsOf($, nodes),
+    keywords: ld?.keywords.length ? ld.keywords : (metaKeywords.length ? metaKeywords : articleTags),
+    source: ld ? 'json-ld' : 'meta'
+  };
+}
+
+module.exports = { name: 'generic', extract, parseJsonLdNodes };
@@ -0,0 +1,66 @@
+// Registro de extratores por hostname. Cada plugin exporta { name, hosts, extract($, ctx) } e devolve
+// só o que sabe ler melhor que o genérico (título, subtítulo, corpo, imagens, autor, data...).
+// O resultado do genérico é sempre calculado e completa o que o plugin não trouxer.
+const cheerio = require('cheerio');
+const generic = require('./generic');
+const { createImageCollector } = require('./util');
+
+const plugins = [
+  require('./r10piaui'),
+  require('./piaui-gov'),
+  require('./teresina-gov')
+];
+
+// Domínio exato ou subdomínio (www., m., amp.)
+function findExtractor(pageUrl) {
+  let host;
+  try { host = new URL(pageUrl).hostname.toLowerCase(); } catch { return null; }
+  return plugins.find(p => p.hosts.some(h => host === h || host.endsWith(`.${h}`))) || null;
+}
+
+function registerExtractor(plugin) {
+  if (!plugin || !plugin.name || !Array.isArray(plugin.hosts) || typeof plugin.extract !== 'function') {
+    throw new Error('Extrator inválido: esperado { name, hosts: [], extract($, ctx) }');
+  }
+  plugins.unshift(plugin);
+}
+
+const isEmpty = (v) => v === undefined || v === null || v === '' || (Array.isArray(v) && !v.length);
+
+/**
+ * Extrai os dados da matéria a partir do HTML.
+ * @param {string} html
+ * @param {string} pageUrl
+ * @returns {{ title: string, subtitle: string, description: string, body: string, imageUrl: string, images: object[],
+ *   author: string, datePublished: string, dateModified: string, section: string, breadcrumbs: string[],
+ *   keywords: string[], source: string, extractor: string }}
+ */
+function extractArticle(html, pageUrl) {
+  const $ = cheerio.load(html || '');
+  const base = generic.extract($, { url: pageUrl });
+  const plugin = findExtractor(pageUrl);
+  if (!plugin) return { ...base, extractor: generic.name };
+
+  let specific = {};
+  try {
+    specific = plugin.extract($, { url: pageUrl, base }) || {};
+  } catch (err) {
+    console.log(`⚠️ Extrator ${plugin.name} falhou, usando o genérico: ${err.message}`);
+    return { ...base, extractor: generic.name };
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(specific)) {
+    if (key !== 'images' && !isEmpty(value)) merged[key] = value;
+  }
+  // Fotos do plugin primeiro (normalmente a foto principal da matéria), depois as do genérico
+  const images = createImageCollector(pageUrl);
+  [...(specific.images || []), ...base.images].forEach(img => images.add(img));
+  merged.images = images.list();
+  if (specific.images && specific.images.length && merged.images.length) merged.imageUrl = merged.images[0].url;
+
+  console.log(`🔌 Extrator específico: ${plugin.name}`);
+  return { ...merged, extractor: plugin.name };
+}
+
+module.exports = { extractArticle, findExtractor, registerExtractor };
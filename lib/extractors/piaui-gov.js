@@ -0,0 +1,38 @@
+// Portal do Governo do Piauí (piaui.pi.gov.br): matérias das secretarias com data em
+// "dd/mm/aaaa às hhhmm", assinatura de texto/fotos no fim do corpo e galeria de fotos.
+const { cleanText, firstText, imageFromElement, paragraphsOf, parseBrDate } = require('./util');
+
+const BOILERPLATE = ['.compartilhamento', '.tags', '.noticias-relacionadas', '.galeria-navegacao'];
+// Linhas de assinatura ("Texto: Fulano – Ascom Sesapi", "Fotos: ...") saem do corpo e viram autor/crédito
+const SIGNATURE = /^(texto|reportagem|fotos?|edição)\s*:\s*(.+)$/i;
+
+function extract($) {
+  const container = $('.noticia-conteudo, .conteudo-noticia, .entry-content').first();
+  const lines = container.length ? paragraphsOf($, container, { skip: BOILERPLATE }).split('\n\n') : [];
+  const signature = {};
+  const body = lines.filter(line => {
+    const m = line.match(SIGNATURE);
+    if (!m) return true;
+    signature[m[1].toLowerCase().replace(/s$/, '')] = m[2].trim();
+    return false;
+  });
+
+  const images = $('.noticia-imagem-destaque img, .galeria img, .noticia-conteudo figure img')
+    .map((_, el) => {
+      const img = imageFromElement($, el, 'piaui.pi.gov.br');
+      return { ...img, credit: img.credit || signature.foto || '' };
+    })
+    .get();
+
+  return {
+    title: firstText($, ['h1.noticia-titulo', 'h1.entry-title', 'main h1']),
+    subtitle: firstText($, ['.noticia-subtitulo', '.noticia-resumo']),
+    body: body.join('\n\n'),
+    images,
+    author: signature.texto || signature.reportagem || firstText($, ['.noticia-orgao', '.orgao']),
+    datePublished: parseBrDate(firstText($, ['.noticia-data', '.data-publicacao'])),
+    section: cleanText($('.noticia-orgao, .orgao').first().text())
+  };
+}
+
+module.exports = { name: 'piaui.pi.gov.br', hosts: ['piaui.pi.gov.br'], extract };
@@ -0,0 +1,31 @@
+// r10piaui.com (inclusive versão AMP): título sem o sufixo do portal, linha fina,
+// foto de destaque com crédito e corpo sem os boxes de "Leia também" e publicidade.
+const { cleanText, firstText, imageFromElement, paragraphsOf, parseBrDate } = require('./util');
+
+const BODY = ['.materia-texto', '.texto-materia', '.post-content', '[itemprop="articleBody"]'];
+const BOILERPLATE = ['.leia-tambem', '.relacionadas', '.publicidade', '.banner', '.compartilhar', '.tags', '.newsletter'];
+
+function extract($) {
+  const container = BODY.map(sel => $(sel).first()).find(el => el.length);
+
+  const destaque = $('.materia-foto img, .foto-destaque img, .materia-foto amp-img, .foto-destaque amp-img').first();
+  const images = [];
+  if (destaque.length) {
+    const img = imageFromElement($, destaque, 'r10');
+    // Crédito fica num <span> separado da legenda
+    img.credit = img.credit || cleanText($('.materia-foto .credito, .foto-destaque .credito').first().text()).replace(/^foto:\s*/i, '');
+    images.push(img);
+  }
+
+  return {
+    title: firstText($, ['h1.materia-titulo', 'article h1', 'h1']).replace(/\s*[-|–]\s*R10 Piau[ií]\s*$/i, ''),
+    subtitle: firstText($, ['.materia-subtitulo', '.linha-fina', 'article h2.subtitulo']),
+    body: container ? paragraphsOf($, container, { skip: BOILERPLATE }) : '',
+    images,
+    author: firstText($, ['.materia-autor .nome', '.materia-autor', '.autor']).replace(/^por\s*:?\s*/i, ''),
+    datePublished: $('time[itemprop="datePublished"]').attr('datetime') || parseBrDate(firstText($, ['.materia-data', '.data-publicacao'])),
+    section: firstText($, ['.materia-editoria', '.editoria'])
+  };
+}
+
+module.exports = { name: 'r10piaui', hosts: ['r10piaui.com'], extract };
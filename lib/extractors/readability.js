@@ -0,0 +1,75 @@
+// Extração do texto principal no estilo Readability: remove o que claramente não é matéria
+// (menus, rodapé, anúncios, "leia também", comentários), pontua os blocos pais dos parágrafos
+// pelo volume de texto, vírgulas e densidade de links, e devolve os parágrafos do melhor bloco.
+const cheerio = require('cheerio');
+const { cleanText, paragraphsOf } = require('./util');
+
+const REMOVE = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'button', 'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]'
+].join(', ');
+
+const NEGATIVE = /(^|[\s_-])(ads?|advert\w*|anuncios?|banners?|publicidade|patrocin\w*|related\w*|relacionad\w*|leia-tambem|veja-tambem|mais-lidas|recomend\w*|share\w*|compartilh\w*|social|comments?|comentarios?|newsletter|sidebar|widgets?|menu|rodape|footer|cookies?|popup|modal|tags|breadcrumbs?)(?=[\s_-]|$)/i;
+const POSITIVE = /article|materia|matéria|noticia|notícia|entry|content|conteudo|conteúdo|texto|story|corpo/i;
+// Blocos "negativos" só são removidos se não tiverem cara de container principal
+const KEEP = /article|materia|noticia|main|body|corpo/i;
+
+function classWeight($el) {
+  const hint = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+  if (!hint.trim()) return 0;
+  let weight = 0;
+  if (NEGATIVE.test(hint)) weight -= 25;
+  if (POSITIVE.test(hint)) weight += 25;
+  if ($el.is('[itemprop="articleBody"]')) weight += 50;
+  return weight;
+}
+
+function linkDensity($, $el) {
+  const text = cleanText($el.text()).length || 1;
+  const links = $el.find('a').toArray().reduce((sum, a) => sum + cleanText($(a).text()).length, 0);
+  return links / text;
+}
+
+/**
+ * Encontra o bloco com o texto principal da página.
+ * @param {import('cheerio').CheerioAPI} $ documento (não é alterado; trabalhamos numa cópia)
+ * @returns {{ text: string, score: number } | null}
+ */
+function extractMainText($) {
+  const $doc = cheerio.load($.html());
+  $doc(REMOVE).remove();
+  $doc('body *').filter((_, el) => {
+    const hint = `${$doc(el).attr('class') || ''} ${$doc(el).attr('id') || ''}`;
+    return NEGATIVE.test(hint) && !KEEP.test(hint);
+  }).remove();
+
+  // Pontuação de cada parágrafo vai para o pai (inteira) e para o avô (metade)
+  const scores = new Map();
+  $doc('p').each((_, p) => {
+    const text = cleanText($doc(p).text());
+    if (text.length < 25) return;
+    const score = 1 + (text.match(/[,;]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = p.parent;
+    const grand = parent && parent.parent;
+    [[parent, 1], [grand, 0.5]].forEach(([node, factor]) => {
+      if (!node || node.type !== 'tag') return;
+      if (!scores.has(node)) scores.set(node, classWeight($doc(node)));
+      scores.set(node, scores.get(node) + score * factor);
+    });
+  });
+
+  let best = null;
+  for (const [node, raw] of scores) {
+    const score = raw * (1 - linkDensity($doc, $doc(node)));
+    if (!best || score > best.score) best = { node, score };
+  }
+  if (!best || best.score < 5) return null;
+
+  // Parágrafos com muitos links (listas de relacionadas dentro do texto) ficam de fora
+  const $best = $doc(best.node);
+  $best.find('p, li').filter((_, el) => linkDensity($doc, $doc(el)) > 0.5).remove();
+  const text = paragraphsOf($doc, $best);
+  return text ? { text, score: Number(best.score.toFixed(1)) } : null;
+}
+
+module.exports = { extractMainText };
@@ -0,0 +1,25 @@
+// Prefeitura de Teresina (teresina.pi.gov.br, WordPress): título/corpo nas classes do tema,
+// data em <time> e fotos da galeria com crédito no figcaption. O nome do portal sai do título.
+const { firstText, imageFromElement, paragraphsOf, parseBrDate } = require('./util');
+
+const BOILERPLATE = ['.sharedaddy', '.jp-relatedposts', '.wp-block-buttons', '.post-tags'];
+
+function extract($) {
+  const container = $('.entry-content, .post-content').first();
+  const time = $('time.entry-date, .post-date time').first();
+
+  const images = $('.post-thumbnail img, .entry-content .wp-block-image img, .entry-content .gallery img')
+    .map((_, el) => imageFromElement($, el, 'teresina.pi.gov.br'))
+    .get();
+
+  return {
+    title: firstText($, ['h1.entry-title', 'h1.post-title', 'main h1']).replace(/\s*[-|–]\s*Prefeitura (Municipal )?de Teresina\s*$/i, ''),
+    subtitle: firstText($, ['.entry-subtitle', '.post-excerpt']),
+    body: container.length ? paragraphsOf($, container, { skip: BOILERPLATE }) : '',
+    images,
+    author: firstText($, ['.entry-author .author-name', '.byline .author', '.author.vcard']),
+    datePublished: time.attr('datetime') || parseBrDate(time.text())
+  };
+}
+
+module.exports = { name: 'teresina.pi.gov.br', hosts: ['teresina.pi.gov.br'], extract };
@@ -0,0 +1,127 @@
+// Utilitários compartilhados pelos extratores (genérico e por site).
+// Todos recebem o documento já carregado pelo cheerio ($).
+
+// Espaços normalizados (\s também cobre o &nbsp; já decodificado pelo parser)
+const cleanText = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+function absoluteUrl(href, pageUrl) {
+  if (!href) return '';
+  try { return new URL(href, pageUrl).href; } catch { return ''; }
+}
+
+// <meta> por property/name/itemprop, em qualquer ordem de atributos
+function meta($, ...keys) {
+  for (const key of keys) {
+    const wanted = key.toLowerCase();
+    const el = $('meta').filter((_, m) => ['property', 'name', 'itemprop']
+      .some(attr => String($(m).attr(attr) || '').toLowerCase() === wanted)).first();
+    const content = cleanText(el.attr('content'));
+    if (content) return content;
+  }
+  return '';
+}
+
+// Primeiro seletor que devolver texto
+function firstText($, selectors, root) {
+  for (const sel of [].concat(selectors)) {
+    const el = root ? $(root).find(sel).first() : $(sel).first();
+    const text = cleanText(el.text());
+    if (text) return text;
+  }
+  return '';
+}
+
+// "Foto: Fulano/Agência" ou "(Foto: ...)" no fim da legenda vira crédito
+function splitCredit(caption) {
+  const m = cleanText(caption).match(/^(.*?)[\s(–—-]*(?:foto|fotos|imagem|crédito|credito)s?\s*:\s*([^)]+)\)?\s*$/i);
+  return m ? { caption: m[1].trim(), credit: m[2].trim() } : { caption: cleanText(caption), credit: '' };
+}
+
+// Melhor fonte de um <img>/<amp-img>: maior largura do srcset, depois atributos de lazy-load
+function bestSrc($img) {
+  const srcset = $img.attr('srcset') || $img.attr('data-srcset');
+  if (srcset) {
+    const best = srcset.split(',')
+      .map(part => part.trim().split(/\s+/))
+      .map(([u, d]) => ({ u, w: parseInt(d, 10) || 0 }))
+      .sort((a, b) => b.w - a.w)[0];
+    if (best && best.u) return { src: best.u, width: best.w || null };
+  }
+  return {
+    src: $img.attr('data-src') || $img.attr('data-lazy-src') || $img.attr('data-original') || $img.attr('src') || '',
+    width: null
+  };
+}
+
+// Candidata a partir de um <img> (ou <amp-img>), com legenda do <figure> quando houver
+function imageFromElement($, el, source) {
+  const $img = $(el);
+  const { src, width } = bestSrc($img);
+  const figcaption = cleanText($img.closest('figure').find('figcaption').first().text());
+  const { caption, credit } = splitCredit(figcaption || $img.attr('alt') || $img.attr('title'));
+  return {
+    url: src,
+    width: width || $img.attr('width'),
+    height: width ? null : $img.attr('height'),
+    caption,
+    credit,
+    source
+  };
+}
+
+const NOT_A_PHOTO = /(^|[\/_.-])(logo|icon|icone|avatar|sprite|pixel|spacer|emoji|banner|publicidade|ads?)([\/_.-]|$)/i;
+
+/**
+ * Lista de fotos candidatas: URLs absolutas, sem duplicatas, sem logos/ícones/miniaturas.
+ * A mesma imagem vinda de outra fonte só completa os dados que faltam.
+ */
+function createImageCollector(pageUrl) {
+  const candidates = [];
+  const byUrl = new Map();
+  return {
+    add(img) {
+      if (!img || !img.url || /^data:/i.test(img.url)) return;
+      const url = absoluteUrl(img.url, pageUrl);
+      if (!/^https?:/i.test(url) || /\.svg(\?|$)/i.test(url) || NOT_A_PHOTO.test(url)) return;
+      const width = parseInt(img.width, 10) || null;
+      const height = parseInt(img.height, 10) || null;
+      if ((width && width < 200) || (height && height < 200)) return;
+      const existing = byUrl.get(url);
+      if (existing) {
+        existing.width = existing.width || width;
+        existing.height = existing.height || height;
+        existing.caption = existing.caption || img.caption || '';
+        existing.credit = existing.credit || img.credit || '';
+        return;
+      }
+      const candidate = { url, width, height, caption: img.caption || '', credit: img.credit || '', source: img.source || 'img' };
+      byUrl.set(url, candidate);
+      candidates.push(candidate);
+    },
+    list() {
+      return candidates;
+    }
+  };
+}
+
+// Texto do corpo: parágrafos (e intertítulos) do container, sem scripts, anúncios e "leia também"
+function paragraphsOf($, container, { skip = [] } = {}) {
+  const $root = $(container).first().clone();
+  $root.find(['script', 'style', 'noscript', 'iframe', 'figure', 'aside', 'form', 'button', ...skip].join(', ')).remove();
+  return $root.find('p, h2, h3, blockquote, li')
+    .filter((_, el) => !$(el).parents('p, blockquote, li').length)
+    .map((_, el) => cleanText($(el).text()))
+    .get()
+    .filter(t => t && !/^(leia (também|mais)|veja (também|mais)|publicidade|continua (depois|após) (a|da) publicidade)\b/i.test(t))
+    .join('\n\n');
+}
+
+// Datas no formato dos portais locais ("19/10/2026 às 10h30", "19/10/2026 - 10:30") → ISO com fuso de Teresina
+function parseBrDate(text) {
+  const m = cleanText(text).match(/(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\D+(\d{1,2})\s*[h:]\s*(\d{2})?)?/i);
+  if (!m) return '';
+  const pad = (n) => String(n || 0).padStart(2, '0');
+  return `${m[3]}-${pad(m[2])}-${pad(m[1])}T${pad(m[4])}:${pad(m[5])}:00-03:00`;
+}
+
+module.exports = { cleanText, absoluteUrl, meta, firstText, splitCredit, bestSrc, imageFromElement, createImageCollector, paragraphsOf, parseBrDate };
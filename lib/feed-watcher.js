@@ -0,0 +1,177 @@
+// Monitor de feeds RSS/Atom e news-sitemap.xml: a cada ciclo busca as matérias novas,
+// roda o mesmo pipeline de /api/process-url (via processItem) e guarda o resultado como rascunho.
+// Aceita URLs http(s) e também arquivos locais (caminho ou file://), útil para testes.
+const path = require('path');
+const fs = require('fs-extra');
+const { fileURLToPath } = require('url');
+
+function decodeXml(text = '') {
+  return String(text)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Conteúdo da primeira tag (aceita prefixo de namespace, ex.: news:title)
+function tagText(block, names) {
+  for (const name of [].concat(names)) {
+    const rx = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i');
+    const m = block.match(rx);
+    if (m) return decodeXml(m[1]);
+  }
+  return '';
+}
+
+function blocks(xml, tag) {
+  const rx = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+  const out = [];
+  let m;
+  while ((m = rx.exec(xml)) !== null) out.push(m[1]);
+  return out;
+}
+
+/**
+ * Lê RSS 2.0, Atom ou sitemap de notícias e devolve os itens em ordem do feed.
+ * @param {string} xml
+ * @returns {Array<{ url: string, title: string, published: string }>}
+ */
+function parseFeed(xml = '') {
+  let items = [];
+
+  if (/<rss[\s>]|<rdf:RDF/i.test(xml)) {
+    items = blocks(xml, 'item').map(b => ({
+      url: tagText(b, ['link', 'guid']),
+      title: tagText(b, 'title'),
+      published: tagText(b, ['pubDate', 'dc:date'])
+    }));
+  } else if (/<feed[\s>]/i.test(xml)) {
+    items = blocks(xml, 'entry').map(b => {
+      const links = [...b.matchAll(/<link\b([^>]*)\/?>/gi)].map(m => m[1]);
+      const alternate = links.find(a => /rel=["']alternate["']/i.test(a)) || links.find(a => !/rel=/i.test(a)) || links[0] || '';
+      const href = (alternate.match(/href=["']([^"']+)["']/i) || [])[1] || '';
+      return {
+        url: decodeXml(href),
+        title: tagText(b, 'title'),
+        published: tagText(b, ['published', 'updated'])
+      };
+    });
+  } else if (/<urlset[\s>]/i.test(xml)) {
+    items = blocks(xml, 'url').map(b => ({
+      url: tagText(b, 'loc'),
+      title: tagText(b, 'news:title'),
+      published: tagText(b, ['news:publication_date', 'lastmod'])
+    }));
+  }
+
+  return items.filter(i => /^https?:\/\//i.test(i.url));
+}
+
+async function readSource(source, fetchHttp) {
+  if (/^https?:\/\//i.test(source)) return fetchHttp(source);
+  const file = source.startsWith('file://') ? fileURLToPath(source) : path.resolve(source);
+  return fs.readFile(file, 'utf8');
+}
+
+/**
+ * Cria o monitor. `processItem(item, feed)` deve devolver `{ draft, image }` (image = Buffer PNG).
+ * @param {{ feeds: string[], store: object, processItem: Function, fetchHttp?: Function,
+ *   intervalMs?: number, maxPerPoll?: number, maxAgeHours?: number }} options
+ */
+function createFeedWatcher({ feeds = [], store, processItem, fetchHttp, intervalMs = 10 * 60 * 1000, maxPerPoll = 3, maxAgeHours = 48 }) {
+  let timer = null;
+  let running = false;
+  let lastRun = null;
+  let lastError = null;
+
+  const isTooOld = (item) => {
+    if (!item.published || !maxAgeHours) return false;
+    const ts = Date.parse(item.published);
+    return Number.isFinite(ts) && (Date.now() - ts) > maxAgeHours * 3600 * 1000;
+  };
+
+  async function pollFeed(feed) {
+    const xml = await readSource(feed, fetchHttp || (async () => { throw new Error('fetchHttp não configurado'); }));
+    const items = parseFeed(xml);
+    const fresh = [];
+    for (const item of items) {
+      if (!(await store.hasSeen(item.url))) fresh.push(item);
+    }
+    // Mais recentes primeiro; antigas demais só marcamos como vistas e o que passa do limite por
+    // ciclo fica para o próximo
+    fresh.sort((a, b) => (Date.parse(b.published) || 0) - (Date.parse(a.published) || 0));
+    const tooOld = fresh.filter(isTooOld);
+    if (tooOld.length) {
+      console.log(`⏭️ Feed ${feed}: ${tooOld.length} item(ns) antigo(s) ignorado(s)`);
+      await store.markSeen(tooOld.map(i => i.url));
+    }
+    const recent = fresh.filter(i => !isTooOld(i));
+    const selected = recent.slice(0, maxPerPoll);
+    if (recent.length > selected.length) {
+      console.log(`⏳ Feed ${feed}: ${recent.length - selected.length} item(ns) além do limite por ciclo ficam para o próximo`);
+    }
+
+    const created = [];
+    for (const item of selected) {
+      // Marcar antes de processar: uma falha vira rascunho com erro, sem repetir chamadas pagas
+      await store.markSeen(item.url);
+      try {
+        console.log(`📰 Nova matéria no feed: ${item.url}`);
+        const { draft, image } = await processItem(item, feed);
+        created.push(await store.add({ ...draft, url: item.url, feed }, image));
+      } catch (err) {
+        console.log(`❌ Falha ao gerar rascunho de ${item.url}: ${err.message}`);
+        created.push(await store.add({ url: item.url, feed, title: item.title, status: 'erro', error: err.message }));
+      }
+    }
+    return created;
+  }
+
+  async function pollOnce() {
+    if (running) {
+      console.log('⏳ Monitor de feeds já está em execução; ciclo ignorado');
+      return [];
+    }
+    running = true;
+    const created = [];
+    try {
+      for (const feed of feeds) {
+        try {
+          created.push(...await pollFeed(feed));
+        } catch (err) {
+          lastError = `${feed}: ${err.message}`;
+          console.log(`⚠️ Falha ao ler feed ${feed}: ${err.message}`);
+        }
+      }
+    } finally {
+      running = false;
+      lastRun = new Date().toISOString();
+    }
+    return created;
+  }
+
+  return {
+    pollOnce,
+    start() {
+      if (timer || !feeds.length) return;
+      console.log(`📡 Monitor de feeds ativo (${feeds.length} feed(s), a cada ${Math.round(intervalMs / 60000)} min)`);
+      pollOnce();
+      timer = setInterval(pollOnce, intervalMs);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    status() {
+      return { feeds, active: Boolean(timer), running, lastRun, lastError, intervalMs };
+    }
+  };
+}
+
+module.exports = { createFeedWatcher, parseFeed };
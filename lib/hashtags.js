@@ -0,0 +1,139 @@
+// Gerador de hashtags a partir do título, descrição e palavras-chave da matéria: municípios do
+// Piauí, times, órgãos públicos, temas e rodovias (BR-343 -> #BR343). Regras em config/hashtags.json
+// e config/municipios-piaui.json. As hashtags da marca ficam sempre e o total nunca passa de 30.
+const path = require('path');
+const fs = require('fs');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const INSTAGRAM_LIMIT = 30;
+
+let rules = null;
+
+// Acentos fora, caixa preservada (Parnaiba casa com Parnaíba, mas "altos" não casa com "Altos")
+const fold = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const dedupeKey = (tag) => fold(tag).toLowerCase();
+
+/**
+ * "São Raimundo Nonato" -> "#SãoRaimundoNonato", "Pedro II" -> "#PedroII", "Detran-PI" -> "#DetranPI".
+ * Siglas e numerais romanos (tudo maiúsculo) são mantidos; as demais palavras ganham inicial maiúscula.
+ */
+function formatHashtag(text) {
+  const words = String(text || '').replace(/^#+/, '').split(/[\s\-'’/]+/).filter(Boolean);
+  const camel = words.map(w => {
+    const clean = w.replace(/[^\p{L}\p{N}_]/gu, '');
+    return clean.charAt(0).toLocaleUpperCase('pt-BR') + clean.slice(1);
+  }).join('');
+  return camel ? `#${camel}` : '';
+}
+
+function loadRules() {
+  if (rules) return rules;
+  const config = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'hashtags.json'), 'utf8'));
+  const { municipios } = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'municipios-piaui.json'), 'utf8'));
+  const needsContext = new Set(config.municipiosComContexto || []);
+
+  // Cada entrada: termo -> hashtag. Termos mais longos primeiro ("Cocal dos Alves" antes de "Cocal")
+  const entries = [];
+  municipios.forEach(nome => entries.push({ termo: nome, tag: formatHashtag(nome), tipo: 'municipio', contexto: needsContext.has(nome) }));
+  (config.times || []).forEach(t => {
+    (t.termos || []).forEach(termo => entries.push({ termo, tag: t.tag, tipo: 'time' }));
+    (t.termosEsporte || []).forEach(termo => entries.push({ termo, tag: t.tag, tipo: 'time', soEsporte: true }));
+  });
+  (config.orgaos || []).forEach(o => (o.termos || []).forEach(termo => entries.push({ termo, tag: o.tag, tipo: 'orgao' })));
+  (config.temas || []).forEach(t => (t.termos || []).forEach(termo => entries.push({ termo, tag: t.tag, tipo: 'tema', semCaixa: true })));
+
+  entries.forEach(e => {
+    const term = escapeRegex(fold(e.termo)).replace(/\s+/g, '\\s+');
+    const flags = e.semCaixa ? 'giu' : 'gu';
+    e.regex = e.contexto
+      // Só depois de preposição ("em Porto", "de União") ou com a UF ao lado ("Porto (PI)", "União-PI")
+      ? new RegExp(`(?<=(?:^|[^\\p{L}])(?:[Ee]m|[Dd]e|[Pp]ara|[Pp]ra|[Aa]te)\\s)${term}(?![\\p{L}\\p{N}])|(?<![\\p{L}\\p{N}])${term}(?=\\s?(?:\\(PI\\)|-PI|\\/PI))`, flags)
+      : new RegExp(`(?<![\\p{L}\\p{N}])${term}(?![\\p{L}\\p{N}])`, flags);
+  });
+  entries.sort((a, b) => b.termo.length - a.termo.length);
+
+  const envMax = parseInt(process.env.HASHTAGS_MAX, 10);
+  rules = {
+    marca: (config.marca || []).map(formatHashtag),
+    maximo: Number.isFinite(envMax) ? envMax : (config.maximo ?? 5),
+    entries
+  };
+  return rules;
+}
+
+// Hashtags encontradas num texto, na ordem em que aparecem
+function matchText(text, { esporte }) {
+  let work = fold(text);
+  const found = [];
+  for (const entry of loadRules().entries) {
+    if (entry.soEsporte && !esporte) continue;
+    entry.regex.lastIndex = 0;
+    let m;
+    while ((m = entry.regex.exec(work))) {
+      found.push({ tag: entry.tag, tipo: entry.tipo, termo: entry.termo, pos: m.index });
+      // Mascara o trecho para um termo menor não casar de novo ("Flamengo" dentro de "Flamengo-PI")
+      work = work.slice(0, m.index) + ' '.repeat(m[0].length) + work.slice(m.index + m[0].length);
+    }
+  }
+  const roads = /(?<![\p{L}\p{N}])(BR|PI)-?\s?(\d{3})(?!\d)/gu;
+  let m;
+  while ((m = roads.exec(work))) found.push({ tag: `#${m[1]}${m[2]}`, tipo: 'rodovia', termo: m[0], pos: m.index });
+  return found.sort((a, b) => a.pos - b.pos);
+}
+
+/**
+ * Junta as listas, normaliza, remove duplicadas (sem diferenciar acento/caixa), garante a marca
+ * no começo e corta no limite do Instagram.
+ * @param {string[]} tags
+ * @param {string[]} [marca]
+ */
+function finalizeHashtags(tags, marca = loadRules().marca) {
+  const seen = new Set();
+  const out = [];
+  [...marca, ...tags].forEach(raw => {
+    const tag = String(raw || '').trim().startsWith('#')
+      ? `#${String(raw).trim().replace(/^#+/, '').replace(/[^\p{L}\p{N}_]/gu, '')}`
+      : formatHashtag(raw);
+    if (tag.length < 2 || seen.has(dedupeKey(tag))) return;
+    seen.add(dedupeKey(tag));
+    out.push(tag);
+  });
+  return out.slice(0, INSTAGRAM_LIMIT);
+}
+
+// Hashtags distintas numa legenda pronta (o Instagram recusa o post acima de 30)
+function countHashtags(caption) {
+  return new Set((String(caption || '').match(/#[\p{L}\p{N}_]+/gu) || []).map(dedupeKey)).size;
+}
+
+const brandHashtags = () => loadRules().marca;
+
+/**
+ * @param {{ title?: string, description?: string, keywords?: string[], categoria?: string, fixed?: string[] }} article
+ *   `fixed` = hashtags do modelo de legenda da editoria
+ * @param {{ max?: number }} [options]
+ * @returns {{ hashtags: string[], marca: string[], sugeridas: { tag: string, tipo: string, termo: string }[] }}
+ */
+function generateHashtags({ title, description, keywords = [], categoria, fixed = [] } = {}, { max } = {}) {
+  const { marca, maximo } = loadRules();
+  const esporte = categoria === 'esporte';
+  const seen = new Set([...marca, ...fixed].map(dedupeKey));
+  const sugeridas = [];
+  // Título primeiro: o que está nele é o mais relevante
+  [title, description, (keywords || []).join(' . ')].forEach(text => {
+    matchText(text || '', { esporte }).forEach(({ tag, tipo, termo }) => {
+      if (seen.has(dedupeKey(tag))) return;
+      seen.add(dedupeKey(tag));
+      sugeridas.push({ tag, tipo, termo });
+    });
+  });
+  const limit = max ?? maximo;
+  return {
+    hashtags: finalizeHashtags([...fixed, ...sugeridas.slice(0, limit).map(s => s.tag)], marca),
+    marca,
+    sugeridas
+  };
+}
+
+module.exports = { generateHashtags, finalizeHashtags, formatHashtag, countHashtags, brandHashtags, INSTAGRAM_LIMIT };
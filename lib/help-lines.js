@@ -0,0 +1,79 @@
+// Canais de ajuda na legenda (CVV 188, Ligue 180, Disque 100) para matérias sobre suicídio e
+// violência. Temas, regras de palavras e textos em config/canais-ajuda.json; a classificação por IA,
+// usada quando nenhuma regra casa, fica no server.js (tarefa 'apoio').
+const path = require('path');
+const fs = require('fs');
+const { compileTerms, fold } = require('./editorial-lint');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'canais-ajuda.json');
+
+let temas = null;
+
+function loadHelpLines() {
+  if (temas) return temas;
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  temas = Object.entries(config.temas || {}).map(([tema, def]) => ({
+    tema,
+    nome: def.nome,
+    descricao: def.descricao,
+    bloco: def.bloco,
+    regras: (def.regras || []).map(r => ({
+      matchTermos: compileTerms(r.termos),
+      matchComTermos: r.comTermos ? compileTerms(r.comTermos) : null
+    }))
+  }));
+  return temas;
+}
+
+// Temas configurados, para o prompt da IA e a interface
+const helpTopics = () => loadHelpLines().map(({ tema, nome, descricao }) => ({ tema, nome, descricao }));
+
+const splitSentences = (text) => String(text || '').split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+
+/**
+ * Temas com regra casando em alguma frase dos textos (título, descrição, trecho da matéria).
+ * @param {string[]} texts
+ * @returns {{ tema: string, nome: string, termo: string }[]} na ordem do arquivo
+ */
+function detectHelpTopics(texts) {
+  const sentences = [].concat(texts || []).flatMap(splitSentences).map(s => fold(s.normalize('NFC')));
+  const found = [];
+  loadHelpLines().forEach(({ tema, nome, regras }) => {
+    for (const sentence of sentences) {
+      const regra = regras.find(r => r.matchTermos(sentence) && (!r.matchComTermos || r.matchComTermos(sentence)));
+      if (regra) {
+        found.push({ tema, nome, termo: regra.matchTermos(sentence)[0] });
+        return;
+      }
+    }
+  });
+  return found;
+}
+
+// Resposta da IA ("suicidio, violencia-mulher" ou "NENHUM") -> temas conhecidos, na ordem do arquivo
+function parseHelpClassification(answer) {
+  const text = fold(answer).toLowerCase();
+  return loadHelpLines()
+    .filter(({ tema }) => new RegExp(`(?<![\\w-])${tema}(?![\\w-])`).test(text))
+    .map(({ tema, nome }) => ({ tema, nome }));
+}
+
+// Texto que entra em {apoio}: um bloco por tema, na ordem do arquivo
+function helpBlock(found) {
+  const wanted = new Set((found || []).map(f => f.tema));
+  return loadHelpLines().filter(t => wanted.has(t.tema)).map(t => t.bloco).join('\n');
+}
+
+// Modelos salvos antes do {apoio} existir: o bloco entra depois do resumo (ou antes das hashtags, ou no fim)
+function withHelpPlaceholder(modelo) {
+  const text = String(modelo || '');
+  if (text.includes('{apoio}')) return text;
+  const lines = text.split('\n');
+  const resumo = lines.findIndex(line => line.includes('{resumo}'));
+  const idx = resumo >= 0 ? resumo + 1 : lines.findIndex(line => line.includes('{hashtags}'));
+  if (idx < 0) return `${text}\n\n{apoio}`;
+  lines.splice(idx, 0, ...(resumo >= 0 ? ['', '{apoio}'] : ['{apoio}', '']));
+  return lines.join('\n');
+}
+
+module.exports = { detectHelpTopics, parseHelpClassification, helpBlock, helpTopics, withHelpPlaceholder };
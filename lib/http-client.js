@@ -0,0 +1,251 @@
+// Cliente HTTP de saída (páginas, imagens, Groq, Graph API).
+// Segue redirecionamentos, aplica timeouts de conexão/leitura e limite de tamanho, descompacta
+// gzip/deflate/br, detecta o charset (cabeçalho ou <meta charset>) e repete GET/HEAD com backoff.
+// Mantém o contrato fetch-like do antigo makeHttpsRequest: nunca rejeita; falhas de rede
+// resolvem com { ok: false, status: 0, error }.
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+
+const DEFAULTS = {
+  maxRedirects: 5,
+  connectTimeout: 10000,
+  readTimeout: 30000,
+  maxBytes: 20 * 1024 * 1024,
+  retries: 2,
+  retryDelay: 400
+};
+
+const REDIRECT_CODES = new Set([301, 302, 303, 307, 308]);
+const RETRY_CODES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const IDEMPOTENT = new Set(['GET', 'HEAD']);
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function errorResponse(message, url, code) {
+  return {
+    ok: false,
+    status: 0,
+    statusText: message,
+    error: message,
+    code,
+    headers: {},
+    url,
+    redirected: false,
+    text: async () => '',
+    json: async () => ({ error: message }),
+    buffer: async () => Buffer.alloc(0)
+  };
+}
+
+// Charset: cabeçalho Content-Type, depois <meta charset> / http-equiv nos primeiros bytes de HTML/XML
+function detectCharset(headers, buffer) {
+  const contentType = String(headers['content-type'] || '');
+  const fromHeader = (contentType.match(/charset=["']?([\w.:-]+)/i) || [])[1];
+  if (fromHeader) return fromHeader.toLowerCase();
+  if (/html|xml/i.test(contentType) || !contentType) {
+    const head = buffer.subarray(0, 4096).toString('latin1');
+    const fromMeta = (head.match(/<meta[^>]+charset=["']?([\w.:-]+)/i) || [])[1]
+      || (head.match(/<\?xml[^>]+encoding=["']([\w.:-]+)["']/i) || [])[1];
+    if (fromMeta) return fromMeta.toLowerCase();
+  }
+  return 'utf-8';
+}
+
+function decodeBody(buffer, charset) {
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch {
+    // Rótulo desconhecido pelo TextDecoder
+    return buffer.toString('utf8');
+  }
+}
+
+function decompressor(encoding) {
+  switch (String(encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+// Uma única ida ao servidor (sem redirecionamento nem retry). Rejeita em erro de rede/timeout.
+function requestOnce(u, { method, headers, body, connectTimeout, readTimeout, maxBytes, policy }) {
+  return new Promise((resolve, reject) => {
+    const isHttps = u.protocol === 'https:';
+    const mod = isHttps ? https : http;
+    let settled = false;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(connectTimer);
+      req.destroy();
+      reject(err);
+    };
+
+    const req = mod.request({
+      method,
+      headers,
+      hostname: u.hostname,
+      port: u.port || (isHttps ? 443 : 80),
+      path: u.pathname + (u.search || ''),
+      ...(policy ? { lookup: policy.lookup } : {})
+    }, (res) => {
+      clearTimeout(connectTimer);
+      const decoder = method === 'HEAD' ? null : decompressor(res.headers['content-encoding']);
+      const stream = decoder ? res.pipe(decoder) : res;
+      const chunks = [];
+      let size = 0;
+      stream.on('data', (d) => {
+        size += d.length;
+        if (size > maxBytes) {
+          const err = new Error(`Resposta excede o limite de ${Math.round(maxBytes / 1024)} KB`);
+          err.retryable = false;
+          fail(err);
+          return;
+        }
+        chunks.push(d);
+      });
+      stream.on('end', () => {
+        if (settled) return;
+        settled = true;
+        resolve({ res, buffer: Buffer.concat(chunks) });
+      });
+      stream.on('error', (err) => fail(new Error(`Falha ao descompactar resposta: ${err.message}`)));
+      res.on('error', fail);
+    });
+
+    // Timeout de conexão: até o socket conectar; depois vale o de leitura (inatividade)
+    const connectTimer = setTimeout(() => fail(new Error(`Timeout de conexão (${connectTimeout} ms)`)), connectTimeout);
+    req.on('socket', (socket) => {
+      if (!socket.connecting) return clearTimeout(connectTimer);
+      socket.once(isHttps ? 'secureConnect' : 'connect', () => clearTimeout(connectTimer));
+    });
+    req.setTimeout(readTimeout, () => fail(new Error(`Timeout de leitura (${readTimeout} ms)`)));
+    req.on('error', fail);
+
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Requisição HTTP/HTTPS com a mesma interface do antigo makeHttpsRequest.
+ * `policy` (ver lib/url-policy.js) é checada na URL inicial e em cada redirecionamento; bloqueios
+ * resolvem com `code: 'URL_BLOQUEADA'`.
+ * @param {string} inputUrl
+ * @param {{ method?: string, headers?: object, body?: string|Buffer|object, maxRedirects?: number,
+ *   connectTimeout?: number, readTimeout?: number, maxBytes?: number, retries?: number, retryDelay?: number,
+ *   policy?: { check: Function, lookup: Function } }} options
+ * @returns {Promise<{ ok: boolean, status: number, statusText: string, headers: object, url: string,
+ *   redirected: boolean, error?: string, code?: string, text(): Promise<string>, json(): Promise<any>, buffer(): Promise<Buffer> }>}
+ */
+async function httpRequest(inputUrl, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  let method = String(opts.method || 'GET').toUpperCase();
+  let body = opts.body;
+  if (body && typeof body !== 'string' && !Buffer.isBuffer(body)) body = JSON.stringify(body);
+  const headers = { ...(opts.headers || {}) };
+  if (!Object.keys(headers).some(h => h.toLowerCase() === 'accept-encoding')) {
+    headers['Accept-Encoding'] = 'gzip, deflate, br';
+  }
+
+  let current;
+  try {
+    current = new URL(inputUrl);
+  } catch (err) {
+    return errorResponse(`URL inválida: ${inputUrl}`, inputUrl);
+  }
+
+  const maxAttempts = IDEMPOTENT.has(method) ? opts.retries + 1 : 1;
+  let redirects = 0;
+  let attempt = 0;
+
+  while (true) {
+    if (!/^https?:$/.test(current.protocol)) {
+      return errorResponse(`Protocolo não suportado: ${current.protocol}`, current.href);
+    }
+    if (opts.policy) {
+      try {
+        opts.policy.check(current);
+      } catch (err) {
+        console.log(`🚫 ${err.message}`);
+        return errorResponse(err.message, current.href, err.code);
+      }
+    }
+
+    let result;
+    try {
+      result = await requestOnce(current, { ...opts, method, headers, body });
+    } catch (err) {
+      attempt++;
+      if (attempt < maxAttempts && err.retryable !== false && err.code !== 'URL_BLOQUEADA') {
+        const wait = opts.retryDelay * 2 ** (attempt - 1);
+        console.log(`🔁 ${method} ${current.href} falhou (${err.message}); nova tentativa em ${wait} ms`);
+        await sleep(wait);
+        continue;
+      }
+      if (err.code === 'URL_BLOQUEADA') console.log(`🚫 ${err.message}`);
+      return errorResponse(err.message, current.href, err.code === 'URL_BLOQUEADA' ? err.code : undefined);
+    }
+
+    const { res, buffer } = result;
+    const status = res.statusCode;
+
+    if (REDIRECT_CODES.has(status) && res.headers.location) {
+      if (++redirects > opts.maxRedirects) {
+        return errorResponse(`Redirecionamentos demais (mais de ${opts.maxRedirects})`, current.href);
+      }
+      const next = new URL(res.headers.location, current);
+      // 303 (e 301/302 em POST, como os navegadores) viram GET sem corpo
+      if (status === 303 || ((status === 301 || status === 302) && method === 'POST')) {
+        method = 'GET';
+        body = undefined;
+        for (const h of Object.keys(headers)) {
+          if (/^content-(type|length)$/i.test(h)) delete headers[h];
+        }
+      }
+      // Não repassar credenciais para outro host
+      if (next.host !== current.host) {
+        for (const h of Object.keys(headers)) {
+          if (/^(authorization|cookie)$/i.test(h)) delete headers[h];
+        }
+      }
+      current = next;
+      continue;
+    }
+
+    if (RETRY_CODES.has(status) && ++attempt < maxAttempts) {
+      const retryAfter = parseInt(res.headers['retry-after'], 10);
+      const wait = Number.isFinite(retryAfter) ? Math.min(retryAfter * 1000, 10000) : opts.retryDelay * 2 ** (attempt - 1);
+      console.log(`🔁 ${method} ${current.href} respondeu ${status}; nova tentativa em ${wait} ms`);
+      await sleep(wait);
+      continue;
+    }
+
+    let text = null;
+    const getText = () => {
+      if (text === null) text = decodeBody(buffer, detectCharset(res.headers, buffer));
+      return text;
+    };
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: res.statusMessage,
+      headers: res.headers,
+      url: current.href,
+      redirected: redirects > 0,
+      text: async () => getText(),
+      json: async () => { try { return JSON.parse(getText()); } catch { return {}; } },
+      buffer: async () => buffer
+    };
+  }
+}
+
+module.exports = { httpRequest, detectCharset };
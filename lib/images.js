@@ -0,0 +1,93 @@
+// Validação e normalização de imagens (baixadas ou enviadas pelo editor) antes da renderização.
+// Descobre o formato real pelos magic bytes (o Content-Type/extensão da URL não é confiável),
+// recusa o que não é imagem (página de erro HTML, etc.), converte WebP/AVIF/HEIC/GIF/BMP/TIFF
+// para JPEG/PNG (primeiro quadro, orientação EXIF aplicada) e avisa quando a resolução é baixa.
+const sharp = require('sharp');
+
+const INVALID = 'IMAGEM_INVALIDA';
+
+// Resolução mínima para o card 1080x1350 não ficar borrado (configurável por env)
+const MIN_WIDTH = parseInt(process.env.IMAGE_MIN_WIDTH || '600', 10);
+const MIN_HEIGHT = parseInt(process.env.IMAGE_MIN_HEIGHT || '600', 10);
+
+function invalidImage(message) {
+  const err = new Error(message);
+  err.code = INVALID;
+  return err;
+}
+
+/**
+ * Formato real da imagem pelos primeiros bytes.
+ * @param {Buffer} buffer
+ * @returns {'jpeg'|'png'|'gif'|'webp'|'avif'|'heic'|'bmp'|'tiff'|null}
+ */
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(0, 2) === 'BM') return 'bmp';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+  // ISO-BMFF: "ftyp" + marca principal (avif/avis ou heic/heix/mif1...)
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+  return null;
+}
+
+/**
+ * Valida e normaliza a imagem baixada ou enviada.
+ * @param {Buffer} buffer
+ * @param {{ minWidth?: number, minHeight?: number }} options
+ * @returns {Promise<{ buffer: Buffer, ext: string, format: string, originalFormat: string,
+ *   width: number, height: number, warnings: string[] }>} lança Error com code IMAGEM_INVALIDA
+ */
+async function normalizeImage(buffer, { minWidth = MIN_WIDTH, minHeight = MIN_HEIGHT } = {}) {
+  const originalFormat = sniffImageType(buffer);
+  if (!originalFormat) {
+    const head = buffer ? buffer.toString('utf8', 0, 200).trim() : '';
+    const hint = /^<(!doctype|html|\?xml)/i.test(head) ? ' (o servidor devolveu uma página HTML)' : '';
+    throw invalidImage(`O arquivo não é uma imagem${hint}`);
+  }
+
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (e) {
+    if (originalFormat === 'heic') throw invalidImage('Imagem HEIC não suportada por este servidor; envie JPEG ou PNG');
+    throw invalidImage(`Imagem ${originalFormat.toUpperCase()} corrompida ou ilegível: ${e.message}`);
+  }
+
+  let out = { buffer, ext: originalFormat === 'jpeg' ? 'jpg' : 'png', format: originalFormat };
+  const oriented = meta.orientation && meta.orientation > 1;
+  if (!['jpeg', 'png'].includes(originalFormat) || oriented) {
+    // Só o primeiro quadro (GIF/WebP animado); transparência vira PNG, o resto JPEG
+    const pipeline = sharp(buffer, { pages: 1 }).rotate();
+    // GIF sempre declara canal alfa; só vale PNG se houver pixel transparente de fato
+    const transparent = meta.hasAlpha && !(await sharp(buffer, { pages: 1 }).stats()).isOpaque;
+    out = transparent
+      ? { buffer: await pipeline.png().toBuffer(), ext: 'png', format: 'png' }
+      : { buffer: await pipeline.jpeg({ quality: 92 }).toBuffer(), ext: 'jpg', format: 'jpeg' };
+    console.log(`🔄 Imagem ${originalFormat.toUpperCase()}${meta.pages > 1 ? ` animada (${meta.pages} quadros)` : ''} convertida para ${out.format.toUpperCase()}`);
+  }
+
+  // Após .rotate() as dimensões de orientações 5-8 ficam trocadas
+  const swap = meta.orientation >= 5;
+  const width = swap ? meta.height : meta.width;
+  const height = swap ? meta.width : (meta.pageHeight || meta.height);
+
+  const warnings = [];
+  if (width < minWidth || height < minHeight) {
+    warnings.push(`Imagem de baixa resolução (${width}x${height}, mínimo recomendado ${minWidth}x${minHeight}): o card pode ficar borrado. Considere escolher outra foto.`);
+  }
+  if (meta.pages > 1) warnings.push('Imagem animada: foi usado apenas o primeiro quadro.');
+  warnings.forEach(w => console.log(`⚠️ ${w}`));
+
+  return { ...out, originalFormat, width, height, warnings };
+}
+
+module.exports = { normalizeImage, sniffImageType, IMAGEM_INVALIDA: INVALID };
@@ -0,0 +1,115 @@
+// Layouts dos cards como dados: cada um é um JSON em templates/layouts/<nome>.json (tamanho, recorte
+// da foto, camadas, caixas de texto, barra do chapéu e estilo do destaque), desenhado pelo motor de
+// lib/template-engine.js. Uma cópia em PERSIST_DIR/layouts/<nome>.json tem precedência, e os dois são
+// relidos quando mudam (mtime): ajustar posição ou fonte não exige mexer no código nem reiniciar.
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'templates', 'layouts');
+
+const QUEBRAS = ['nenhuma', 'palavras', 'equilibrada', 'linhas-fixas'];
+const RECORTES = ['centro', 'atencao', 'entropia'];
+const ALINHAMENTOS = ['left', 'center', 'right'];
+const BASES = ['top', 'middle', 'alphabetic', 'bottom'];
+
+const cached = new Map();
+
+const persistedDir = () => path.join(process.env.PERSIST_DIR || path.join(__dirname, '..', 'uploads'), 'layouts');
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+// Variante por cima do layout base: objetos são mesclados, o resto (inclusive listas) substituído
+function merge(base, over) {
+  const out = { ...base };
+  Object.entries(over || {}).forEach(([key, value]) => {
+    out[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  });
+  return out;
+}
+
+/**
+ * Problemas de um template já mesclado com a variante (lista vazia = válido).
+ * @returns {string[]}
+ */
+function validateTemplate(t) {
+  const erros = [];
+  if (!isObject(t)) return ['não é um objeto'];
+  if (!(t.largura > 0) || !(t.altura > 0)) erros.push('largura e altura devem ser positivas');
+  if (t.fundo && t.fundo.escala !== undefined && !(t.fundo.escala >= 1)) erros.push('fundo.escala deve ser >= 1');
+  const desfoque = t.fundo && t.fundo.desfoque;
+  if (desfoque && !(desfoque.limite >= 0 && desfoque.limite < 1)) erros.push('fundo.desfoque.limite deve estar entre 0 e 1');
+  if (desfoque && desfoque.brilho !== undefined && !(desfoque.brilho > 0)) erros.push('fundo.desfoque.brilho deve ser positivo');
+  if (desfoque && desfoque.sigma !== undefined && !(desfoque.sigma >= 0.3 && desfoque.sigma <= 1000)) erros.push('fundo.desfoque.sigma deve estar entre 0.3 e 1000');
+  if (t.fundo && t.fundo.recorte && !RECORTES.includes(t.fundo.recorte)) erros.push(`fundo.recorte deve ser ${RECORTES.join(', ')}`);
+  if (t.texto && !['sobre-fundo', 'camada'].includes(t.texto)) erros.push(`texto "${t.texto}" desconhecido`);
+  (t.camadas || []).forEach((c, i) => {
+    if (!c.imagem && !c.gradiente) erros.push(`camadas[${i}] sem imagem nem gradiente`);
+  });
+  if (!isObject(t.caixas) || !Object.keys(t.caixas).length) erros.push('nenhuma caixa de texto');
+  Object.entries(t.caixas || {}).forEach(([nome, c]) => {
+    if (typeof c.x !== 'number') erros.push(`caixas.${nome}.x deve ser um número`);
+    if (typeof c.y !== 'number' && !(isObject(c.y) && t.caixas[c.y.abaixoDe])) erros.push(`caixas.${nome}.y deve ser um número ou { abaixoDe: <caixa anterior> }`);
+    if (!c.fonte || !(c.fonte.tamanho > 0)) erros.push(`caixas.${nome}.fonte.tamanho deve ser positivo`);
+    if (c.quebra && !QUEBRAS.includes(c.quebra)) erros.push(`caixas.${nome}.quebra deve ser ${QUEBRAS.join(', ')}`);
+    if (c.quebra && c.quebra !== 'nenhuma' && !(c.largura > 0)) erros.push(`caixas.${nome}.largura é obrigatória com quebra`);
+    if (c.quebra === 'linhas-fixas' && !(c.maxLinhas > 0)) erros.push(`caixas.${nome}.maxLinhas é obrigatório em linhas-fixas`);
+    if (c.ajuste && c.quebra !== 'equilibrada') erros.push(`caixas.${nome}.ajuste só vale com a quebra equilibrada`);
+    if (c.ajuste && !(c.ajuste.tamanhoMinimo > 0 && c.ajuste.tamanhoMinimo <= (c.fonte && c.fonte.tamanho))) erros.push(`caixas.${nome}.ajuste.tamanhoMinimo deve estar entre 1 e fonte.tamanho`);
+    if (c.ajuste && c.ajuste.passo !== undefined && !(c.ajuste.passo > 0)) erros.push(`caixas.${nome}.ajuste.passo deve ser positivo`);
+    if (c.alinhamento && !ALINHAMENTOS.includes(c.alinhamento)) erros.push(`caixas.${nome}.alinhamento deve ser ${ALINHAMENTOS.join(', ')}`);
+    if (c.base && !BASES.includes(c.base)) erros.push(`caixas.${nome}.base deve ser ${BASES.join(', ')}`);
+    if (c.barra && !(c.barra.altura > 0)) erros.push(`caixas.${nome}.barra.altura deve ser positiva`);
+    if (c.barra && c.barra.cor === 'categoria' && !(t.cores && t.cores.padrao)) erros.push(`caixas.${nome}.barra usa a cor da categoria mas falta cores.padrao`);
+  });
+  return erros;
+}
+
+function readTemplate(nome, file, variante) {
+  const { mtimeMs } = fs.statSync(file);
+  let entry = cached.get(file);
+  if (!entry || entry.mtimeMs !== mtimeMs) {
+    entry = { mtimeMs, data: JSON.parse(fs.readFileSync(file, 'utf8')), variantes: new Map() };
+    cached.set(file, entry);
+    console.log(`🧩 Template de layout carregado: ${file}`);
+  }
+  const key = variante && entry.data.variantes && entry.data.variantes[variante] ? variante : '';
+  if (!entry.variantes.has(key)) {
+    const { variantes, ...base } = entry.data;
+    const template = { nome, variante: key || null, ...(key ? merge(base, variantes[key]) : base) };
+    const erros = validateTemplate(template);
+    if (erros.length) throw new Error(`Template "${nome}${key ? `/${key}` : ''}" inválido: ${erros.join('; ')}`);
+    entry.variantes.set(key, template);
+  }
+  return entry.variantes.get(key);
+}
+
+/**
+ * Template pronto para o motor, com a variante aplicada. Enquanto o arquivo não muda, devolve
+ * sempre o mesmo objeto (quem deriva dados dele pode guardar em cache pela referência). Uma cópia
+ * em PERSIST_DIR ilegível ou inválida é ignorada com aviso e vale a do repositório.
+ * @param {string} nome arquivo em templates/layouts sem o .json (ex.: 'layout1')
+ * @param {string} [variante] chave de `variantes` (ex.: 'story'); inexistente = layout base
+ * @throws {Error} template inexistente ou inválido
+ */
+function loadTemplate(nome, variante) {
+  if (!/^[a-z0-9-]+$/i.test(String(nome))) throw new Error(`Nome de template inválido: ${nome}`);
+  const persisted = path.join(persistedDir(), `${nome}.json`);
+  if (fs.existsSync(persisted)) {
+    try {
+      return readTemplate(nome, persisted, variante);
+    } catch (e) {
+      console.log(`⚠️ Template ${persisted} ignorado: ${e.message}`);
+    }
+  }
+  return readTemplate(nome, path.join(DEFAULT_DIR, `${nome}.json`), variante);
+}
+
+// Nomes dos templates disponíveis (repositório + PERSIST_DIR)
+function listTemplates() {
+  const names = new Set();
+  [DEFAULT_DIR, persistedDir()].forEach(dir => {
+    if (fs.existsSync(dir)) fs.readdirSync(dir).filter(f => f.endsWith('.json')).forEach(f => names.add(f.slice(0, -5)));
+  });
+  return [...names].sort();
+}
+
+module.exports = { loadTemplate, listTemplates, validateTemplate };
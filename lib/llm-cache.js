@@ -0,0 +1,90 @@
+// Cache persistente das respostas da IA (lib/llm.js): mesma tarefa, versão do prompt, modelos e
+// entrada normalizada dentro do prazo de validade devolvem a resposta guardada, sem nova chamada.
+// Tudo fica em <dir>/llm-cache.json; entradas vencidas saem na próxima gravação e, passando de
+// MAX_ENTRADAS, as mais antigas são descartadas.
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const MAX_ENTRADAS = 3000;
+
+// Espaços e forma Unicode não mudam a chave ("Título  " = "Título")
+const normalizeText = (text) => String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+/**
+ * Chave do cache para uma chamada.
+ * @param {{ task: string, versao?: number|string, modelos: string, messages: { role: string, content: string }[] }} parts
+ *   `modelos`: provedor/modelo de cada candidato, na ordem (trocar de modelo invalida o cache).
+ */
+function cacheKey({ task, versao = 1, modelos, messages }) {
+  const input = (messages || []).map(m => `${m.role}:${normalizeText(m.content)}`).join('\n');
+  const hash = crypto.createHash('sha256').update(input).digest('hex').slice(0, 32);
+  return `${task}|v${versao}|${modelos}|${hash}`;
+}
+
+/**
+ * @param {{ dir: string, now?: () => number }} options `now` existe para os testes (relógio controlado)
+ */
+function createLlmCache({ dir, now = Date.now }) {
+  const file = path.join(dir, 'llm-cache.json');
+  let state = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (state) return state;
+    try {
+      state = await fs.readJson(file);
+    } catch {
+      state = { entradas: {} };
+    }
+    state.entradas = state.entradas || {};
+    return state;
+  }
+
+  // Escritas em série para não corromper o JSON com chamadas concorrentes
+  function save() {
+    writing = writing.then(async () => {
+      const t = now();
+      const vivas = Object.entries(state.entradas)
+        .filter(([, e]) => e.expira > t)
+        .sort((a, b) => b[1].em - a[1].em)
+        .slice(0, MAX_ENTRADAS);
+      state.entradas = Object.fromEntries(vivas);
+      await fs.ensureDir(dir);
+      const tmp = `${file}.tmp`;
+      await fs.writeJson(tmp, state);
+      await fs.move(tmp, file, { overwrite: true });
+    }).catch(err => console.log('⚠️ Falha ao salvar cache da IA:', err.message));
+    return writing;
+  }
+
+  return {
+    // Resposta guardada e ainda válida, ou null
+    async get(key) {
+      const { entradas } = await load();
+      const entry = entradas[key];
+      return entry && entry.expira > now() ? entry.valor : null;
+    },
+
+    async set(key, valor, ttlMs) {
+      await load();
+      const t = now();
+      state.entradas[key] = { em: t, expira: t + ttlMs, valor };
+      await save();
+    },
+
+    async clear() {
+      await load();
+      state.entradas = {};
+      await save();
+    },
+
+    async size() {
+      const { entradas } = await load();
+      const t = now();
+      return Object.values(entradas).filter(e => e.expira > t).length;
+    }
+  };
+}
+
+module.exports = { createLlmCache, cacheKey, normalizeText };
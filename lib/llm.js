@@ -0,0 +1,184 @@
+// Camada de provedores de IA: qualquer endpoint compatível com a API da OpenAI (/chat/completions),
+// como Groq, llama.cpp (llama-server) ou Ollama. Provedores, ordem de tentativa e parâmetros por
+// tarefa (modelo, temperature, max tokens, timeout) ficam em config/llm.json (ou LLM_CONFIG_PATH).
+// Se um provedor falha (rede, timeout, 429, 5xx, resposta vazia) o próximo da cadeia é tentado;
+// provedor com 429 ou fora do ar fica em pausa por um tempo para não atrasar as próximas chamadas.
+// Assim como o httpRequest, complete() nunca rejeita: falhas resolvem com { ok: false, error }.
+// Com um cache (lib/llm-cache.js), respostas repetidas saem dele e chamadas iguais simultâneas
+// compartilham a mesma requisição; withoutCache() força respostas novas (botão "Regenerar" da UI).
+const path = require('path');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { httpRequest } = require('./http-client');
+const { cacheKey } = require('./llm-cache');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'llm.json');
+const DEFAULT_TASK = { temperature: 0.2, maxTokens: 200, timeout: 20000 };
+const RATE_LIMIT_PAUSE_MS = 60000;
+const DOWN_PAUSE_MS = 30000;
+const DEFAULT_CACHE_HOURS = 24;
+
+// "local" -> LLM_LOCAL_BASE_URL, "meu-servidor" -> LLM_MEU_SERVIDOR_BASE_URL
+const envName = (name) => String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+function loadLlmConfig(file = process.env.LLM_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.log(`⚠️ Falha ao ler configuração de IA (${file}): ${e.message}`);
+    return { cadeia: [], provedores: {}, tarefas: {} };
+  }
+}
+
+// Provedores do arquivo com chaves/URLs/modelos vindos do ambiente
+function resolveProviders(config, env) {
+  return Object.entries(config.provedores || {}).map(([name, def]) => {
+    const key = envName(name);
+    const baseUrl = String(env[`LLM_${key}_BASE_URL`] || def.baseUrl || '').replace(/\/+$/, '');
+    const apiKey = (def.apiKeyEnv && env[def.apiKeyEnv]) || env[`LLM_${key}_API_KEY`] || '';
+    const model = env[`LLM_${key}_MODEL`] || (def.modelEnv && env[def.modelEnv]) || def.model || '';
+    const missing = !baseUrl ? 'sem baseUrl' : !model ? 'sem modelo' : (def.exigeChave && !apiKey) ? `sem ${def.apiKeyEnv || 'chave'}` : '';
+    return { name, baseUrl, apiKey, model, enabled: !missing, reason: missing };
+  });
+}
+
+/**
+ * @param {{ config?: object, env?: object, request?: Function, now?: () => number, cache?: object }} [options]
+ *   `request` e `now` existem para os testes (servidor falso e relógio controlado).
+ *   `cache`: createLlmCache(); validade em config.cache.horas, por tarefa em `cacheHoras` (0 desliga)
+ *   e `versao` da tarefa entra na chave (suba ao mudar o prompt).
+ */
+function createLlmClient({ config = loadLlmConfig(), env = process.env, request = httpRequest, now = Date.now, cache = null } = {}) {
+  const all = resolveProviders(config, env);
+  const byName = new Map(all.map(p => [p.name, p]));
+  const chainNames = (env.LLM_CHAIN ? env.LLM_CHAIN.split(',') : (config.cadeia || all.map(p => p.name)))
+    .map(n => n.trim()).filter(Boolean);
+  const pausedUntil = new Map();
+  const inFlight = new Map();
+  const noCache = new AsyncLocalStorage();
+
+  chainNames.filter(n => !byName.has(n)).forEach(n => console.log(`⚠️ Provedor de IA "${n}" na cadeia não existe na configuração`));
+  const chain = chainNames.map(n => byName.get(n)).filter(Boolean);
+
+  const taskConfig = (task, overrides = {}) => ({ ...DEFAULT_TASK, ...((config.tarefas || {})[task] || {}), ...overrides });
+
+  const pause = (provider, ms, why) => {
+    pausedUntil.set(provider.name, now() + ms);
+    console.log(`⏸️ Provedor de IA ${provider.name} em pausa por ${Math.round(ms / 1000)}s (${why})`);
+  };
+
+  const modelFor = (provider, cfg, overrides) => overrides.model || (cfg.modelos && cfg.modelos[provider.name]) || provider.model;
+
+  const cacheTtlMs = (cfg) => {
+    const horas = cfg.cacheHoras ?? (config.cache || {}).horas ?? DEFAULT_CACHE_HOURS;
+    return cache && horas > 0 ? horas * 3600 * 1000 : 0;
+  };
+
+  /**
+   * Uma chamada de chat na cadeia de provedores (ou a resposta guardada no cache).
+   * @param {string} task nome da tarefa em config.tarefas (titulo, chapeu, legenda, destaque...)
+   * @param {{ role: string, content: string }[]} messages
+   * @param {{ temperature?: number, maxTokens?: number, timeout?: number, model?: string, cache?: boolean }} [overrides]
+   *   `cache: false` ignora a resposta guardada (a nova substitui a antiga).
+   * @returns {Promise<{ ok: boolean, text?: string, provider?: string, model?: string, error?: string, cached?: boolean,
+   *   attempts: { provider: string, model: string, status: number, error?: string }[] }>}
+   */
+  async function complete(task, messages, overrides = {}) {
+    const cfg = taskConfig(task, overrides);
+    const names = Array.isArray(cfg.cadeia) ? cfg.cadeia : null;
+    const candidates = (names ? names.map(n => byName.get(n)).filter(Boolean) : chain).filter(p => p.enabled);
+    if (!candidates.length) return callProviders(task, messages, cfg, overrides, candidates);
+
+    const fresh = overrides.cache === false || noCache.getStore() === true;
+    const ttlMs = cacheTtlMs(cfg);
+    const modelos = candidates.map(p => `${p.name}/${modelFor(p, cfg, overrides)}`).join(',');
+    const key = cacheKey({ task, versao: cfg.versao, modelos, messages });
+    // Pedido de resposta nova não aproveita uma chamada em andamento que pode sair do cache
+    const flightKey = fresh ? `${key}|nova` : key;
+    if (inFlight.has(flightKey)) {
+      console.log(`🔗 Tarefa "${task}" aguardando chamada igual em andamento`);
+      return inFlight.get(flightKey);
+    }
+
+    const run = (async () => {
+      if (ttlMs && !fresh) {
+        const hit = await cache.get(key);
+        if (hit) {
+          console.log(`💾 Tarefa "${task}" respondida pelo cache (${hit.provider}/${hit.model})`);
+          return { ok: true, ...hit, cached: true, attempts: [] };
+        }
+      }
+      const result = await callProviders(task, messages, cfg, overrides, candidates);
+      if (result.ok && ttlMs) await cache.set(key, { text: result.text, provider: result.provider, model: result.model }, ttlMs);
+      return result;
+    })();
+    inFlight.set(flightKey, run);
+    try {
+      return await run;
+    } finally {
+      inFlight.delete(flightKey);
+    }
+  }
+
+  async function callProviders(task, messages, cfg, overrides, candidates) {
+    const attempts = [];
+
+    for (const provider of candidates) {
+      const model = modelFor(provider, cfg, overrides);
+      if ((pausedUntil.get(provider.name) || 0) > now()) {
+        attempts.push({ provider: provider.name, model, status: 0, error: 'em pausa' });
+        continue;
+      }
+
+      const resp = await request(`${provider.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(provider.apiKey ? { Authorization: `Bearer ${provider.apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, messages, max_tokens: cfg.maxTokens, temperature: cfg.temperature }),
+        connectTimeout: Math.min(cfg.timeout, 5000),
+        readTimeout: cfg.timeout,
+        retries: 0
+      });
+
+      if (!resp.ok) {
+        const detail = resp.status ? `HTTP ${resp.status}` : resp.error;
+        attempts.push({ provider: provider.name, model, status: resp.status, error: detail });
+        console.log(`⚠️ IA ${provider.name}/${model} falhou na tarefa "${task}": ${detail}`);
+        if (resp.status === 429) {
+          const retryAfter = parseInt(resp.headers && resp.headers['retry-after'], 10);
+          pause(provider, Number.isFinite(retryAfter) ? retryAfter * 1000 : RATE_LIMIT_PAUSE_MS, 'limite de requisições');
+        } else if (!resp.status) {
+          pause(provider, DOWN_PAUSE_MS, detail);
+        }
+        continue;
+      }
+
+      let data = null;
+      try { data = await resp.json(); } catch {}
+      const text = String(data?.choices?.[0]?.message?.content || '').trim();
+      if (!text) {
+        attempts.push({ provider: provider.name, model, status: resp.status, error: 'resposta vazia' });
+        console.log(`⚠️ IA ${provider.name}/${model} devolveu resposta vazia na tarefa "${task}"`);
+        continue;
+      }
+      if (attempts.length) console.log(`🔁 Tarefa "${task}" atendida pelo provedor reserva ${provider.name}`);
+      return { ok: true, text, provider: provider.name, model, attempts };
+    }
+
+    const error = candidates.length ? 'Todos os provedores de IA falharam' : 'Nenhum provedor de IA configurado';
+    return { ok: false, error, attempts };
+  }
+
+  return {
+    complete,
+    // Executa fn com as chamadas de IA ignorando o cache (respostas novas substituem as guardadas)
+    withoutCache: (fn) => noCache.run(true, fn),
+    enabled: () => chain.some(p => p.enabled),
+    // Resumo seguro para logs e /api/env-check (sem chaves)
+    describe: () => chain.map(p => ({ name: p.name, model: p.model, enabled: p.enabled, ...(p.reason ? { reason: p.reason } : {}) }))
+  };
+}
+
+module.exports = { createLlmClient, loadLlmConfig };
@@ -0,0 +1,346 @@
+// Motor de templates dos cards: um único renderizador para todos os layouts declarados em JSON
+// (lib/layout-templates.js). Quem chama decide o conteúdo (chapéu, título, destaque, categoria);
+// o template decide onde e como cada coisa é desenhada.
+//
+// Formato do template:
+//   largura, altura          tamanho final em px
+//   fundo                    { ajuste: 'cover'|'contain'|..., recorte?, posicao?, escala?: >= 1, girarExif?, recodificar?,
+//                            desfoque? }
+//                            no 'cover', a parte da foto que fica é a do ponto de foco de quem chama (`foco`,
+//                            0–100% em x/y da foto) ou, sem ele, a escolhida por `recorte`: 'atencao' (rostos,
+//                            cores fortes), 'entropia' (mais detalhe) ou 'centro'; `posicao` é a gravidade do
+//                            sharp para os outros ajustes. Com escala > 1 a foto é ampliada e recortada em
+//                            `posicao` (0–100% em x/y, vinda de quem chama); `recodificar` grava o fundo no
+//                            formato da foto antes das camadas
+//                            desfoque { limite, sigma?, brilho?, centroY? }: quando o cover cortaria mais que
+//                            `limite` (0–1) da foto, ela entra inteira (centrada em `centroY` px) sobre uma cópia
+//                            ampliada, desfocada (`sigma`) e escurecida (`brilho`); quem chama pode forçar com
+//                            `modoFoto` 'cortar' | 'desfocado'
+//   camadas                  [{ imagem: 'overlay.png' (em templates/), opcional? } | { gradiente: { de, ate,
+//                            direcao?: 'vertical'|'horizontal' }, mistura?: modo de blend do sharp }]
+//   texto                    'sobre-fundo' (canvas sobre fundo+camadas) | 'camada' (canvas transparente
+//                            composto por cima pelo sharp)
+//   cores                    cor da barra por categoria ('padrao' quando a categoria não está na lista)
+//   caixas                   { <nome>: caixa }, desenhadas na ordem; o texto vem de `textos[<nome>]`
+//
+// Caixa: x, y (número ou { abaixoDe: <caixa>, espaco } — fica de fora se a outra não tiver texto),
+// largura (máxima do texto), alturaLinha, maxLinhas, cortarExcesso (padrão true), fonte { familia?, peso,
+// tamanho }, cor, alinhamento, base (textBaseline), quebra:
+//   'nenhuma'       uma linha só
+//   'palavras'      quebra gulosa pela largura medida da linha inteira
+//   'equilibrada'   palavra a palavra pela largura real de cada uma (destaque no estilo `destaque` { peso?,
+//                   cor?, palavras }), com linhas de tamanho parecido e sem linha de uma palavra só quando
+//                   dá para evitar; se não couber em maxLinhas, a fonte diminui até `ajuste` { tamanhoMinimo,
+//                   passo? } (alturaLinha acompanha) e só então o excesso é cortado
+//   'linhas-fixas'  distribui as palavras igualmente em `maxLinhas` linhas
+// barra (opcional, uma por linha): { cor ('categoria' = cores do template), altura, paddingX, paddingTopo?,
+// larguraMinima?, arredondar? }. Com barra, (x, y) é o canto da barra e o texto fica dentro dela.
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { createCanvas, loadImage } = require('canvas');
+const { boxLayout, fitTitle } = require('./title-layout');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const FAMILIA_PADRAO = '"Poppins", Arial, sans-serif';
+
+const RECORTES = { atencao: sharp.strategy.attention, entropia: sharp.strategy.entropy, centro: 'centre' };
+const MODOS_FOTO = ['cortar', 'desfocado'];
+
+const clampPct = (v) => Math.min(100, Math.max(0, Number(v) || 0));
+const fontOf = (fonte, peso = fonte.peso) => `${peso} ${fonte.tamanho}px ${fonte.familia || FAMILIA_PADRAO}`;
+const countWords = (lines) => lines.reduce((n, line) => n + (Array.isArray(line) ? line.length : line.split(' ').length), 0);
+
+function barColor(template, cor, categoria) {
+  if (cor !== 'categoria') return cor;
+  const cores = template.cores || {};
+  return cores[String(categoria || '').toLowerCase()] || cores.padrao;
+}
+
+// Largura e altura da foto como o sharp vai redimensioná-la (trocam com a rotação do EXIF)
+async function photoSize(imagem, girarExif) {
+  const { width, height, orientation } = await sharp(imagem).metadata();
+  return girarExif && orientation >= 5 ? [height, width] : [width, height];
+}
+
+// Foto inteira no meio do card, sobre uma cópia dela ampliada para cobrir tudo, desfocada e escurecida
+async function renderBlurred(template, imagem, desfoque = {}) {
+  const { largura, altura } = template;
+  const { sigma = 30, brilho = 0.6, centroY = altura / 2 } = desfoque;
+  const { girarExif, recodificar } = template.fundo || {};
+  const source = () => (girarExif ? sharp(imagem).rotate() : sharp(imagem));
+  const fundo = await source().resize(largura, altura, { fit: 'cover' }).blur(sigma).modulate({ brightness: brilho }).toBuffer();
+  const foto = await source().resize(largura, altura, { fit: 'inside' }).toBuffer({ resolveWithObject: true });
+  const top = Math.min(altura - foto.info.height, Math.max(0, Math.round(centroY - foto.info.height / 2)));
+  const image = sharp(fundo).composite([{ input: foto.data, left: Math.round((largura - foto.info.width) / 2), top }]);
+  // composite substitui o anterior: o fundo vai pronto para as camadas do template
+  return sharp(await (recodificar ? image : image.png()).toBuffer());
+}
+
+// Foto redimensionada (e recortada, com foco ou escala) para o tamanho do template
+async function renderCropped(template, imagem, { posicao = {}, foco } = {}) {
+  const { largura, altura } = template;
+  const { ajuste = 'cover', recorte, posicao: position, escala = 1, girarExif, recodificar } = template.fundo || {};
+  const cover = ajuste === 'cover';
+  const options = { fit: ajuste };
+  if (cover && RECORTES[recorte]) options.position = RECORTES[recorte];
+  else if (position) options.position = position;
+  const w = Math.round(largura * escala);
+  const h = Math.round(altura * escala);
+  let image = sharp(imagem);
+  if (girarExif) image = image.rotate();
+  let left = 0;
+  let top = 0;
+  if (cover && foco) {
+    // Foto inteira na escala do cover e a janela centrada no foco, sem passar da borda
+    const [fw, fh] = await photoSize(imagem, girarExif);
+    const fator = Math.max(w / fw, h / fh);
+    const rw = Math.max(w, Math.round(fw * fator));
+    const rh = Math.max(h, Math.round(fh * fator));
+    image = image.resize(rw, rh);
+    left = Math.min(rw - w, Math.max(0, Math.round(rw * clampPct(foco.x) / 100 - w / 2)));
+    top = Math.min(rh - h, Math.max(0, Math.round(rh * clampPct(foco.y) / 100 - h / 2)));
+  } else {
+    image = image.resize(w, h, options);
+  }
+  if (escala > 1 || (cover && foco)) {
+    image = image.extract({
+      left: left + Math.round((w - largura) * (posicao.x ?? 50) / 100),
+      top: top + Math.round((h - altura) * (posicao.y ?? 50) / 100),
+      width: largura,
+      height: altura
+    });
+  }
+  return recodificar ? sharp(await image.toBuffer()) : image;
+}
+
+/**
+ * Fundo do card: a foto recortada para preencher ou, com o modo desfocado, inteira sobre ela mesma
+ * desfocada. Sem `modoFoto` de quem chama, o desfocado entra quando o recorte perderia mais que
+ * `fundo.desfoque.limite` da foto.
+ * @returns {Promise<{ image: import('sharp').Sharp, modo: 'cortar'|'desfocado', perda: number }>} `perda`:
+ *   fração da foto (0–1) que o recorte para preencher cortaria
+ */
+async function renderBackground(template, imagem, dados = {}) {
+  const { ajuste = 'cover', girarExif, desfoque } = template.fundo || {};
+  if (ajuste !== 'cover') return { image: await renderCropped(template, imagem, dados), modo: 'cortar', perda: 0 };
+  const [fw, fh] = await photoSize(imagem, girarExif);
+  const foto = fw / fh;
+  const card = template.largura / template.altura;
+  const perda = Math.round((1 - Math.min(foto / card, card / foto)) * 100) / 100;
+  const modo = MODOS_FOTO.includes(dados.modoFoto) ? dados.modoFoto
+    : desfoque && perda > desfoque.limite ? 'desfocado' : 'cortar';
+  const image = modo === 'desfocado'
+    ? await renderBlurred(template, imagem, desfoque)
+    : await renderCropped(template, imagem, dados);
+  return { image, modo, perda };
+}
+
+async function renderLayers(template) {
+  const layers = [];
+  for (const camada of template.camadas || []) {
+    if (camada.imagem) {
+      const file = path.join(TEMPLATES_DIR, camada.imagem);
+      if (!(await fs.pathExists(file))) {
+        if (camada.opcional) {
+          console.log(`⚠️ Overlay ${camada.imagem} não encontrado, gerando sem ele`);
+          continue;
+        }
+        throw new Error(`Template overlay não encontrado: ${camada.imagem}`);
+      }
+      console.log(`🖼️ Overlay: ${file}`);
+      layers.push({ input: await fs.readFile(file), top: 0, left: 0 });
+    } else {
+      const { de, ate, direcao } = camada.gradiente;
+      const fim = direcao === 'horizontal' ? 'x2="100%" y2="0%"' : 'x2="0%" y2="100%"';
+      layers.push({
+        input: Buffer.from(`
+          <svg width="${template.largura}" height="${template.altura}">
+            <defs>
+              <linearGradient id="grad" x1="0%" y1="0%" ${fim}>
+                <stop offset="0%" style="stop-color:${de};stop-opacity:1" />
+                <stop offset="100%" style="stop-color:${ate};stop-opacity:1" />
+              </linearGradient>
+            </defs>
+            <rect width="100%" height="100%" fill="url(#grad)"/>
+          </svg>
+        `),
+        blend: camada.mistura || 'over'
+      });
+    }
+  }
+  return layers;
+}
+
+// Quebra gulosa medindo a linha inteira (kerning entre palavras incluído)
+function wrapWords(ctx, text, largura) {
+  const lines = [];
+  let current = '';
+  for (const word of text.split(' ')) {
+    const test = current ? `${current} ${word}` : word;
+    if (ctx.measureText(test).width <= largura) {
+      current = test;
+    } else {
+      if (current) lines.push(current);
+      current = word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+// Mesmo número de palavras por linha; o que estoura a largura desce para a linha seguinte
+function wrapFixedLines(ctx, text, largura, maxLinhas) {
+  const words = text.trim().split(' ');
+  const perLine = Math.ceil(words.length / maxLinhas);
+  const lines = [];
+  for (let i = 0; i < maxLinhas; i++) {
+    const start = i * perLine;
+    const end = Math.min(start + perLine, words.length);
+    let line = words.slice(start, end).join(' ');
+    while (ctx.measureText(line).width > largura && line.includes(' ')) {
+      const lastSpace = line.lastIndexOf(' ');
+      const removed = line.substring(lastSpace + 1);
+      line = line.substring(0, lastSpace);
+      if (i < maxLinhas - 1 && end < words.length) words.splice(end, 0, removed);
+    }
+    if (line.trim()) lines.push(line.trim());
+  }
+  return lines;
+}
+
+// Linhas da caixa e a caixa como será desenhada (com a fonte reduzida, na quebra equilibrada)
+function layoutLines(ctx, box, text, destaque) {
+  switch (box.quebra) {
+    case 'equilibrada': {
+      const { lines, fontSize } = fitTitle(text.split(' '), destaque, boxLayout(box));
+      if (fontSize === box.fonte.tamanho) return { lines, box };
+      const alturaLinha = Math.round((box.alturaLinha || box.fonte.tamanho) * fontSize / box.fonte.tamanho);
+      return { lines, box: { ...box, fonte: { ...box.fonte, tamanho: fontSize }, alturaLinha } };
+    }
+    case 'linhas-fixas':
+      return { lines: wrapFixedLines(ctx, text, box.largura, box.maxLinhas), box };
+    case 'palavras': {
+      const lines = wrapWords(ctx, text, box.largura);
+      return { lines: box.maxLinhas && box.cortarExcesso !== false ? lines.slice(0, box.maxLinhas) : lines, box };
+    }
+    default:
+      return { lines: text ? [text] : [], box };
+  }
+}
+
+// Linha palavra a palavra, cada uma no seu peso (destaque)
+function drawWords(ctx, box, words, x, y) {
+  let currentX = x;
+  words.forEach((word, i) => {
+    const isBold = word.isBold && box.destaque;
+    ctx.font = fontOf(box.fonte, isBold ? box.destaque.peso || box.fonte.peso : box.fonte.peso);
+    ctx.fillStyle = (isBold && box.destaque.cor) || box.cor;
+    const text = (word.text || '').normalize('NFC');
+    ctx.fillText(text, currentX, y);
+    currentX += ctx.measureText(text).width;
+    if (i < words.length - 1) currentX += ctx.measureText(' ').width;
+  });
+}
+
+const lineHeightOf = (box) => box.alturaLinha || (box.barra ? box.barra.altura : box.fonte.tamanho);
+
+function drawBox(ctx, template, box, lines, y, categoria) {
+  const alturaLinha = lineHeightOf(box);
+  lines.forEach((line, index) => {
+    const lineY = y + index * alturaLinha;
+    let textX = box.x;
+    let textY = lineY;
+    ctx.font = fontOf(box.fonte);
+    if (box.barra) {
+      const { altura, paddingX = 0, paddingTopo = 0, larguraMinima = 0, arredondar } = box.barra;
+      const { width } = ctx.measureText(Array.isArray(line) ? line.map(w => w.text).join(' ') : line);
+      const largura = Math.max(arredondar ? Math.ceil(width + paddingX * 2) : width + paddingX * 2, larguraMinima);
+      ctx.fillStyle = barColor(template, box.barra.cor, categoria);
+      ctx.fillRect(box.x, lineY, largura, altura);
+      textX = box.alinhamento === 'center' ? box.x + largura / 2
+        : box.alinhamento === 'right' ? box.x + largura - paddingX
+          : box.x + paddingX;
+      textY = box.base === 'middle' ? lineY + altura / 2
+        : box.base === 'top' ? lineY + paddingTopo
+          : lineY + altura - paddingTopo;
+    }
+    ctx.fillStyle = box.cor;
+    ctx.textAlign = box.alinhamento || 'left';
+    ctx.textBaseline = box.base || 'top';
+    if (Array.isArray(line)) drawWords(ctx, box, line, textX, textY);
+    else ctx.fillText(line, textX, textY);
+  });
+}
+
+// Todas as caixas, na ordem do template; retorna o relatório por caixa
+function drawBoxes(ctx, template, { textos = {}, categoria, destaque }) {
+  const caixas = {};
+  Object.entries(template.caixas).forEach(([nome, box]) => {
+    const text = textos[nome] == null ? '' : String(textos[nome]);
+    let y = box.y;
+    if (typeof y === 'object') {
+      const anchor = caixas[y.abaixoDe];
+      if (!anchor || !anchor.linhas) return;
+      y = anchor.y + anchor.linhas * anchor.alturaLinha + (y.espaco || 0);
+    }
+    if (!text) {
+      caixas[nome] = { linhas: 0, palavras: 0, palavrasCortadas: 0, y, tamanhoFonte: box.fonte.tamanho, alturaLinha: lineHeightOf(box) };
+      return;
+    }
+    ctx.font = fontOf(box.fonte);
+    const { lines, box: drawn } = layoutLines(ctx, box, text, destaque);
+    drawBox(ctx, template, drawn, lines, y, categoria);
+    const palavras = text.split(' ').length;
+    caixas[nome] = {
+      linhas: lines.length,
+      palavras,
+      palavrasCortadas: Math.max(0, palavras - countWords(lines)),
+      y,
+      tamanhoFonte: drawn.fonte.tamanho,
+      alturaLinha: lineHeightOf(drawn),
+      texto: lines
+    };
+    const reduzida = drawn.fonte.tamanho < box.fonte.tamanho ? `, fonte reduzida para ${drawn.fonte.tamanho}px` : '';
+    console.log(`✅ Caixa "${nome}" desenhada: ${lines.length} linha(s)${reduzida}`);
+  });
+  return caixas;
+}
+
+/**
+ * Desenha um card a partir do template.
+ * @param {object} template retorno de loadTemplate (lib/layout-templates.js)
+ * @param {{ imagem: string|Buffer, textos: Object<string, string>, categoria?: string,
+ *   destaque?: { boldStart: number, boldLength: number }, posicao?: { x?: number, y?: number },
+ *   foco?: { x: number, y: number }, modoFoto?: 'cortar'|'desfocado' }} dados
+ *   `textos` por nome de caixa (ex.: { chapeu, titulo }), já sem entidades HTML; `foco` é o ponto da
+ *   foto (0–100% em x/y) escolhido pelo editor, que fica o mais perto possível do centro do recorte;
+ *   `modoFoto` força o recorte ou a foto inteira sobre fundo desfocado (sem ele, decide `fundo.desfoque`)
+ * @returns {Promise<{ buffer: Buffer, caixas: Object<string, { linhas: number, palavras: number, palavrasCortadas: number,
+ *   tamanhoFonte: number, alturaLinha: number }>, fundo: { modo: 'cortar'|'desfocado', perda: number } }>}
+ *   `tamanhoFonte`/`alturaLinha` como desenhados (menores que os do template quando a quebra equilibrada
+ *   precisou reduzir a fonte)
+ */
+async function renderTemplate(template, dados) {
+  const { largura, altura } = template;
+  const { image: base, modo, perda } = await renderBackground(template, dados.imagem, dados);
+  if (modo === 'desfocado') console.log(`🌫️ Foto inteira sobre fundo desfocado (o recorte cortaria ${Math.round(perda * 100)}% dela)`);
+  const fundo = { modo, perda };
+  const layers = await renderLayers(template);
+  const canvas = createCanvas(largura, altura);
+  const ctx = canvas.getContext('2d');
+
+  if (template.texto === 'camada') {
+    const caixas = drawBoxes(ctx, template, dados);
+    layers.push({ input: canvas.toBuffer('image/png') });
+    const buffer = await base.composite(layers).png().toBuffer();
+    return { buffer, caixas, fundo };
+  }
+
+  const composed = await (layers.length ? base.composite(layers) : base).png().toBuffer();
+  ctx.drawImage(await loadImage(composed), 0, 0, largura, altura);
+  const caixas = drawBoxes(ctx, template, dados);
+  return { buffer: canvas.toBuffer('image/png'), caixas, fundo };
+}
+
+module.exports = { renderTemplate };
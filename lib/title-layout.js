@@ -0,0 +1,177 @@
+// Medição do título como o card desenha: mesma fonte, largura útil e quebra por palavra de cada
+// layout. Usado pelo passo de manchete (cabe ou não, quantas linhas) e pela própria renderização,
+// para os dois concordarem. Fonte, largura e linhas vêm da caixa `titulo` do template do layout
+// (templates/layouts, lib/layout-templates.js). As fontes Poppins são registradas no server.js.
+const { createCanvas } = require('canvas');
+const { loadTemplate } = require('./layout-templates');
+
+const LAYOUT_NAMES = ['layout1', 'layout2'];
+
+const fromBox = new WeakMap();
+
+/**
+ * Parâmetros de medida de uma caixa de texto do template: tamanho, pesos (normal e destaque),
+ * largura útil, máximo de linhas, quantas palavras vão em destaque e até onde a fonte pode diminuir
+ * (`ajuste`: { tamanhoMinimo, passo }) para o texto caber.
+ * @returns {{ fontSize: number, minFontSize: number, fontStep: number, weight: string, boldWeight: string,
+ *   maxWidth: number, maxLines: number, boldWords: number, cut: boolean }}
+ */
+function boxLayout(box) {
+  if (!fromBox.has(box)) {
+    const destaque = box.destaque || {};
+    const ajuste = box.ajuste || {};
+    fromBox.set(box, {
+      fontSize: box.fonte.tamanho,
+      minFontSize: Math.min(ajuste.tamanhoMinimo || box.fonte.tamanho, box.fonte.tamanho),
+      fontStep: ajuste.passo || 2,
+      weight: String(box.fonte.peso),
+      boldWeight: String(destaque.peso || box.fonte.peso),
+      maxWidth: box.largura,
+      maxLines: box.maxLinhas || Infinity,
+      boldWords: destaque.palavras || 0,
+      cut: box.cortarExcesso !== false,
+      family: box.fonte.familia
+    });
+  }
+  return fromBox.get(box);
+}
+
+// Layout desconhecido cai no layout1
+const titleLayout = (layoutType) => boxLayout(loadTemplate(LAYOUT_NAMES.includes(layoutType) ? layoutType : 'layout1').caixas.titulo);
+
+let ctx = null;
+
+/**
+ * Função de medida para o layout: (texto, negrito?) => largura em px com a fonte real.
+ * @param {object} layout retorno de titleLayout/boxLayout
+ */
+function createMeasurer(layout) {
+  if (!ctx) ctx = createCanvas(10, 10).getContext('2d');
+  const cache = new Map();
+  return (text, isBold = false) => {
+    const font = `${isBold ? layout.boldWeight : layout.weight} ${layout.fontSize}px ${layout.family || '"Poppins", Arial, sans-serif'}`;
+    const key = `${font}|${text}`;
+    if (!cache.has(key)) {
+      ctx.font = font;
+      cache.set(key, ctx.measureText(String(text).normalize('NFC')).width);
+    }
+    return cache.get(key);
+  };
+}
+
+const toItems = (words, { boldStart = -1, boldLength = 0 } = {}) =>
+  words.map((text, i) => ({ text, isBold: i >= boldStart && i < boldStart + boldLength }));
+
+// Largura da linha como o card desenha: cada palavra no seu peso, e o espaço depois dela também
+const lineWidth = (line, measure) => line.reduce((total, w, i) => total + measure(w.text, w.isBold) + (i < line.length - 1 ? measure(' ', w.isBold) : 0), 0);
+
+/**
+ * Quebra gulosa por palavra na largura do layout, sem cortar linhas (quem desenha decide o que
+ * fazer com o excesso). Dá o menor número de linhas possível. Retorna linhas de `{ text, isBold }`.
+ */
+function wrapTitleWords(words, highlight, layout, measure = createMeasurer(layout)) {
+  const lines = [];
+  let line = [];
+  toItems(words, highlight).forEach(item => {
+    if (line.length && lineWidth([...line, item], measure) > layout.maxWidth) {
+      lines.push(line);
+      line = [];
+    }
+    line.push(item);
+  });
+  if (line.length) lines.push(line);
+  return lines;
+}
+
+/**
+ * Mesmo número de linhas da quebra gulosa, com as quebras escolhidas para as linhas ficarem do
+ * tamanho mais parecido possível (menor soma dos quadrados das sobras) e sem linha de uma palavra
+ * só quando dá para evitar.
+ */
+function balanceTitleWords(words, highlight, layout, measure = createMeasurer(layout)) {
+  const greedy = wrapTitleWords(words, highlight, layout, measure);
+  const k = greedy.length;
+  const n = words.length;
+  if (k <= 1) return greedy;
+  const items = greedy.flat();
+  const { maxWidth } = layout;
+  const widow = maxWidth * maxWidth;
+  const cost = (i, j) => {
+    const width = lineWidth(items.slice(i, j), measure);
+    if (width > maxWidth) return j - i > 1 ? Infinity : widow * 4;
+    return (maxWidth - width) ** 2 + (j - i === 1 && n > k ? widow : 0);
+  };
+  // best[l][m]: menor custo para as m primeiras palavras em l linhas
+  const best = Array.from({ length: k + 1 }, () => new Array(n + 1).fill(Infinity));
+  const from = Array.from({ length: k + 1 }, () => new Array(n + 1).fill(-1));
+  best[0][0] = 0;
+  for (let l = 1; l <= k; l++) {
+    for (let m = l; m <= n - (k - l); m++) {
+      for (let i = l - 1; i < m; i++) {
+        if (best[l - 1][i] === Infinity) continue;
+        const c = best[l - 1][i] + cost(i, m);
+        if (c < best[l][m]) {
+          best[l][m] = c;
+          from[l][m] = i;
+        }
+      }
+    }
+  }
+  if (best[k][n] === Infinity) return greedy;
+  const lines = [];
+  for (let l = k, m = n; l > 0; m = from[l][m], l--) lines.unshift(items.slice(from[l][m], m));
+  return lines;
+}
+
+/**
+ * Título no layout: quebra equilibrada no tamanho normal e, se passar de `maxLines` linhas ou
+ * alguma palavra não couber na largura, a fonte diminui de `fontStep` em `fontStep` até
+ * `minFontSize`. Só no tamanho mínimo, e com `cut`, as palavras que sobram ficam de fora.
+ * @returns {{ lines: { text: string, isBold: boolean }[][], fontSize: number, wordsCut: number }}
+ */
+function fitTitle(words, highlight, layout) {
+  let lines = [];
+  let fontSize = layout.fontSize;
+  for (;;) {
+    const measure = createMeasurer({ ...layout, fontSize });
+    lines = balanceTitleWords(words, highlight, layout, measure);
+    const fits = lines.length <= layout.maxLines && lines.every(line => lineWidth(line, measure) <= layout.maxWidth);
+    if (fits || fontSize <= layout.minFontSize) break;
+    fontSize = Math.max(fontSize - layout.fontStep, layout.minFontSize);
+  }
+  if (!layout.cut || lines.length <= layout.maxLines) return { lines, fontSize, wordsCut: 0 };
+  const kept = wrapTitleWords(words, highlight, layout, createMeasurer({ ...layout, fontSize })).slice(0, layout.maxLines);
+  return { lines: kept, fontSize, wordsCut: words.length - kept.flat().length };
+}
+
+/**
+ * Quantas linhas o título ocupa no layout e com que tamanho de fonte o card o desenharia: cabe
+ * quando entra em `maxLinhas` sem cortar palavras, mesmo que com a fonte reduzida até o mínimo do
+ * template. Sem destaque informado, considera o pior caso entre todas as posições possíveis das
+ * palavras em negrito (o destaque é escolhido depois).
+ * @param {string} title
+ * @param {string} [layoutType] 'layout1' | 'layout2'
+ * @param {{ boldStart?: number, boldLength?: number }} [highlight]
+ * @returns {{ linhas: number, maxLinhas: number, cabe: boolean, tamanhoFonte: number, tamanhoNormal: number }}
+ */
+function measureTitle(title, layoutType, highlight) {
+  const layout = titleLayout(layoutType);
+  const uncut = { ...layout, cut: false };
+  const words = String(title || '').split(' ').filter(Boolean);
+  const highlights = [highlight];
+  if (!highlight && layout.boldWords) {
+    const boldLength = Math.min(layout.boldWords, words.length);
+    highlights.length = 0;
+    for (let start = 0; start + boldLength <= Math.max(words.length, 1); start++) highlights.push({ boldStart: start, boldLength });
+  }
+  let linhas = 0;
+  let tamanhoFonte = layout.fontSize;
+  highlights.forEach(h => {
+    const fit = fitTitle(words, h, uncut);
+    linhas = Math.max(linhas, fit.lines.length);
+    tamanhoFonte = Math.min(tamanhoFonte, fit.fontSize);
+  });
+  return { linhas, maxLinhas: layout.maxLines, cabe: linhas <= layout.maxLines, tamanhoFonte, tamanhoNormal: layout.fontSize };
+}
+
+module.exports = { titleLayout, boxLayout, createMeasurer, lineWidth, wrapTitleWords, balanceTitleWords, fitTitle, measureTitle };
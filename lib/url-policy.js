@@ -0,0 +1,106 @@
+// Política de URLs de saída para endereços vindos do cliente (página da matéria, fotos).
+// Só http/https, bloqueia destinos internos (loopback, redes privadas, link-local/metadados da nuvem)
+// checando o IP resolvido pelo DNS no momento da conexão (vale para cada redirecionamento) e,
+// opcionalmente, restringe a uma lista de domínios (OUTBOUND_ALLOWED_DOMAINS).
+const dns = require('dns');
+const net = require('net');
+
+const CODE = 'URL_BLOQUEADA';
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([net4, prefix]) => blocked.addSubnet(net4, prefix, 'ipv4'));
+// 64:ff9b:1::/48 (NAT64 de uso local) pode embutir o IPv4 em qualquer posição: bloqueado inteiro
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b:1::', 48]
+].forEach(([net6, prefix]) => blocked.addSubnet(net6, prefix, 'ipv6'));
+
+// Prefixo NAT64 conhecido (64:ff9b::/96): os últimos 32 bits são o IPv4 de destino
+const nat64 = new net.BlockList();
+nat64.addSubnet('64:ff9b::', 96, 'ipv6');
+
+// Últimos 32 bits de um IPv6 como IPv4 ("64:ff9b::7f00:1" e "64:ff9b::127.0.0.1" → 127.0.0.1)
+function trailingIpv4(address) {
+  const dotted = address.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return dotted[1];
+  const [head, tail] = address.split('::');
+  const groups = ['0', '0', ...(tail === undefined ? head : tail).split(':').filter(Boolean)];
+  const [hi, lo] = groups.slice(-2);
+  const word = (parseInt(hi, 16) << 16 | parseInt(lo, 16)) >>> 0;
+  return [24, 16, 8, 0].map(shift => (word >>> shift) & 255).join('.');
+}
+
+function policyError(message) {
+  const err = new Error(message);
+  err.code = CODE;
+  return err;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  // IPv4 mapeado em IPv6 (::ffff:127.0.0.1) é checado como IPv4
+  const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return blocked.check(mapped[1], 'ipv4');
+  if (family === 6 && nat64.check(address, 'ipv6')) return blocked.check(trailingIpv4(address), 'ipv4');
+  return blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+const parseDomains = (value) => String(value || '')
+  .split(',')
+  .map(d => d.trim().toLowerCase().replace(/^\*?\./, ''))
+  .filter(Boolean);
+
+/**
+ * Cria a política. Sem argumentos lê OUTBOUND_ALLOWED_DOMAINS e OUTBOUND_ALLOW_PRIVATE
+ * (este último só para desenvolvimento/testes locais).
+ * @param {{ allowedDomains?: string[], allowPrivate?: boolean }} options
+ * @returns {{ check(url: URL|string): void, lookup: Function, allowedDomains: string[], allowPrivate: boolean }}
+ */
+function createUrlPolicy({
+  allowedDomains = parseDomains(process.env.OUTBOUND_ALLOWED_DOMAINS),
+  allowPrivate = process.env.OUTBOUND_ALLOW_PRIVATE === 'true'
+} = {}) {
+  const domainAllowed = (host) => !allowedDomains.length
+    || allowedDomains.some(d => host === d || host.endsWith(`.${d}`));
+
+  // Checagem síncrona da URL (protocolo, allowlist, IP literal). Lança erro com code URL_BLOQUEADA.
+  function check(input) {
+    let u;
+    try {
+      u = input instanceof URL ? input : new URL(input);
+    } catch {
+      throw policyError(`URL inválida: ${input}`);
+    }
+    if (!/^https?:$/.test(u.protocol)) throw policyError(`Protocolo não permitido: ${u.protocol}`);
+    if (u.username || u.password) throw policyError('URL com credenciais não é permitida');
+    const host = u.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!domainAllowed(host)) throw policyError(`Domínio fora da lista permitida: ${host}`);
+    if (!allowPrivate && (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host))) {
+      throw policyError(`Endereço interno bloqueado: ${host}`);
+    }
+  }
+
+  // dns.lookup com o mesmo contrato do Node; recusa a conexão se algum IP resolvido for interno
+  function lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (!allowPrivate) {
+        const bad = addresses.find(a => isBlockedAddress(a.address));
+        if (bad) return callback(policyError(`Endereço interno bloqueado: ${hostname} → ${bad.address}`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  return { check, lookup, allowedDomains, allowPrivate };
+}
+
+module.exports = { createUrlPolicy, isBlockedAddress, URL_BLOQUEADA: CODE };
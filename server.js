@@ -4,9 +4,26 @@ const sharp = require('sharp');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs-extra');
-const https = require('https');
-const http = require('http');
-const { createCanvas, loadImage, registerFont } = require('canvas');
+const { registerFont } = require('canvas');
+const { detectCategory } = require('./lib/categorias');
+const { createDraftStore, isDraftId } = require('./lib/drafts');
+const { createFeedWatcher } = require('./lib/feed-watcher');
+const { httpRequest } = require('./lib/http-client');
+const { createUrlPolicy, URL_BLOQUEADA } = require('./lib/url-policy');
+const { normalizeImage, IMAGEM_INVALIDA } = require('./lib/images');
+const { extractArticle } = require('./lib/extractors');
+const { createLlmClient } = require('./lib/llm');
+const { createLlmCache } = require('./lib/llm-cache');
+const { templateFor, renderCaption, loadCaptionTemplates, saveCaptionTemplates, resetCaptionTemplates, PLACEHOLDERS, TEMPLATE_INVALIDO } = require('./lib/caption-templates');
+const { generateHashtags, finalizeHashtags, countHashtags, brandHashtags, INSTAGRAM_LIMIT } = require('./lib/hashtags');
+const { titleLayout, measureTitle } = require('./lib/title-layout');
+const { loadTemplate } = require('./lib/layout-templates');
+const { renderTemplate } = require('./lib/template-engine');
+const { lintEditorial, REVISAO_EDITORIAL } = require('./lib/editorial-lint');
+const { detectHelpTopics, parseHelpClassification, helpBlock, helpTopics, withHelpPlaceholder } = require('./lib/help-lines');
+const { createFeedbackStore } = require('./lib/editor-feedback');
+const { newsCardAltText, publicityAltText, cleanAltText } = require('./lib/alt-text');
+const { loadChapeuRules, saveChapeuRules, resetChapeuRules, validateChapeuRules, compileChapeuRules, resolveChapeu, CHAPEU_INVALIDO } = require('./lib/chapeu');
 
 // Carregar variáveis de ambiente: primeiro da raiz do projeto, depois local (override)
 try {
@@ -69,109 +86,142 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage, limits: { fileSize: 15 * 1024 * 1024 } });
 
-// Pequeno helper fetch-like para HTTP/HTTPS
-function makeHttpsRequest(inputUrl, options = {}) {
-  const { method = 'GET', headers = {}, body } = options;
-  return new Promise((resolve) => {
+// Área de configurações (modal com senha): rotas /api/admin/* conferem a senha no servidor,
+// enviada pelo cliente no cabeçalho X-Admin-Password. Sem ADMIN_PASSWORD a área fica fechada
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+if (!ADMIN_PASSWORD) console.log('⚠️ ADMIN_PASSWORD não definida: área de configurações desativada');
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_PASSWORD) {
+    return res.status(503).json({ success: false, error: 'Área de configurações desativada: defina ADMIN_PASSWORD no servidor', code: 'ADMIN_DESATIVADO' });
+  }
+  if (req.get('X-Admin-Password') === ADMIN_PASSWORD) return next();
+  return res.status(401).json({ success: false, error: 'Senha incorreta', code: 'NAO_AUTORIZADO' });
+}
+
+// URLs vindas do cliente (matéria, fotos) passam pela política de saída: sem destinos internos
+// e, se OUTBOUND_ALLOWED_DOMAINS estiver definido, só os domínios listados. IA (lib/llm) e Graph usam httpRequest direto.
+const outboundPolicy = createUrlPolicy();
+if (outboundPolicy.allowedDomains.length) console.log(`🛡️ Domínios externos permitidos: ${outboundPolicy.allowedDomains.join(', ')}`);
+if (outboundPolicy.allowPrivate) console.log('⚠️ OUTBOUND_ALLOW_PRIVATE ativo: endereços internos liberados (use só em desenvolvimento)');
+
+function fetchExternal(url, options = {}) {
+  return httpRequest(url, { headers: { 'User-Agent': 'Mozilla/5.0 R10Publisher' }, ...options, policy: outboundPolicy });
+}
+
+// Erro de download preservando o code do bloqueio (URL_BLOQUEADA) para a rota devolver ao cliente
+function fetchError(prefix, resp) {
+  const err = new Error(`${prefix} (${resp.error || `status ${resp.status}`})`);
+  if (resp.code) err.code = resp.code;
+  return err;
+}
+
+// Codes de erro que as rotas repassam ao cliente em { success: false, error, code }
+function clientErrorCode(error) {
+  return [URL_BLOQUEADA, IMAGEM_INVALIDA, HASHTAGS_EXCEDIDAS, REVISAO_EDITORIAL].includes(error && error.code) ? error.code : undefined;
+}
+
+// O Instagram recusa legendas com mais de 30 hashtags: barrar antes de subir as imagens
+const HASHTAGS_EXCEDIDAS = 'HASHTAGS_EXCEDIDAS';
+function assertHashtagLimit(caption) {
+  const total = countHashtags(caption);
+  if (total <= INSTAGRAM_LIMIT) return;
+  const err = new Error(`A legenda tem ${total} hashtags; o Instagram aceita no máximo ${INSTAGRAM_LIMIT}`);
+  err.code = HASHTAGS_EXCEDIDAS;
+  throw err;
+}
+
+// Baixa a foto da matéria, valida o formato real (lib/images.js) e salva em uploads/ com a extensão certa.
+// Lança Error com code URL_BLOQUEADA ou IMAGEM_INVALIDA.
+async function downloadImage(imageUrl) {
+  console.log('📥 Baixando imagem:', imageUrl);
+  const resp = await fetchExternal(imageUrl);
+  if (!resp.ok) throw fetchError('Falha ao baixar a imagem', resp);
+  const image = await normalizeImage(await resp.buffer());
+  console.log(`✅ Imagem baixada (${image.originalFormat} ${image.width}x${image.height})`);
+  return saveNormalizedImage(image, 'extracted');
+}
+
+// Foto enviada pelo editor: mesma validação e normalização da baixada (formato real, orientação EXIF,
+// aviso de baixa resolução). O arquivo temporário do multer é sempre removido. Lança Error com code IMAGEM_INVALIDA.
+async function normalizeUpload(file) {
+  try {
+    const image = await normalizeImage(await fs.readFile(file.path));
+    console.log(`✅ Imagem enviada (${image.originalFormat} ${image.width}x${image.height})`);
+    return await saveNormalizedImage(image, 'upload');
+  } finally {
+    await fs.remove(file.path);
+  }
+}
+
+async function saveNormalizedImage(image, prefix) {
+  const filePath = path.join(__dirname, 'uploads', `${prefix}_${Date.now()}.${image.ext}`);
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, image.buffer);
+  return {
+    path: filePath,
+    warnings: image.warnings,
+    info: { format: image.format, originalFormat: image.originalFormat, width: image.width, height: image.height }
+  };
+}
+
+// Completa largura/altura das candidatas sem dimensão baixando só o início do arquivo (Range).
+// Servidor que ignora o Range manda o arquivo inteiro: o teto aborta a leitura e a candidata fica sem medida.
+const DIMENSION_PROBE_BYTES = 256 * 1024;
+async function fillImageDimensions(images, limit = 8) {
+  const pending = images.filter(img => !img.width || !img.height).slice(0, limit);
+  await Promise.all(pending.map(async (img) => {
     try {
-      const u = new URL(inputUrl);
-      const isHttps = u.protocol === 'https:';
-      const mod = isHttps ? https : http;
-      const reqOptions = {
-        method,
-        headers,
-        hostname: u.hostname,
-        port: u.port || (isHttps ? 443 : 80),
-        path: u.pathname + (u.search || '')
-      };
-      const req = mod.request(reqOptions, (res) => {
-        const chunks = [];
-        res.on('data', (d) => chunks.push(d));
-        res.on('end', () => {
-          const buffer = Buffer.concat(chunks);
-          const text = buffer.toString('utf8');
-          const response = {
-            ok: res.statusCode >= 200 && res.statusCode < 300,
-            status: res.statusCode,
-            statusText: res.statusMessage,
-            headers: res.headers,
-            text: async () => text,
-            json: async () => { try { return JSON.parse(text); } catch { return {}; } },
-            buffer: async () => buffer
-          };
-          resolve(response);
-        });
-      });
-      req.on('error', (err) => {
-        resolve({
-          ok: false,
-          status: 0,
-          statusText: err.message,
-          headers: {},
-          text: async () => '',
-          json: async () => ({ error: err.message }),
-          buffer: async () => Buffer.alloc(0)
-        });
+      const resp = await fetchExternal(img.url, {
+        headers: { 'User-Agent': 'Mozilla/5.0 R10Publisher', 'Range': 'bytes=0-131071' },
+        retries: 0, readTimeout: 8000, maxBytes: DIMENSION_PROBE_BYTES
       });
-      if (body) {
-        if (typeof body === 'string' || Buffer.isBuffer(body)) {
-          req.write(body);
-        } else {
-          const str = JSON.stringify(body);
-          req.write(str);
-        }
+      if (!resp.ok) return;
+      const meta = await sharp(await resp.buffer()).metadata();
+      if (meta.width && meta.height) {
+        img.width = meta.width;
+        img.height = meta.height;
       }
-      req.end();
-    } catch (err) {
-      resolve({
-        ok: false,
-        status: 0,
-        statusText: err.message,
-        headers: {},
-        text: async () => '',
-        json: async () => ({ error: err.message }),
-        buffer: async () => Buffer.alloc(0)
-      });
+    } catch {
+      // Cabeçalho ilegível: mantém sem dimensões
     }
-  });
+  }));
+  // Descarta miniaturas/ícones que só se revelam após medir
+  return images.filter(img => !(img.width && img.width < 200) && !(img.height && img.height < 200));
 }
 
-// Extrator simples de dados de uma página (og:title/description/image)
+// Extrator de dados de uma página: plugin do site (lib/extractors) com o genérico completando o resto
 async function extractDataFromUrl(pageUrl) {
-  const resp = await makeHttpsRequest(pageUrl, { method: 'GET', headers: { 'User-Agent': 'Mozilla/5.0 R10Publisher' } });
-  if (!resp.ok) throw new Error(`Falha ao carregar URL (status ${resp.status})`);
+  const resp = await fetchExternal(pageUrl);
+  if (!resp.ok) throw fetchError('Falha ao carregar URL', resp);
+  if (resp.redirected) console.log(`↪️ URL redirecionada para ${resp.url}`);
   const html = await resp.text();
 
-  function getMeta(content, attr, name) {
-    const rx = new RegExp(`<meta[^>]+${attr}=["']${name}["'][^>]*content=["']([^"']+)["'][^>]*>`, 'i');
-    const m = content.match(rx);
-    return m ? m[1] : '';
-  }
-  function getTag(content, tag) {
-    const rx = new RegExp(`<${tag}[^>]*>([^<]+)</${tag}>`, 'i');
-    const m = content.match(rx);
-    return m ? m[1] : '';
-  }
-  function absoluteUrl(href) {
-    try { return new URL(href, pageUrl).href; } catch { return href; }
-  }
-
-  let title = getMeta(html, 'property', 'og:title') || getMeta(html, 'name', 'title') || getTag(html, 'title');
-  const description = getMeta(html, 'property', 'og:description') || getMeta(html, 'name', 'description') || '';
-  let imageUrl = getMeta(html, 'property', 'og:image') || getMeta(html, 'name', 'image') || '';
-  if (imageUrl) imageUrl = absoluteUrl(imageUrl);
+  // Após redirecionamento, o host final decide o plugin e resolve as URLs relativas
+  const article = extractArticle(html, resp.url || pageUrl);
 
-  // Fallback rudimentar para h1
-  if (!title) {
-    const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
-    if (h1) title = h1[1].replace(/<[^>]+>/g, '').trim();
-  }
+  const images = await fillImageDimensions(article.images);
+  console.log(`🖼️ ${images.length} imagem(ns) candidata(s) encontrada(s)`);
 
   return {
-    title: (title || '').replace(/\s+/g, ' ').trim(),
-    description: (description || '').trim(),
-    imageUrl: imageUrl || '',
-    originalUrl: pageUrl
+    title: article.title,
+    subtitle: article.subtitle,
+    description: article.description,
+    body: article.body,
+    // Trecho do corpo que vai para a IA da legenda (mostrado ao editor)
+    captionContext: buildCaptionContext(article.body),
+    // Sem og:image/JSON-LD: usar a primeira foto encontrada no corpo da matéria
+    imageUrl: article.imageUrl || (images[0] && images[0].url) || '',
+    originalUrl: pageUrl,
+    author: article.author,
+    datePublished: article.datePublished,
+    dateModified: article.dateModified,
+    section: article.section,
+    breadcrumbs: article.breadcrumbs,
+    keywords: article.keywords,
+    images,
+    source: article.source,
+    extractor: article.extractor
   };
 }
 
@@ -248,17 +298,28 @@ const INSTAGRAM_CONFIG = {
   PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL || '' // URL pública onde a Meta consegue baixar as imagens
 };
 
-const GROQ_CONFIG = {
-  API_KEY: process.env.GROQ_API_KEY || '',
-  MODEL: process.env.GROQ_MODEL || 'llama3-8b-8192',
-  API_URL: 'https://api.groq.com/openai/v1/chat/completions'
-};
+// Provedores de IA (Groq, servidor local...) e parâmetros por tarefa: config/llm.json.
+// Respostas em cache no PERSIST_DIR: gerar de novo a mesma matéria não paga (nem sorteia) outra vez
+const llm = createLlmClient({ cache: createLlmCache({ dir: process.env.PERSIST_DIR || path.join(__dirname, 'uploads') }) });
+
+// Chapéus e destaques trocados pelos editores (lib/editor-feedback.js): exemplos nos prompts,
+// regras de chapéu sem IA e relatório por editoria
+const feedbackStore = createFeedbackStore(process.env.PERSIST_DIR || path.join(__dirname, 'uploads'));
 
 // Feature flags simples
 const FEATURE_FLAGS = {
   ENABLE_LAYOUT2: String(process.env.ENABLE_LAYOUT2 || 'false').toLowerCase() === 'true'
 };
 
+// Monitor de feeds (RSS/Atom/news-sitemap) que gera rascunhos automaticamente
+const FEED_CONFIG = {
+  URLS: (process.env.FEED_URLS || '').split(',').map(u => u.trim()).filter(Boolean),
+  INTERVAL_MIN: parseInt(process.env.FEED_POLL_INTERVAL_MIN || '10', 10),
+  MAX_PER_POLL: parseInt(process.env.FEED_MAX_PER_POLL || '3', 10),
+  MAX_AGE_HOURS: parseInt(process.env.FEED_MAX_AGE_HOURS || '48', 10),
+  LAYOUT: process.env.FEED_LAYOUT || 'layout1'
+};
+
 // Utilitário global simples para decodificar entidades HTML comuns
 function decodeHtmlEntitiesAll(text = '') {
   if (!text || typeof text !== 'string') return text || '';
@@ -284,79 +345,169 @@ function decodeHtmlEntitiesAll(text = '') {
   return text.replace(/&[a-zA-Z0-9]+;/g, (entity) => entities[entity] || entity).normalize('NFC');
 }
 
-// Otimizar título com Groq (ajustes mínimos, até 60 chars) com fallback conservador
-async function optimizeTitle(title) {
-  const MAX = 60;
-  const conservative = () => {
-    const cleaned = (decodeHtmlEntitiesAll(title || ''))
-      .replace(/[\u2026]|\.{3,}/g, '')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .normalize('NFC');
-    // clamp suave por palavra
-    if (cleaned.length > MAX) {
-      const slice = cleaned.slice(0, MAX + 1);
-      const cut = slice.lastIndexOf(' ');
-      return (cut > 40 ? slice.slice(0, cut) : cleaned.slice(0, MAX)).trim();
-    }
-    return cleaned;
-  };
+// Quantas vezes o passo de manchete pede uma versão mais curta quando o título não cabe no layout
+const TITLE_FIT_ATTEMPTS = parseInt(process.env.TITLE_FIT_ATTEMPTS || '3', 10);
+// Só uma trava contra respostas absurdas da IA: quem decide o tamanho é measureTitle (lib/title-layout.js)
+const HEADLINE_HARD_MAX = 120;
+const TRAILING_FILLER = /\s+(?:de|da|do|das|dos|em|no|na|nos|nas|para|pra|por|com|e|a|o|as|os|ao|à|que|um|uma)$/i;
 
-  try {
-    if (!GROQ_CONFIG.API_KEY) {
-      console.log('🟡 GROQ_API_KEY não configurada — usando fallback conservador');
-      return conservative();
-    }
+function cleanHeadline(text) {
+  return decodeHtmlEntitiesAll(text || '')
+    .replace(/[\u2026]|\.{3,}/g, '')
+    .replace(/["“”]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .normalize('NFC');
+}
+
+// clamp suave por palavra
+function clampHeadline(text, max = HEADLINE_HARD_MAX) {
+  if (text.length <= max) return text;
+  const slice = text.slice(0, max + 1);
+  const cut = slice.lastIndexOf(' ');
+  return (cut > 40 ? slice.slice(0, cut) : text.slice(0, max)).replace(/[,;:–—-]+$/, '').trim();
+}
+
+// Variações sem IA: o título limpo e versões mais curtas cortando trechos secundários
+function localHeadlineVariants(cleaned) {
+  const options = [cleaned];
+  const parts = cleaned.split(/\s*[:|–—]\s+|\s+-\s+/).filter(p => p.length >= 25);
+  options.push(...parts);
+  const lastComma = cleaned.lastIndexOf(',');
+  if (lastComma >= 25) options.push(cleaned.slice(0, lastComma));
+  options.push(cleaned.replace(/\s*\([^)]*\)/g, ''));
+  return options.map(o => clampHeadline(o.trim()));
+}
+
+// Encurtador local: o maior trecho secundário que couber; senão, tira palavras do fim
+// (sem terminar em preposição/artigo)
+function shortenHeadlineLocally(text, layoutType) {
+  const fitting = localHeadlineVariants(text)
+    .filter(option => option.length < text.length && measureTitle(option, layoutType).cabe)
+    .sort((a, b) => b.length - a.length);
+  if (fitting.length) return fitting[0];
+  const words = text.split(' ');
+  let shorter = text;
+  while (words.length > 3) {
+    words.pop();
+    shorter = words.join(' ').replace(/[,;:–—-]+$/, '');
+    while (TRAILING_FILLER.test(shorter)) shorter = shorter.replace(TRAILING_FILLER, '');
+    if (measureTitle(shorter, layoutType).cabe) break;
+  }
+  return shorter;
+}
 
-  const prompt = `Você é editor de manchetes jornalísticas (pt-BR). Reescreva o título abaixo com AJUSTES MÍNIMOS, mantendo sentido, clareza e correção gramatical.
+async function shortenHeadlineWithAi(text, maxChars) {
+  const result = await llm.complete('titulo', [{
+    role: 'user',
+    content: `Você é editor de manchetes jornalísticas (pt-BR). A manchete abaixo não cabe no card. Reescreva com no máximo ${maxChars} caracteres (contando espaços), mantendo o fato principal e os nomes próprios.
 
 Regras:
-- Até ${MAX} caracteres (contando espaços)
 - Sem reticências, aspas, hashtags, emojis ou ponto final
-- Tom direto, neutro e jornalístico (pt-BR)
-- Preserve nomes próprios e o núcleo semântivo
+- Não invente informações
 
-Título: "${(title || '').replace(/\s+/g,' ').trim()}"
+Manchete: "${text}"
 
-Responda SOMENTE com a manchete final.`;
+Responda SOMENTE com a nova manchete.`
+  }]);
+  if (!result.ok) return null;
+  const out = cleanHeadline((result.text.split('\n').find(line => line.trim()) || '').replace(/^\s*(?:\d+\s*[.)\-:]|[-*•])\s*/, '')).replace(/[.'’]+$/, '');
+  return out && out.length < text.length ? out : null;
+}
 
-    const response = await makeHttpsRequest(GROQ_CONFIG.API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_CONFIG.API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: GROQ_CONFIG.MODEL,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 120,
-        temperature: 0.2
-      })
-    });
+/**
+ * Garante que a manchete caiba no layout: enquanto sobrar linha, pede à IA uma versão mais curta
+ * (meta de caracteres proporcional às linhas) e, sem IA ou sem progresso, usa o encurtador local.
+ * Não há limite fixo de caracteres: o limite é o que cabe no layout (measureTitle).
+ * @returns {Promise<{ titulo: string, origem: 'ia'|'local', linhas: number, maxLinhas: number, cabe: boolean, tamanhoFonte: number, tamanhoNormal: number }>}
+ */
+async function fitHeadline(title, layoutType, origem = 'local') {
+  let titulo = title;
+  let fit = measureTitle(titulo, layoutType);
+  for (let attempt = 1; !fit.cabe && attempt <= TITLE_FIT_ATTEMPTS; attempt++) {
+    const target = Math.floor(titulo.length * (fit.maxLinhas / fit.linhas) * 0.95);
+    const shorter = llm.enabled() ? await shortenHeadlineWithAi(titulo, target) : null;
+    titulo = shorter || shortenHeadlineLocally(titulo, layoutType);
+    origem = shorter ? 'ia' : 'local';
+    fit = measureTitle(titulo, layoutType);
+    console.log(`📏 Manchete encurtada (tentativa ${attempt}, ${origem}): "${titulo}" → ${fit.linhas}/${fit.maxLinhas} linhas`);
+  }
+  if (!fit.cabe) {
+    titulo = shortenHeadlineLocally(titulo, layoutType);
+    origem = 'local';
+    fit = measureTitle(titulo, layoutType);
+  }
+  return { titulo, origem, ...fit };
+}
 
-    if (!response.ok) {
-      console.log('⚠️ Groq indisponível para título, usando fallback');
-      return conservative();
-    }
-    const data = await response.json();
-    let out = (data.choices?.[0]?.message?.content || '').trim();
-    out = decodeHtmlEntitiesAll(out)
-      .replace(/[\u2026]|\.{3,}/g, '')
-      .replace(/["“”'’]/g, '')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .normalize('NFC');
-    if (!out) return conservative();
-    if (out.length > MAX) {
-      const slice = out.slice(0, MAX + 1);
-      const cut = slice.lastIndexOf(' ');
-      out = (cut > 40 ? slice.slice(0, cut) : out.slice(0, MAX)).trim();
+/**
+ * Gera de 3 a 5 manchetes para o card, da melhor para a pior (menos quando o título é curto e
+ * não há IA), medidas com a fonte e a largura do layout. As que cabem vêm antes, mantendo a ordem
+ * da IA entre elas; se nenhuma couber, a melhor é encurtada por fitHeadline e entra em primeiro.
+ * @param {string} title
+ * @param {string} [layoutType] 'layout1' | 'layout2'
+ * @returns {Promise<{ titulo: string, caracteres: number, linhas: number, maxLinhas: number, cabe: boolean, tamanhoFonte: number,
+ *   tamanhoNormal: number, origem: 'ia'|'local' }[]>} `cabe` já contando a fonte reduzida até o mínimo do template
+ */
+async function generateHeadlineVariants(title, layoutType) {
+  const cleaned = cleanHeadline(title);
+  const layout = titleLayout(layoutType);
+  const candidates = [];
+
+  if (llm.enabled()) {
+    // Referência de tamanho para a IA; quem decide é a medida real depois
+    const approxChars = Math.round(layout.maxLines * layout.maxWidth / (layout.fontSize * 0.6));
+    const prompt = `Você é editor de manchetes jornalísticas (pt-BR). Escreva 5 versões do título abaixo para um card de Instagram, da melhor para a pior.
+
+Regras:
+- A 1ª versão com AJUSTES MÍNIMOS; as demais mais curtas ou mais impactantes, sem inventar fatos
+- Cada uma precisa caber em ${layout.maxLines} linhas do card (cerca de ${approxChars} caracteres, contando espaços)
+- Sem reticências, aspas, hashtags, emojis ou ponto final
+- Tom direto, neutro e jornalístico (pt-BR)
+- Preserve nomes próprios e o núcleo semântico
+
+Título: "${cleaned}"
+
+Responda SOMENTE com as 5 manchetes, uma por linha, sem numeração.`;
+
+    const result = await llm.complete('titulo', [{ role: 'user', content: prompt }]);
+    if (result.ok) {
+      result.text.split('\n')
+        .map(line => cleanHeadline(line.replace(/^\s*(?:\d+\s*[.)\-:]|[-*•])\s*/, '')).replace(/[.'’]+$/, ''))
+        .filter(line => line.length >= 15)
+        .forEach(line => candidates.push({ titulo: clampHeadline(line), origem: 'ia' }));
+      console.log(`📰 ${candidates.length} manchete(s) sugeridas (${result.provider})`);
+    } else {
+      console.log('⚠️ IA indisponível para título, usando variações locais');
     }
-    console.log(`📰 Título otimizado (Groq): "${out}"`);
-    return out;
+  } else {
+    console.log('🟡 Nenhum provedor de IA configurado — usando variações locais do título');
+  }
+
+  localHeadlineVariants(cleaned).forEach(titulo => candidates.push({ titulo, origem: 'local' }));
+
+  const describe = ({ titulo, origem }) => ({ titulo, origem, caracteres: titulo.length, ...measureTitle(titulo, layoutType) });
+  const seen = new Set();
+  const unique = (list) => list.filter(c => c.titulo && !seen.has(c.titulo.toLowerCase()) && seen.add(c.titulo.toLowerCase()));
+  // sort estável: só sobe as que cabem
+  let variants = unique(candidates).slice(0, 5).map(describe).sort((a, b) => Number(b.cabe) - Number(a.cabe));
+
+  if (variants.length && !variants[0].cabe) {
+    const fitted = await fitHeadline(variants[0].titulo, layoutType, variants[0].origem);
+    seen.clear();
+    variants = unique([describe(fitted), ...variants]).slice(0, 5);
+  }
+  return variants;
+}
+
+// Manchete do card: a primeira das variações (compatível com o fluxo antigo de um título só)
+async function optimizeTitle(title, layoutType) {
+  try {
+    const [best] = await generateHeadlineVariants(title, layoutType);
+    return best ? best.titulo : clampHeadline(cleanHeadline(title));
   } catch (e) {
-    console.log('⚠️ Erro na otimização Groq, usando fallback:', e.message);
-    return conservative();
+    console.log('⚠️ Erro na otimização do título, usando fallback:', e.message);
+    return clampHeadline(cleanHeadline(title));
   }
 }
 
@@ -383,22 +534,19 @@ function fixNominationEndings(text) {
   return text;
 }
 
-// Função para gerar chapéu com Groq AI (até 2 palavras, não repetir palavras do título)
+// Função para gerar chapéu com IA (até 2 palavras, não repetir palavras do título). Limpeza, termos
+// proibidos, correções pt-PT e o chapéu por regras (sem IA ou sugestão recusada) vêm de
+// config/chapeus.json (lib/chapeu.js), editável nas configurações.
 async function generateChapeu(title) {
+  const { data } = loadChapeuRules();
+  let sugestao = '';
   try {
     console.log(`🏷️ Gerando chapéu para: "${title}"`);
+    const exemplos = await feedbackStore.examples('chapeu', title);
 
-    const response = await makeHttpsRequest(GROQ_CONFIG.API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_CONFIG.API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-  body: JSON.stringify({
-        model: GROQ_CONFIG.MODEL,
-        messages: [{
-          role: 'user',
-          content: `Crie um CHAPÉU (rótulo curto) de NO MÁXIMO 2 PALAVRAS em MAIÚSCULAS que complemente a manchete abaixo.
+    const result = await llm.complete('chapeu', [{
+      role: 'user',
+      content: `Crie um CHAPÉU (rótulo curto) de NO MÁXIMO ${data.maxPalavras} PALAVRAS em MAIÚSCULAS que complemente a manchete abaixo.
 
 TÍTULO: "${(title || '').replace(/\s+/g,' ').trim()}"
 
@@ -408,245 +556,209 @@ REGRAS:
 - Não repita nenhuma palavra do título (ignore acentos e caixa)
 - Sem pontuação, aspas, emojis ou hashtags
 - Tom jornalístico e objetivo
- - Até 18 caracteres no total
+ - Até ${data.maxCaracteres} caracteres no total
  - Deve ser diretamente relacionado ao tema/assunto/entidade do título (ex.: editoria, órgão, local, tema)
- - PROIBIDO usar termos genéricos: NOTÍCIA, DESTAQUE, URGENTE, IMPORTANTE, AGORA, OFICIAL, CONFIRMADO, NOVIDADE, ÚLTIMA HORA, ALERTA, ATUALIZAÇÃO, VEJA, ENTENDA, AO VIVO, EXCLUSIVO
+ - PROIBIDO usar termos genéricos: ${data.genericos.join(', ')}
  - Português do Brasil. Evite variantes pt-PT (ex.: ATIVO, não ACTIVO)
  - Evite siglas soltas; se usar sigla, ela deve existir no título e ter 3+ letras
- - EXEMPLOS VÁLIDOS: SAÚDE, POLÍTICA, ECONOMIA, EDUCAÇÃO, SEGURANÇA
-
+ - ${data.apenasPermitidos ? 'USE APENAS UM DESTES' : 'EXEMPLOS VÁLIDOS'}: ${data.permitidos.join(', ')}
+${exemplos.length ? `\nCHAPÉUS QUE OS EDITORES ESCOLHERAM EM MATÉRIAS PARECIDAS (siga o mesmo critério):\n${exemplos.map(e => `- "${e.titulo}" → ${e.escolhido}`).join('\n')}\n` : ''}
 Responda APENAS com o chapéu final em PORTUGUÊS.`
-        }],
-        max_tokens: 8,
-        temperature: 0.2
-      })
-    });
-
-    console.log(`📡 Status da resposta Groq (chapéu): ${response.status}`);
-    
-    if (response.ok) {
-      const data = await response.json();
-      console.log(`📝 Resposta Groq chapéu:`, JSON.stringify(data, null, 2));
-      
-      let ch = (data.choices[0]?.message?.content || '')
-        .replace(/["“”'’]/g, '')
-        .toUpperCase()
-        .trim();
-
-      // Sanitizar: até 2 palavras e sem repetir palavras do título
-      const normalize = (s) => s.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-      const titleWords = new Set((title || '')
-        .split(/\s+/)
-        .map(w => normalize(w))
-        .filter(Boolean));
-
-      let parts = ch.split(/\s+/).filter(Boolean).slice(0, 2);
-      parts = parts.filter(p => !titleWords.has(normalize(p)));
-      let cleanChapeu = parts.join(' ').trim();
-      if (cleanChapeu.length > 18) cleanChapeu = cleanChapeu.slice(0, 18).trim();
-
-      // Bloquear termos genéricos, palavras em inglês e espanhol
-      const bannedRaw = [
-        'NOTÍCIA','NOTICIA','DESTAQUE','URGENTE','IMPORTANTE','AGORA','OFICIAL','CONFIRMADO','NOVIDADE','ÚLTIMA HORA','ULTIMA HORA','ALERTA','ATUALIZAÇÃO','ATUALIZACAO','VEJA','ENTENDA','AO VIVO','EXCLUSIVO',
-        // Palavras em inglês que devem ser rejeitadas
-        'HEALTH','NEWS','BREAKING','UPDATE','POLITICS','ECONOMY','EDUCATION','SECURITY','GOVERNMENT','PUBLIC','PRIVATE','FEDERAL','STATE','LOCAL','BUSINESS','FINANCE','TECHNOLOGY','SCIENCE','SPORTS','CULTURE','SOCIETY','ENVIRONMENT','CLIMATE','COVID','PANDEMIC','VACCINE','HOSPITAL','MEDICAL','DOCTOR','PATIENT','TREATMENT','EMERGENCY','URGENT','IMPORTANT','OFFICIAL','CONFIRMED','LATEST','EXCLUSIVE','LIVE',
-        // Palavras em espanhol que devem ser rejeitadas
-        'SALUD','NOTICIAS','ACTUALIZACIÓN','ACTUALIZACIÓN','POLÍTICA','POLÍTICAS','ECONOMÍA','ECONOMIA','EDUCACIÓN','EDUCACION','SEGURIDAD','GOBIERNO','PÚBLICO','PÚBLICO','PRIVADO','FEDERAL','ESTATAL','LOCAL','NEGOCIO','FINANZAS','TECNOLOGÍA','TECNOLOGIA','CIENCIA','DEPORTES','CULTURA','SOCIEDAD','AMBIENTE','CLIMA','VACUNA','HOSPITAL','MÉDICO','MEDICO','PACIENTE','TRATAMIENTO','EMERGENCIA','URGENTE','IMPORTANTE','OFICIAL','CONFIRMADO','ÚLTIMO','ULTIMO','EXCLUSIVO','VIVO','EN VIVO',
-        // Palavras PT-PT que devem ser rejeitadas (usar PT-BR)
-        'CAFETARIA','ACTIVO','ACTIVA','INFORMÁTICA','POLÍCIA'
-      ];
-      const banned = new Set(bannedRaw.map(normalize));
-      // Mapear pt-PT -> pt-BR e evitar siglas curtas
-      const mapPtPtToPtBr = (s) => s
-        .replace(/\bACTIVO\b/g, 'ATIVO')
-        .replace(/\bACTIVA\b/g, 'ATIVA')
-        .replace(/\bCAFETARIA\b/g, 'CAFETERIA');
-      cleanChapeu = mapPtPtToPtBr(cleanChapeu).toUpperCase();
-      const titleTokens = new Set((title || '').split(/\s+/).map(w => w.toUpperCase()));
-      const tokens = cleanChapeu.split(/\s+/).filter(Boolean);
-      const hasShortAcronym = tokens.some(t => t.length < 3 && !titleTokens.has(t));
-      const deriveChapeuFromTitle = (t) => {
-        const nt = normalize(t || '');
-        const has = (re) => re.test(nt);
-        if (has(/pol[ií]cia|homic[ií]dio|assalto|roubo|furto|delegacia|pris[aã]o|flagrante/)) return 'SEGURANÇA';
-        if (has(/just[ií]ça|\bstf\b|\bstj\b|tribunal|ju[ií]z|promotor|\bmpf\b|\bmp\b|defensoria/)) return 'JUDICIÁRIO';
-        if (has(/elei[cç][aã]o|prefeit|vereador|c[aâ]mara|assembleia|governo|congresso|senado|ministro|pol[ií]tica/)) return 'GESTÃO';
-        if (has(/economia|infla[cç][aã]o|imposto|sal[aá]rio|com[eé]rcio|ind[uú]stria|pre[cç]o|d[oó]lar|\bpib\b/)) return 'ECONOMIA';
-        if (has(/sa[uú]de|\bsus\b|hospital|m[eé]dic|vacina|covid|dengue|zika|hepatite|\bupa\b/)) return 'SAÚDE';
-        if (has(/educa[cç][aã]o|escola|professor|aluno|enem|universidade|\bifpi\b|\bufpi\b/)) return 'EDUCAÇÃO';
-        if (has(/esporte|jogo|campeonato|copa|atleta|futebol|placar|partida/)) return 'ESPORTES';
-        if (has(/tr[aâ]nsito|acidente|rodovia|br-?\d+|detran|engarrafamento/)) return 'MOBILIDADE';
-        if (has(/clima|chuva|seca|tempo|calor|frente fria|inmet/)) return 'CLIMA';
-        if (has(/cultura|festival|show|teatro|cinema|museu|exposi[cç][aã]o|livro/)) return 'CULTURA';
-        if (has(/tecnologia|aplicativo|celular|internet|startup|intelig[eê]ncia artificial|\bia\b/)) return 'TECNOLOGIA';
-        if (has(/transporte|[ôo]nibus|metr[ôo]|aeroporto|v[oô]o|ferrovia/)) return 'TRANSPORTE';
-        if (has(/infraestrutura|obra|ponte|asfalto|saneamento/)) return 'INFRAESTRUTURA';
-        if (has(/energia|apag[aã]o|eletricidade|combust[ií]vel|gasolina|diesel/)) return 'ENERGIA';
-        if (has(/turismo|turista|hotel|resort|ponto tur[ií]stico/)) return 'TURISMO';
-        if (!titleWords.has(normalize('Piauí'))) return 'PIAUÍ';
-        if (!titleWords.has(normalize('Teresina'))) return 'CAPITAL';
-        if (!titleWords.has(normalize('Brasil'))) return 'NACIONAL';
-        if (!titleWords.has(normalize('interior'))) return 'INTERIOR';
-        return '';
-      };
-  const isBanned = banned.has(normalize(cleanChapeu));
-  if (!cleanChapeu || isBanned || hasShortAcronym) {
-        const derived = deriveChapeuFromTitle(title);
-        if (derived) cleanChapeu = derived;
-      }
+    }]);
 
-      if (cleanChapeu) {
-        console.log(`✅ Chapéu gerado: "${cleanChapeu}"`);
-        return cleanChapeu;
-      }
-      console.log('⚠️ Chapéu vazio ou repetindo título, aplicando fallback');
+    if (result.ok) {
+      console.log(`📝 Resposta IA chapéu (${result.provider}/${result.model}): "${result.text}"`);
+      sugestao = result.text;
     } else {
-      const errorData = await response.json();
-      console.error('❌ Erro na API Groq (chapéu):', errorData);
+      console.error('❌ IA indisponível para chapéu:', result.error);
     }
   } catch (error) {
     console.error('❌ Erro ao gerar chapéu:', error.message);
     console.error('❌ Stack:', error.stack);
   }
-  
-  // Fallback orientado pelo título (evitar genéricos)
-  const normalize = (s) => s.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-  const titleWords = new Set((title || '').split(/\s+/).map(w => normalize(w)).filter(Boolean));
-  const regionCandidates = ['PIAUÍ','CAPITAL','NACIONAL','INTERIOR'];
-  const region = regionCandidates.find(c => !titleWords.has(normalize(c)));
-  const derived = region || 'ESPECIAL';
-  console.log(`🔄 Fallback chapéu: "${derived}"`);
-  return derived;
+
+  const resolved = resolveChapeu(sugestao, title, undefined, { aprendidas: await feedbackStore.learnedChapeuRules() });
+  if (resolved.origem === 'ia') {
+    console.log(`✅ Chapéu gerado: "${resolved.chapeu}"`);
+  } else {
+    if (resolved.motivo) console.log(`⚠️ Chapéu da IA recusado ("${resolved.sugestao}": ${resolved.motivo})`);
+    console.log(`🔄 Chapéu por ${resolved.origem}: "${resolved.chapeu}"${resolved.termo ? ` (termo "${resolved.termo}")` : ''}`);
+  }
+  return resolved.chapeu;
+}
+
+// Orçamento de contexto da legenda (~4 caracteres por token em português)
+const CAPTION_CONTEXT_TOKENS = parseInt(process.env.CAPTION_CONTEXT_TOKENS, 10) || 600;
+
+// Trecho do corpo da matéria enviado à IA: parágrafos inteiros enquanto couberem no orçamento;
+// se nem o primeiro couber, corta no fim da última frase que couber.
+function buildCaptionContext(body, maxTokens = CAPTION_CONTEXT_TOKENS) {
+  const maxChars = maxTokens * 4;
+  const paragraphs = decodeHtmlEntitiesAll(body || '').split(/\n{2,}/).map(p => p.trim()).filter(Boolean);
+  const kept = [];
+  let used = 0;
+  for (const p of paragraphs) {
+    if (used + p.length > maxChars) {
+      if (!kept.length) {
+        const cut = p.slice(0, maxChars);
+        const end = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+        kept.push(end > 0 ? cut.slice(0, end + 1) : cut.replace(/\s+\S*$/, ''));
+      }
+      break;
+    }
+    kept.push(p);
+    used += p.length + 2;
+  }
+  return kept.join('\n\n');
+}
+
+// Primeira frase do contexto que não repete o título (fallback da legenda quando a IA falha)
+function firstContextSentence(title, ...texts) {
+  const normalize = (s) => s.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9 ]/g, '').trim();
+  const normalizedTitle = normalize(title || '');
+  for (const text of texts) {
+    const sentences = decodeHtmlEntitiesAll(text || '').split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(s => s.length >= 30);
+    const sentence = sentences.find(s => normalize(s) !== normalizedTitle && !normalizedTitle.includes(normalize(s)));
+    if (sentence) return sentence.length > 220 ? sentence.slice(0, 220).replace(/\s+\S*$/, '') + '.' : sentence;
+  }
+  return '';
+}
+
+// Hashtags da legenda: as que o editor deixou nos chips (string "#a #b" ou lista) ou, sem elas,
+// as fixas do modelo da editoria + as encontradas na matéria (lib/hashtags.js)
+function captionHashtags({ title, description, keywords, categoria, escolhidas }) {
+  const list = Array.isArray(escolhidas) ? escolhidas : String(escolhidas || '').split(/[\s,]+/);
+  if (list.some(tag => String(tag).trim())) return finalizeHashtags(list);
+  return generateHashtags({ title, description, keywords, categoria, fixed: templateFor(categoria).hashtags }).hashtags;
+}
+
+// Canais de ajuda (CVV 188, Ligue 180, Disque 100, config/canais-ajuda.json): regras de palavras no
+// título/descrição/trecho; sem nenhuma casando, a IA classifica a matéria como reserva.
+// Retorna [{ tema, nome, origem: 'regra'|'ia' }].
+async function classifyHelpTopics(title, description, context) {
+  const porRegra = detectHelpTopics([title, description, context]);
+  if (porRegra.length) {
+    console.log(`🆘 Canais de ajuda (regra): ${porRegra.map(t => `${t.nome} ("${t.termo}")`).join(', ')}`);
+    return porRegra.map(({ tema, nome }) => ({ tema, nome, origem: 'regra' }));
+  }
+  if (!llm.enabled()) return [];
+
+  const result = await llm.complete('apoio', [{
+    role: 'user',
+    content: `Classifique a matéria jornalística abaixo. Marque um tema só se ele for o ASSUNTO da matéria (não basta uma menção de passagem).
+
+TEMAS:
+${helpTopics().map(t => `- ${t.tema}: ${t.descricao}`).join('\n')}
+
+TÍTULO: ${title}
+${description ? `\nDESCRIÇÃO: ${description}` : ''}
+${context ? `\nTEXTO DA MATÉRIA (trecho):\n${String(context).slice(0, 1500)}\n` : ''}
+
+Responda SOMENTE com os códigos dos temas separados por vírgula, ou NENHUM.`
+  }]);
+  if (!result.ok) {
+    console.log('⚠️ IA indisponível para classificar canais de ajuda:', result.error);
+    return [];
+  }
+  const porIa = parseHelpClassification(result.text);
+  if (porIa.length) console.log(`🆘 Canais de ajuda (IA, ${result.provider}): ${porIa.map(t => t.nome).join(', ')}`);
+  return porIa.map(t => ({ ...t, origem: 'ia' }));
 }
 
-// Função para gerar legenda com Groq (sem categoria)
-async function generateCaption(title, chapeu, description) {
+// Função para gerar legenda: a IA escreve só a linha de resumo e o modelo da editoria
+// (config/legendas.json, editável nas configurações) monta o resto, com ou sem IA.
+// `context` é o trecho do corpo da matéria já truncado por buildCaptionContext; `hashtags` é a lista
+// final (captionHashtags) e, sem ela, valem as fixas do modelo
+// `report` (opcional) recebe canaisAjuda: os blocos de ajuda acrescentados à legenda
+async function generateCaption(title, chapeu, description, context = '', { categoria, url, creditos, hashtags, report } = {}) {
+  const cleanTitle = decodeHtmlEntitiesAll(title || '');
+  const template = templateFor(categoria);
+  const modelo = withHelpPlaceholder(template.modelo);
+  const values = { titulo: cleanTitle, url: url || '', creditos: creditos ? `📸 Foto: ${creditos}` : '', hashtags: hashtags || template.hashtags, chapeu: chapeu || '', categoria: template.categoria };
+  // A classificação roda junto com o resumo; o bloco entra em {apoio} com ou sem IA
+  const canais = classifyHelpTopics(cleanTitle, decodeHtmlEntitiesAll(description || ''), decodeHtmlEntitiesAll(context || ''))
+    .catch(error => {
+      console.error('❌ Erro ao classificar canais de ajuda:', error.message);
+      return [];
+    });
+  const finish = async (resumo) => {
+    const canaisAjuda = await canais;
+    if (report) report.canaisAjuda = canaisAjuda;
+    return renderCaption(modelo, { ...values, resumo, apoio: helpBlock(canaisAjuda) });
+  };
+
   try {
-    // Decodificar entidades HTML antes de enviar para o Groq
-    const cleanTitle = decodeHtmlEntitiesAll(title || '');
+    // Decodificar entidades HTML antes de enviar para a IA
     const cleanDescription = decodeHtmlEntitiesAll(description || '');
+    const cleanContext = decodeHtmlEntitiesAll(context || '');
     
-    console.log(`🤖 Gerando legenda para: "${cleanTitle}" (chapéu: ${chapeu})`);
+    console.log(`🤖 Gerando legenda para: "${cleanTitle}" (chapéu: ${chapeu}, modelo: ${template.categoria}, contexto: ${cleanContext.length} caracteres)`);
     
-    const response = await makeHttpsRequest(GROQ_CONFIG.API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_CONFIG.API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-    body: JSON.stringify({
-        model: GROQ_CONFIG.MODEL,
-        messages: [{
-          role: 'user',
-      content: `Você é social media jornalístico. Escreva uma legenda clara, enxuta e com ótima leitura no Instagram.
+    const result = await llm.complete('legenda', [{
+      role: 'user',
+      content: `Você é social media jornalístico. Escreva a LINHA DE RESUMO de uma legenda de Instagram: clara, enxuta e com ótima leitura.
 
-TÍTULO (use na 1ª linha, sem alterar): ${cleanTitle}
+TÍTULO: ${cleanTitle}
 ${cleanDescription ? `\nDESCRIÇÃO/CONTEXTO: ${cleanDescription}` : ''}
+${cleanContext ? `\nTEXTO DA MATÉRIA (trecho):\n${cleanContext}\n` : ''}
 
 REGRAS OBRIGATÓRIAS:
 - Não repita o título nem ideias já ditas; nada de redundância
-- 1 linha curta explicando o essencial (baseie-se no contexto se houver)
-- Respeite EXATAMENTE as quebras de linha do modelo abaixo
-- Não inclua categoria/editoria; linguagem profissional e direta
-- Sem aspas nem rótulos como "TÍTULO:" ou "LEGENDA:"
+- 1 linha curta explicando o essencial, com fatos concretos do texto da matéria (quem, onde, quando, números)
+- Não inclua categoria/editoria, hashtags, emojis nem chamadas para o site; linguagem profissional e direta
+- Sem aspas nem rótulos como "RESUMO:" ou "LEGENDA:"
 - JAMAIS use placeholders como [idade], [local], [nome] ou similares
-- Use APENAS informações concretas do título/contexto fornecido
+- Use APENAS informações concretas do título/descrição/texto da matéria fornecidos
 - Se não souber uma informação específica, não mencione ela
 
-MODELO EXATO (mantenha linhas em branco exatamente assim):
-${cleanTitle}
-
-[uma linha curta, objetiva e humana que contextualiza]
-
-📍 Leia a matéria completa em www.r10piaui.com
-
-🔴 R10 Piauí – Dá gosto de ver!
-
-#R10Piauí #Notícias #Piauí
+A legenda será montada assim (sua linha entra no lugar de <<RESUMO>>):
+${renderCaption(modelo, { ...values, resumo: '<<RESUMO>>' })}
 
-Responda SOMENTE com o texto final, sem comentários.`
-        }],
-        max_tokens: 200,
-    temperature: 0.15
-      })
-    });
+Responda SOMENTE com a linha de resumo, sem comentários.`
+    }]);
 
-    console.log(`📡 Status da resposta Groq (legenda): ${response.status}`);
-    
-    if (response.ok) {
-      const data = await response.json();
-      console.log(`📝 Resposta Groq legenda:`, JSON.stringify(data, null, 2));
-      
-      let caption = data.choices[0]?.message?.content?.trim();
-      if (caption && caption.length > 0) {
-        // VALIDAÇÃO CRÍTICA: Detectar placeholders proibidos
-        const placeholders = /\[[\w\sáàâäãéèêëíìîïóòôöõúùûüç]+\]/gi;
-        if (placeholders.test(caption)) {
-          console.log('🚨 ERRO CRÍTICO: Legenda contém placeholders proibidos');
-          console.log('📝 Legenda rejeitada:', caption);
-          // Usar fallback em vez da legenda com placeholders
-          caption = null;
-        } else {
-          // Normalizar: remover reticências, linhas extras, e assegurar 1ª linha = título
-          caption = caption.replace(/[\u2026]|\.\.\./g, '').replace(/\r/g, '');
-          const parts = caption.split('\n').map(s => s.trim()).filter(Boolean);
-          if (parts.length > 0) parts[0] = cleanTitle; // Usar título decodificado
-          // Reconstituir com linhas em branco entre blocos
-          caption = parts.join('\n\n');
-          console.log('✅ Legenda gerada com sucesso (normalizada)');
-          return caption;
-        }
-      }
+    if (result.ok) {
+      console.log(`📝 Resposta IA legenda (${result.provider}/${result.model}):`, result.text);
       
-      if (!caption) {
-        console.log('❌ Legenda vazia, inválida ou com placeholders');
+      // Normalizar: uma linha só, sem reticências; se a IA devolver a legenda inteira, descartar
+      // título, hashtags e as linhas fixas do modelo
+      const fixedLines = new Set(renderCaption(modelo, values).split('\n').map(s => s.trim().toLowerCase()));
+      const resumo = result.text.replace(/[\u2026]|\.\.\./g, '').replace(/\r/g, '')
+        .split('\n').map(s => s.trim().replace(/^["“]|["”]$/g, ''))
+        .filter(line => line && !fixedLines.has(line.toLowerCase()) && !line.toLowerCase().includes(cleanTitle.toLowerCase())
+          && !line.startsWith('#') && !/<<RESUMO>>/.test(line))[0] || '';
+      // VALIDAÇÃO CRÍTICA: Detectar placeholders proibidos
+      const placeholders = /\[[\w\sáàâäãéèêëíìîïóòôöõúùûüç]+\]/gi;
+      if (placeholders.test(resumo)) {
+        console.log('🚨 ERRO CRÍTICO: Legenda contém placeholders proibidos');
+        console.log('📝 Resumo rejeitado:', resumo);
+      } else if (resumo) {
+        console.log('✅ Legenda gerada com sucesso (modelo aplicado)');
+        return finish(resumo);
+      } else {
+        console.log('❌ Resumo vazio ou inválido');
       }
     } else {
-      const errorData = await response.json();
-      console.error('❌ Erro na API Groq (legenda):', errorData);
+      console.error('❌ IA indisponível para legenda:', result.error);
     }
   } catch (error) {
     console.error('❌ Erro ao gerar legenda:', error.message);
     console.error('❌ Stack:', error.stack);
   }
   
-  // Fallback: legenda simples com título completo decodificado
-  // Decodificar entidades HTML no título
-  function decodeHtmlEntitiesFallback(text) {
-    const entities = {
-      '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&nbsp;': ' ',
-      '&aacute;': 'á', '&Aacute;': 'Á', '&agrave;': 'à', '&Agrave;': 'À',
-      '&acirc;': 'â', '&Acirc;': 'Â', '&atilde;': 'ã', '&Atilde;': 'Ã',
-      '&auml;': 'ä', '&Auml;': 'Ä', '&eacute;': 'é', '&Eacute;': 'É',
-      '&egrave;': 'è', '&Egrave;': 'È', '&ecirc;': 'ê', '&Ecirc;': 'Ê',
-      '&iacute;': 'í', '&Iacute;': 'Í', '&igrave;': 'ì', '&Igrave;': 'Ì',
-      '&icirc;': 'î', '&Icirc;': 'Î', '&oacute;': 'ó', '&Oacute;': 'Ó',
-      '&ograve;': 'ò', '&Ograve;': 'Ò', '&ocirc;': 'ô', '&Ocirc;': 'Ô',
-      '&otilde;': 'õ', '&Otilde;': 'Õ', '&uacute;': 'ú', '&Uacute;': 'Ú',
-      '&ugrave;': 'ù', '&Ugrave;': 'Ù', '&ucirc;': 'û', '&Ucirc;': 'Û',
-      '&ccedil;': 'ç', '&Ccedil;': 'Ç'
-    };
-    return text.replace(/&[a-zA-Z]+;/g, (entity) => entities[entity] || entity);
-  }
-  
-  const titleDecodificado = decodeHtmlEntitiesAll(title);
-  const fallbackCaption = `${titleDecodificado}
-
-Resumo curto e direto do que aconteceu.
-
-📍 Leia a matéria completa em www.r10piaui.com
-
-🔴 R10 Piauí – Dá gosto de ver!
-
-#R10Piauí #Notícias #Piauí`;
-  
+  // Fallback: mesmo modelo, com a descrição ou a primeira frase da matéria como resumo
+  // (sem nada concreto, a linha é omitida)
   console.log(`🔄 Usando fallback para legenda`);
-  return fallbackCaption;
+  return finish(firstContextSentence(cleanTitle, description, context));
 }
 
 // Função para gerar card com Sharp - EXATAMENTE IGUAL AO SISTEMA PRINCIPAL
 async function generateInstagramCard(data) {
-  const { title, imagePath, categoria, chapeu, destaquePersonalizado, type = 'card' } = data;
+  // `report` (opcional) recebe titleLines/titleWordsCut/titleFontSize do que foi efetivamente desenhado e o
+  // destaque aplicado ({ inicio, fim, texto, origem: 'editor'|'ia'|'local' }) e o modo da foto
+  // (modoFoto/perdaRecorte). `foco` (parseFoco): ponto da foto que o recorte mantém; sem ele, o recorte
+  // automático do template. `modoFoto` (parseModoFoto): força o recorte ou o fundo desfocado
+  const { title, imagePath, categoria, chapeu, destaquePersonalizado, semIA, report, foco, modoFoto, type = 'card' } = data;
   
   console.log('🎨 Gerando card...');
   
@@ -708,43 +820,8 @@ async function generateInstagramCard(data) {
       return EMBEDDED_FONTS_CSS;
     }
 
-    // Definir cores por editoria EXATAS do sistema principal
-    const editorialColors = {
-      'polícia': '#dc2626',          // 🔴 POLÍCIA: Vermelho
-      'política': '#2563eb',         // 🔵 POLÍTICA: Azul
-      'esporte': '#16a34a',          // 🟢 ESPORTE: Verde
-      'entretenimento': '#9333ea',   // � ENTRETENIMENTO: Roxo
-      'geral': '#ea580c',            // 🟠 GERAL: Laranja
-      'default': '#ea580c'           // laranja padrão (geral)
-    };
-
-    // Usar cor baseada na categoria fornecida com fallback seguro
-    const categoriaParaCor = categoria || 'geral';
-    const barColor = editorialColors[categoriaParaCor] || editorialColors['default'];
-    
-    // Definir dimensões baseadas no tipo
-    const dimensions = type === 'story' ? { width: 1080, height: 1920 } : { width: 1080, height: 1350 };
-    
-    // 1. Redimensionar imagem para as dimensões corretas
-    const resizedImage = await sharp(imagePath)
-      .resize(dimensions.width, dimensions.height, { fit: 'cover' })
-      .toBuffer();
-
-    // 2. Ler o template overlay correto
-    const overlayFile = type === 'story' ? 'overlaystory.png' : 'overlay.png';
-    const overlayPath = path.join(__dirname, 'templates', overlayFile);
-    console.log(`🖼️ Carregando template: ${overlayPath}`);
-    
-    // Verificar se o arquivo existe
-    try {
-      await fs.access(overlayPath);
-      console.log(`✅ Arquivo overlay encontrado`);
-    } catch (err) {
-      console.error(`❌ Arquivo overlay não encontrado: ${overlayPath}`);
-      throw new Error(`Template overlay não encontrado: ${overlayFile}`);
-    }
-    
-    const overlayBuffer = await fs.readFile(overlayPath);
+    // Geometria, cores da barra e overlay vêm do template (templates/layouts/layout1.json)
+    const template = loadTemplate('layout1', type === 'story' ? 'story' : undefined);
 
     // 3. Função inteligente para destacar exatamente 3 palavras contíguas (com salvaguardas)
     const findKeywords = (text) => {
@@ -858,30 +935,22 @@ async function generateInstagramCard(data) {
       return { boldStart: -1, boldLength: 0 };
     };
 
-    // 3.b Destaque via Groq: escolher 2 palavras contíguas do título (ou 1 se não houver par bom)
-    async function generateGroqHighlight(text) {
+    // 3.b Destaque via IA: escolher 2 palavras contíguas do título (ou 1 se não houver par bom)
+    async function generateAiHighlight(text) {
       try {
-        if (!GROQ_CONFIG.API_KEY) return null;
+        if (!llm.enabled()) return null;
         const words = (text || '').split(' ').filter(Boolean);
         const desiredLen = (words.length > 3) ? 3 : (words.length === 3 ? 2 : Math.max(1, Math.min(1, words.length)));
-        const prompt = `Escolha EXATAMENTE ${desiredLen} PALAVRA${desiredLen>1?'S':''} CONTÍGUAS do TÍTULO abaixo para destacar no card.\n\nTÍTULO: "${(text || '').replace(/\s+/g, ' ').trim()}"\n\nCRITÉRIOS (em ordem):\n- Aumentar impacto informativo (pode estar no meio do título)\n- Preferir nomes próprios/entidades, número + substantivo, local + evento, verbo + substantivo\n- Evitar iniciar/terminar o trecho com stopwords (de, da, do, em, na, no, com, para, por, a, o, e, que)\n- As palavras devem ser cópia EXATA e CONTÍGUAS no título\n- Se o título for muito curto, NÃO destaque o título inteiro (evite cobrir todas as palavras)\n\nFORMATO DE RESPOSTA (JSON válido):\n{ "highlight": "${desiredLen} PALAVRA${desiredLen>1?'S':''} CONTÍGUAS DO TÍTULO" }`;
-
-        const response = await makeHttpsRequest(GROQ_CONFIG.API_URL, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${GROQ_CONFIG.API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: GROQ_CONFIG.MODEL,
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: 30,
-            temperature: 0.1
-          })
-        });
-        if (!response.ok) return null;
-        const data = await response.json();
-        let raw = (data.choices?.[0]?.message?.content || '').trim();
+        // Destaques que os editores escolheram em títulos parecidos
+        const exemplos = await feedbackStore.examples('destaque', text, 3);
+        const exemplosTexto = exemplos.length
+          ? `\nESCOLHAS DOS EDITORES EM TÍTULOS PARECIDOS (siga o mesmo critério):\n${exemplos.map(e => `- "${e.titulo}" → "${e.escolhido.texto}"`).join('\n')}\n`
+          : '';
+        const prompt = `Escolha EXATAMENTE ${desiredLen} PALAVRA${desiredLen>1?'S':''} CONTÍGUAS do TÍTULO abaixo para destacar no card.\n\nTÍTULO: "${(text || '').replace(/\s+/g, ' ').trim()}"\n\nCRITÉRIOS (em ordem):\n- Aumentar impacto informativo (pode estar no meio do título)\n- Preferir nomes próprios/entidades, número + substantivo, local + evento, verbo + substantivo\n- Evitar iniciar/terminar o trecho com stopwords (de, da, do, em, na, no, com, para, por, a, o, e, que)\n- As palavras devem ser cópia EXATA e CONTÍGUAS no título\n- Se o título for muito curto, NÃO destaque o título inteiro (evite cobrir todas as palavras)\n${exemplosTexto}\nFORMATO DE RESPOSTA (JSON válido):\n{ "highlight": "${desiredLen} PALAVRA${desiredLen>1?'S':''} CONTÍGUAS DO TÍTULO" }`;
+
+        const result = await llm.complete('destaque', [{ role: 'user', content: prompt }]);
+        if (!result.ok) return null;
+        let raw = result.text;
         // Tentar parsear JSON
         let hl = '';
         try {
@@ -917,12 +986,12 @@ async function generateInstagramCard(data) {
           // Ajustar para o comprimento desejado (sem cobrir todas as palavras se evitável)
           let len = Math.max(1, Math.min(normHl.length, desiredLen));
           if (titleWords.length > desiredLen && len !== desiredLen) len = desiredLen;
-          console.log(`🤖 Groq destacou: "${hl}" (start ${startIdx}, len ${len})`);
+          console.log(`🤖 IA (${result.provider}) destacou: "${hl}" (start ${startIdx}, len ${len})`);
           return { boldStart: startIdx, boldLength: len };
         }
         return null;
       } catch (e) {
-        console.log('⚠️ Groq highlight indisponível:', e.message);
+        console.log('⚠️ Destaque por IA indisponível:', e.message);
         return null;
       }
     }
@@ -930,8 +999,9 @@ async function generateInstagramCard(data) {
   // Não truncar o título antes; deixar o algoritmo de quebra distribuir em até 3 linhas
   const adaptedTitle = title;
   const titleWords = adaptedTitle.split(' ');
-  // Determinar destaque: usar personalizado, depois Groq, depois automático local
+  // Determinar destaque: usar personalizado, depois IA, depois automático local
   let boldStart, boldLength;
+  let destaqueOrigem = 'editor';
   
   if (destaquePersonalizado) {
     // Verificar se é o novo formato com índices ou o antigo formato de texto
@@ -960,20 +1030,23 @@ async function generateInstagramCard(data) {
         const result = findKeywords(adaptedTitle);
         boldStart = result.boldStart;
         boldLength = result.boldLength;
+        destaqueOrigem = 'local';
       }
     }
   } else {
-    // Tentar Groq primeiro
-    const groqHL = await generateGroqHighlight(adaptedTitle);
-    if (groqHL && groqHL.boldStart >= 0) {
-      boldStart = groqHL.boldStart;
-      boldLength = groqHL.boldLength;
-      console.log('✅ Destaque via Groq aplicado');
+    // Tentar IA primeiro (exceto na troca de variação de título, que não chama a IA)
+    const aiHL = semIA ? null : await generateAiHighlight(adaptedTitle);
+    if (aiHL && aiHL.boldStart >= 0) {
+      boldStart = aiHL.boldStart;
+      boldLength = aiHL.boldLength;
+      destaqueOrigem = 'ia';
+      console.log('✅ Destaque via IA aplicado');
     } else {
       // Fallback: heurística local
       const result = findKeywords(adaptedTitle);
       boldStart = result.boldStart;
       boldLength = result.boldLength;
+      destaqueOrigem = 'local';
       console.log('🔄 Destaque heurístico local aplicado');
     }
 
@@ -993,188 +1066,35 @@ async function generateInstagramCard(data) {
     }
   }
     
-    // Usar quebra por largura calculada (respeitando margens e evitando linhas com 1 palavra)
-    const maxLines = 3;
-    const FONT_SIZE = 76;
-    const CHAR_WIDTH_NORMAL = 0.58; // heurística
-    const CHAR_WIDTH_BOLD = 0.62;   // heurística
-    const SPACE_WIDTH = 0.32 * FONT_SIZE;
-    const titleMarginLeft = 60;
-    const marginRight = 60;
-    const titleMaxWidth = dimensions.width - (titleMarginLeft + marginRight);
-
-    function estimateWordWidth(word, isBold) {
-      const factor = isBold ? CHAR_WIDTH_BOLD : CHAR_WIDTH_NORMAL;
-      return word.length * FONT_SIZE * factor;
-    }
-
-  function wrapWordsToWidth(wordsArr, boldStart, boldLength, maxWidth, maxLines) {
-      const built = [];
-      let line = [];
-      let width = 0;
-      for (let i = 0; i < wordsArr.length; i++) {
-        const w = wordsArr[i];
-        const isBold = i >= boldStart && i < boldStart + boldLength;
-        const wWidth = estimateWordWidth(w, isBold);
-        const extraSpace = line.length > 0 ? SPACE_WIDTH : 0;
-        if (width + extraSpace + wWidth <= maxWidth || line.length === 0) {
-          line.push({ text: w, isBold });
-          width += extraSpace + wWidth;
-        } else {
-          built.push(line);
-          if (built.length >= maxLines) break;
-          line = [{ text: w, isBold }];
-          width = wWidth;
-        }
-      }
-      if (line.length && built.length < maxLines) built.push(line);
-
-      function lineWidth(arr) {
-        let total = 0;
-        for (let i = 0; i < arr.length; i++) {
-          const ww = estimateWordWidth(arr[i].text, arr[i].isBold);
-          total += ww + (i > 0 ? SPACE_WIDTH : 0);
-        }
-        return total;
-      }
-
-      // evitar linhas com 1 palavra (viúvas) sempre que possível
-      for (let i = 0; i < built.length; i++) {
-        if (built[i].length === 1) {
-          // tenta puxar do anterior
-          const prev = i > 0 ? built[i - 1] : null;
-          if (prev && prev.length > 2) {
-            const moved = prev.pop();
-            if (lineWidth(built[i]) + SPACE_WIDTH + estimateWordWidth(moved.text, moved.isBold) <= maxWidth) {
-              built[i].unshift(moved);
-            } else {
-              prev.push(moved);
-            }
-          } else if (i + 1 < built.length && built[i + 1].length > 1) {
-            // ou puxa da próxima
-            const next = built[i + 1];
-            const movedN = next.shift();
-            if (movedN) {
-              if (lineWidth(built[i]) + (built[i].length ? SPACE_WIDTH : 0) + estimateWordWidth(movedN.text, movedN.isBold) <= maxWidth) {
-                built[i].push(movedN);
-              } else {
-                next.unshift(movedN);
-              }
-            }
-          }
-        }
-      }
-
-      // clamp por largura
-      for (let i = 0; i < built.length; i++) {
-        while (lineWidth(built[i]) > maxWidth && built[i].length > 1) {
-          const spill = built[i].pop();
-          if (i + 1 < built.length) {
-            const target = built[i + 1];
-            if (lineWidth(target) + (target.length ? SPACE_WIDTH : 0) + estimateWordWidth(spill.text, spill.isBold) <= maxWidth) {
-              target.unshift(spill);
-            }
-          }
-        }
-      }
-
-      if (built.length > maxLines) built.length = maxLines;
-      return built;
-    }
-
-    const lines = wrapWordsToWidth(titleWords, boldStart, boldLength, titleMaxWidth, maxLines);
-
-  // Parâmetros da barra do chapéu (largura proporcional ao texto)
-  const barHeight = 44;
-  const barX = 60;
-  const barY = type === 'story' ? 950 : 878;
-    
-  // Subir o título mais 20px (total +40px desde o original)
-  const titleStartY = type === 'story' ? 1040 : 940; // antes: 1060/960
-  // titleMarginLeft=60 e titleMaxWidth=largura-120 já definidos acima
-
-    // 4. 🎯 SISTEMA HÍBRIDO: Sharp + Overlay PNG + Canvas Poppins para texto
-    console.log('🎨 Usando Sharp + Overlay PNG + Canvas para texto Poppins...');
-    
-    // Primeiro: Compor imagem base + overlay PNG usando Sharp
-    const baseComposite = await sharp(resizedImage)
-      .composite([{
-        input: overlayBuffer,
-        top: 0,
-        left: 0
-      }])
-      .png()
-      .toBuffer();
-
-    // Segundo: Criar Canvas para renderizar APENAS os textos com Poppins
-    const canvas = createCanvas(dimensions.width, dimensions.height);
-    const ctx = canvas.getContext('2d');
-
-    // Carregar imagem base+overlay no Canvas
-    const baseImage = await loadImage(baseComposite);
-    ctx.drawImage(baseImage, 0, 0, dimensions.width, dimensions.height);
-
-    // Chapéu (se existir) - renderizar SOBRE o overlay
-    if (chapeuFinal) {
-      // Barra colorizada (já está no overlay, mas vamos sobrepor com cor correta)
-      ctx.fillStyle = barColor;
-      // Definir fonte antes de medir
-      ctx.font = 'bold 30px "Poppins", Arial, sans-serif';
-      const chapeuTexto = decodeHtmlEntitiesAll(chapeuFinal);
-      const metrics = ctx.measureText(chapeuTexto);
-      const barWidth = Math.max(Math.ceil(metrics.width + 32), 160); // padding 16px de cada lado
-      ctx.fillRect(barX, barY, barWidth, barHeight);
-
-      // Texto do chapéu com POPPINS
-      ctx.fillStyle = 'white';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      const textX = barX + (barWidth / 2);
-      ctx.fillText(chapeuTexto, textX, barY + (barHeight / 2));
-      
-      console.log(`✅ Chapéu "${chapeuTexto}" renderizado com Poppins sobre overlay`);
+    // Chapéu e título desenhados pelo motor de templates; a quebra do título é a mesma medida do
+    // passo de manchete (lib/title-layout.js): linhas equilibradas e fonte reduzida antes de cortar
+    console.log(`🎨 Usando template ${template.nome}${template.variante ? `/${template.variante}` : ''} (Sharp + Canvas Poppins)...`);
+    console.log(foco ? `🎯 Foco da foto: X=${foco.x}%, Y=${foco.y}%` : `🎯 Recorte automático (${(template.fundo && template.fundo.recorte) || 'centro'})`);
+    const { buffer, caixas, fundo } = await renderTemplate(template, {
+      imagem: imagePath,
+      categoria: categoria || 'geral',
+      textos: { chapeu: chapeuFinal ? decodeHtmlEntitiesAll(chapeuFinal) : '', titulo: adaptedTitle },
+      destaque: { boldStart, boldLength },
+      foco,
+      modoFoto
+    });
+    const titulo = caixas.titulo;
+    if (titulo.palavrasCortadas) {
+      console.log(`⚠️ Título não coube em ${template.caixas.titulo.maxLinhas} linhas: ${titulo.palavrasCortadas} palavra(s) ficaram de fora`);
     }
-
-    // Título com destaque e POPPINS - renderizar SOBRE o overlay
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'top';
-    
-    lines.forEach((line, lineIndex) => {
-      const y = titleStartY + (lineIndex * 85);
-      let currentX = titleMarginLeft;
-      
-      line.forEach((wordObj, wordIndex) => {
-        // Configurar fonte POPPINS baseada no peso
-        const fontWeight = wordObj.isBold ? '800' : '400';
-        ctx.font = `${fontWeight} 76px "Poppins", Arial, sans-serif`;
-        ctx.fillStyle = 'white';
-        
-        // Medir palavra para espaçamento
-        const metrics = ctx.measureText(wordObj.text);
-        
-        // Desenhar palavra
-  ctx.fillText((wordObj.text || '').normalize('NFC'), currentX, y);
-        
-        // Atualizar posição X para próxima palavra
-        currentX += metrics.width;
-        
-        // Adicionar espaço se não for última palavra
-        if (wordIndex < line.length - 1) {
-          const spaceMetrics = ctx.measureText(' ');
-          currentX += spaceMetrics.width;
-        }
-        
-        console.log(`✅ Palavra "${wordObj.text}" renderizada com Poppins ${fontWeight} sobre overlay`);
+    if (report) {
+      Object.assign(report, {
+        titleLines: titulo.linhas,
+        titleWordsCut: titulo.palavrasCortadas,
+        titleFontSize: titulo.tamanhoFonte,
+        modoFoto: fundo.modo,
+        perdaRecorte: fundo.perda,
+        destaque: { inicio: boldStart, fim: boldStart + boldLength - 1, texto: titleWords.slice(boldStart, boldStart + boldLength).join(' '), origem: destaqueOrigem }
       });
-    });
-
-    console.log('🎯 Canvas finalizado: Overlay PNG + Poppins! Convertendo para buffer...');
-    
-    // Converter Canvas final para buffer PNG
-    const finalImage = canvas.toBuffer('image/png');
+    }
 
     console.log('✅ Card gerado com sucesso');
-    return finalImage;
+    return buffer;
     
   } catch (error) {
     console.error('❌ Erro ao gerar card:', error);
@@ -1184,7 +1104,7 @@ async function generateInstagramCard(data) {
 
 // 🆕 LAYOUT 2 - CHAPÉU COM BARRAS DINÂMICAS (baseado no mockup oficial)
 async function generateInstagramCardLayout2(data) {
-  const { title, imagePath, categoria, chapeu, destaquePersonalizado, type = 'card' } = data;
+  const { title, imagePath, categoria, chapeu, destaquePersonalizado, report, foco, modoFoto, type = 'card' } = data;
   
   console.log('🎨 Gerando card Layout 2 - Barras dinâmicas...');
   
@@ -1193,143 +1113,21 @@ async function generateInstagramCardLayout2(data) {
   console.log(`🏷️ Layout 2 - Usando chapéu: "${chapeuFinal}"`);
   
   try {
-    // Dimensões do card Instagram
-    const dimensions = { width: 1080, height: 1350 };
-    
-    // Cores por editoria
-    const editorialColors = {
-      'polícia': '#dc2626',          // 🔴 POLÍCIA: Vermelho
-      'política': '#2563eb',         // 🔵 POLÍTICA: Azul
-      'esporte': '#16a34a',          // 🟢 ESPORTE: Verde
-      'entretenimento': '#9333ea',   // 🟣 ENTRETENIMENTO: Roxo
-      'geral': '#ea580c',            // 🟠 GERAL: Laranja
-    };
-    const barColor = editorialColors[categoria?.toLowerCase()] || editorialColors['geral'];
-    
-    // Processar imagem de fundo
-    const imageBuffer = await fs.readFile(imagePath);
-    
-    // Criar base com gradiente similar ao mockup (mais sutil)
-    const baseWithGradient = await sharp(imageBuffer)
-      .resize(dimensions.width, dimensions.height, { fit: 'cover', position: 'center' })
-      .composite([{
-        input: Buffer.from(`
-          <svg width="${dimensions.width}" height="${dimensions.height}">
-            <defs>
-              <linearGradient id="grad" x1="0%" y1="0%" x2="0%" y2="100%">
-                <stop offset="0%" style="stop-color:rgba(0,0,0,0.1);stop-opacity:1" />
-                <stop offset="100%" style="stop-color:rgba(0,0,0,0.6);stop-opacity:1" />
-              </linearGradient>
-            </defs>
-            <rect width="100%" height="100%" fill="url(#grad)"/>
-          </svg>
-        `),
-        blend: 'multiply'
-      }])
-      .png()
-      .toBuffer();
-    
-    // Criar Canvas para renderizar textos
-    const canvas = createCanvas(dimensions.width, dimensions.height);
-    const ctx = canvas.getContext('2d');
-    
-    // Carregar imagem base no Canvas
-    const baseImage = await loadImage(baseWithGradient);
-    ctx.drawImage(baseImage, 0, 0, dimensions.width, dimensions.height);
-    
-    // Configurações de posicionamento
-    const margin = 60;
-    const chapeuStartY = 80;
-    const lineHeight = 85;
-    
-    // Processar chapéu - quebrar em linhas se necessário
-    if (chapeuFinal) {
-      const chapeuTexto = decodeHtmlEntitiesAll(chapeuFinal);
-      const chapeuWords = chapeuTexto.split(' ');
-      const chapeuLines = [];
-      
-      // Configurar fonte para medir
-      ctx.font = 'bold 70px "Poppins", Arial, sans-serif';
-      const maxWidth = dimensions.width - (margin * 2) - 40; // margem + padding da barra
-      
-      let currentLine = '';
-      for (const word of chapeuWords) {
-        const testLine = currentLine ? `${currentLine} ${word}` : word;
-        const metrics = ctx.measureText(testLine);
-        
-        if (metrics.width <= maxWidth) {
-          currentLine = testLine;
-        } else {
-          if (currentLine) chapeuLines.push(currentLine);
-          currentLine = word;
-        }
-      }
-      if (currentLine) chapeuLines.push(currentLine);
-      
-      // Renderizar cada linha do chapéu com barra dinâmica
-      chapeuLines.forEach((line, index) => {
-        const y = chapeuStartY + (index * lineHeight);
-        
-        // Medir largura da linha
-        const metrics = ctx.measureText(line);
-        const barWidth = Math.ceil(metrics.width + 40); // 20px padding cada lado
-        const barHeight = 75;
-        
-        // Desenhar barra vermelha dinâmica
-        ctx.fillStyle = barColor;
-        ctx.fillRect(margin, y - 10, barWidth, barHeight);
-        
-        // Desenhar texto do chapéu (Poppins Bold 70px)
-        ctx.fillStyle = 'white';
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
-        ctx.fillText(line, margin + 20, y + 5);
-        
-        console.log(`✅ Layout 2 - Chapéu "${line}" com barra ${barWidth}px`);
-      });
-      
-      // Calcular posição do título
-      const tituloStartY = chapeuStartY + (chapeuLines.length * lineHeight) + 40;
-      
-      // Processar título (Poppins Regular 70px)
-      const tituloTexto = decodeHtmlEntitiesAll(title);
-      const tituloWords = tituloTexto.split(' ');
-      const tituloLines = [];
-      
-      // Configurar fonte do título
-      ctx.font = '400 70px "Poppins", Arial, sans-serif';
-      const maxTituloWidth = dimensions.width - (margin * 2);
-      
-      let currentTituloLine = '';
-      for (const word of tituloWords) {
-        const testLine = currentTituloLine ? `${currentTituloLine} ${word}` : word;
-        const metrics = ctx.measureText(testLine);
-        
-        if (metrics.width <= maxTituloWidth) {
-          currentTituloLine = testLine;
-        } else {
-          if (currentTituloLine) tituloLines.push(currentTituloLine);
-          currentTituloLine = word;
-        }
-      }
-      if (currentTituloLine) tituloLines.push(currentTituloLine);
-      
-      // Renderizar linhas do título
-      ctx.fillStyle = 'white';
-      tituloLines.forEach((line, index) => {
-        const y = tituloStartY + (index * 85);
-        ctx.fillText(line, margin, y);
-        console.log(`✅ Layout 2 - Título "${line}"`);
-      });
-    }
-    
-    console.log('🎯 Layout 2 finalizado com barras dinâmicas!');
-    
-    // Converter Canvas final para buffer PNG
-    const finalImage = canvas.toBuffer('image/png');
-    
+    // Gradiente, barras e posições vêm do template (templates/layouts/layout2.json); o título só
+    // aparece junto com o chapéu
+    const template = loadTemplate('layout2');
+    const { buffer, caixas, fundo } = await renderTemplate(template, {
+      imagem: imagePath,
+      categoria: categoria || 'geral',
+      textos: { chapeu: chapeuFinal ? decodeHtmlEntitiesAll(chapeuFinal) : '', titulo: decodeHtmlEntitiesAll(title) },
+      foco,
+      modoFoto
+    });
+    if (report) Object.assign(report, { modoFoto: fundo.modo, perdaRecorte: fundo.perda });
+    if (report && caixas.titulo) Object.assign(report, { titleLines: caixas.titulo.linhas, titleWordsCut: caixas.titulo.palavrasCortadas, titleFontSize: caixas.titulo.tamanhoFonte });
+
     console.log('✅ Card Layout 2 gerado com sucesso');
-    return finalImage;
+    return buffer;
     
   } catch (error) {
     console.error('❌ Erro ao gerar card Layout 2:', error);
@@ -1379,9 +1177,32 @@ async function getPersistentPublicityPngBuffer() {
   }
 }
 
+// Texto do patrocinador para a descrição (alt_text) da publi, salvo junto com a imagem
+const PUBLICITY_META_FILE = path.join(process.env.PERSIST_DIR || path.join(__dirname, 'uploads'), 'publicity.json');
+async function readPublicityAltText() {
+  try {
+    return (await fs.readJson(PUBLICITY_META_FILE)).altText || '';
+  } catch {
+    return '';
+  }
+}
+
+async function savePublicityAltText(altText) {
+  await fs.ensureDir(path.dirname(PUBLICITY_META_FILE));
+  await fs.writeJson(PUBLICITY_META_FILE, { altText: cleanAltText(altText) }, { spaces: 2 });
+}
+
+// Campo de acessibilidade do container (omitido quando não há texto)
+const altTextField = (altText) => {
+  const text = cleanAltText(altText);
+  return text ? { alt_text: text } : {};
+};
+
 // Função para publicar no Instagram
-async function publishToInstagram(imageBuffer, caption) {
+// `altText`: descrição da imagem para leitores de tela (campo alt_text do container)
+async function publishToInstagram(imageBuffer, caption, altText) {
   console.log('📤 Publicando no Instagram...');
+  assertHashtagLimit(caption);
   
   try {
     // Validar URL pública
@@ -1403,12 +1224,13 @@ async function publishToInstagram(imageBuffer, caption) {
     // 3. Criar container de mídia
     const createMediaUrl = `${INSTAGRAM_CONFIG.GRAPH_API_URL}/${INSTAGRAM_CONFIG.BUSINESS_ID}/media`;
     
-    const mediaResponse = await makeHttpsRequest(createMediaUrl, {
+    const mediaResponse = await httpRequest(createMediaUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         image_url: imageUrl,
         caption: caption,
+        ...altTextField(altText),
         access_token: INSTAGRAM_CONFIG.ACCESS_TOKEN
       })
     });
@@ -1429,7 +1251,7 @@ async function publishToInstagram(imageBuffer, caption) {
   // 5. Publicar mídia
     const publishUrl = `${INSTAGRAM_CONFIG.GRAPH_API_URL}/${INSTAGRAM_CONFIG.BUSINESS_ID}/media_publish`;
     
-    const publishResponse = await makeHttpsRequest(publishUrl, {
+    const publishResponse = await httpRequest(publishUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -1467,17 +1289,77 @@ async function publishToInstagram(imageBuffer, caption) {
   }
 }
 
-// ROTAS DA API
+// Publica um story (container media_type=STORIES). Story não tem legenda na Graph API: o texto
+// vai todo no próprio card (generateInstagramCard com type 'story')
+async function publishStoryToInstagram(imageBuffer) {
+  console.log('📤 Publicando story no Instagram...');
+  if (!INSTAGRAM_CONFIG.PUBLIC_BASE_URL) {
+    throw new Error('PUBLIC_BASE_URL não configurada. Defina uma URL pública acessível (ex.: https://seu-dominio.com) para a Meta baixar as imagens.');
+  }
 
-// Página inicial (interface web)
-app.get('/', (req, res) => {
-  res.send(`
-<!DOCTYPE html>
-<html lang="pt-BR">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>R10 Instagram Publisher</title>
+  const filename = `story_${Date.now()}.png`;
+  const publicDir = path.join(__dirname, 'public', 'uploads');
+  await fs.ensureDir(publicDir);
+  const filepath = path.join(publicDir, filename);
+  await fs.writeFile(filepath, imageBuffer);
+  const removeFile = () => fs.unlink(filepath).catch(() => {});
+
+  try {
+    const imageUrl = `${INSTAGRAM_CONFIG.PUBLIC_BASE_URL.replace(/\/$/, '')}/uploads/${filename}`;
+    console.log('🖼️ URL pública do story:', imageUrl);
+
+    const mediaResponse = await httpRequest(`${INSTAGRAM_CONFIG.GRAPH_API_URL}/${INSTAGRAM_CONFIG.BUSINESS_ID}/media`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        image_url: imageUrl,
+        media_type: 'STORIES',
+        access_token: INSTAGRAM_CONFIG.ACCESS_TOKEN
+      })
+    });
+    const mediaResult = await mediaResponse.json();
+    console.log('📱 Resposta do container do story:', mediaResult);
+    if (!mediaResponse.ok || mediaResult.error) {
+      throw new Error(mediaResult.error?.message || 'Erro ao criar container do story');
+    }
+
+    // Aguardar processamento, como no post do feed
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    const publishResponse = await httpRequest(`${INSTAGRAM_CONFIG.GRAPH_API_URL}/${INSTAGRAM_CONFIG.BUSINESS_ID}/media_publish`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        creation_id: mediaResult.id,
+        access_token: INSTAGRAM_CONFIG.ACCESS_TOKEN
+      })
+    });
+    const publishResult = await publishResponse.json();
+    console.log('📱 Resposta da publicação do story:', publishResult);
+    if (!publishResponse.ok || publishResult.error) {
+      throw new Error(publishResult.error?.message || 'Erro ao publicar story');
+    }
+
+    setTimeout(removeFile, 5 * 60 * 1000);
+    return { postId: publishResult.id, mediaId: mediaResult.id };
+  } catch (error) {
+    await removeFile();
+    console.error('❌ Erro ao publicar story:', error);
+    throw error;
+  }
+}
+
+// ROTAS DA API
+
+// Página inicial (interface web)
+app.get('/', (req, res) => {
+  res.send(`
+<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>R10 Instagram Publisher</title>
     <style>
         body {
             font-family: Arial, sans-serif;
@@ -1927,8 +1809,15 @@ app.post('/api/extract-url', async (req, res) => {
       });
     }
 
+    try {
+      outboundPolicy.check(url);
+    } catch (policyError) {
+      return res.json({ success: false, error: policyError.message, code: policyError.code });
+    }
+
     console.log(`🔍 Extraindo dados de: ${url}`);
     const extractedData = await extractDataFromUrl(url);
+    extractedData.categoriaDetectada = detectCategory({ ...extractedData, url });
 
     res.json({
       success: true,
@@ -1939,17 +1828,227 @@ app.post('/api/extract-url', async (req, res) => {
     console.error('❌ Erro ao extrair dados:', error);
     res.json({ 
       success: false, 
-      error: error.message 
+      error: error.message,
+      code: clientErrorCode(error)
     });
   }
 });
 
+// Ponto de foco da foto escolhido pelo editor no preview: { x, y } em % da foto (objeto ou JSON).
+// Vazio ou inválido = null, e o card usa o recorte automático do template
+function parseFoco(value) {
+  let foco = value;
+  if (typeof foco === 'string') {
+    try {
+      foco = JSON.parse(foco);
+    } catch (_) {
+      return null;
+    }
+  }
+  if (!foco || typeof foco !== 'object') return null;
+  const x = Number(foco.x);
+  const y = Number(foco.y);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  return { x: Math.min(100, Math.max(0, x)), y: Math.min(100, Math.max(0, y)) };
+}
+
+// Foto recortada ou inteira sobre fundo desfocado, escolhido pelo editor; outro valor = o template
+// decide pelo quanto o recorte cortaria
+const parseModoFoto = (value) => (['cortar', 'desfocado'].includes(value) ? value : null);
+
+// Story (1080x1920, variante 'story' do layout 1) com o mesmo título, chapéu e destaque do card do
+// feed; sem chamar a IA de novo (o destaque vem do card, ou do editor/heurística local no layout 2)
+function renderStoryCard({ title, categoria, imagePath, chapeu, destaque, destaquePersonalizado, foco, modoFoto }) {
+  return generateInstagramCard({
+    title,
+    categoria,
+    imagePath,
+    chapeu,
+    foco,
+    modoFoto,
+    destaquePersonalizado: destaque ? { inicio: destaque.inicio, fim: destaque.fim } : destaquePersonalizado,
+    semIA: true,
+    type: 'story'
+  });
+}
+
+// Pipeline completo de uma URL: extrai, otimiza título, gera chapéu/legenda e renderiza o card.
+// Usado pela rota /api/process-url e pelo monitor de feeds (rascunhos). Lança Error em caso de falha.
+// `story`: também gera o card de story (`storyImage`); `foco`: ponto da foto (parseFoco) para o recorte;
+// `modoFoto`: recorte ou foto inteira sobre fundo desfocado (parseModoFoto)
+async function processArticleUrl({ url, categoria: categoriaEscolhida, chapeuPersonalizado, destaquePersonalizado, layoutType, story, foco, modoFoto }) {
+  console.log(`🔍 Extraindo dados iniciais de: ${url}`);
+  const extracted = await extractDataFromUrl(url);
+
+  if (!extracted || !extracted.title) {
+    throw new Error('Não foi possível extrair o título da página');
+  }
+
+  if (!extracted.imageUrl) {
+    throw new Error('Não foi possível localizar a imagem principal da notícia');
+  }
+
+  const originalTitle = extracted.title;
+
+  // Categoria opcional: sem escolha do editor, usar a detectada a partir da matéria
+  const categoriaDetectada = detectCategory({ ...extracted, url });
+  const categoria = categoriaEscolhida || categoriaDetectada.categoria;
+  console.log(`🗂️ Categoria: "${categoria}" ${categoriaEscolhida ? '(escolhida)' : `(detectada, confiança ${categoriaDetectada.confianca})`}`);
+
+  // Decodificar entidades HTML no título para uso na legenda
+  const decodedTitle = decodeHtmlEntitiesAll(originalTitle);
+
+  // Otimizar título (variações para o editor escolher; a primeira vai para o card) e gerar chapéu/legenda
+  const cardLayout = layoutType === 'layout2' && FEATURE_FLAGS.ENABLE_LAYOUT2 ? 'layout2' : 'layout1';
+  const titleVariants = await generateHeadlineVariants(originalTitle, cardLayout);
+  const optimizedTitle = titleVariants.length ? titleVariants[0].titulo : clampHeadline(cleanHeadline(originalTitle));
+  // Usar chapéu personalizado ou gerar automaticamente (sempre em CAIXA ALTA)
+  const chapeu = (chapeuPersonalizado ? chapeuPersonalizado.toUpperCase() : null) || await generateChapeu(optimizedTitle);
+  console.log(`🏷️ Chapéu definido: "${chapeu}" ${chapeuPersonalizado ? '(personalizado)' : '(automático)'}`);
+  // Legenda deve usar o TÍTULO COMPLETO DECODIFICADO (sem entidades HTML)
+  const fotoPrincipal = (extracted.images || []).find(img => img.url === extracted.imageUrl);
+  const hashtags = captionHashtags({ title: decodedTitle, description: extracted.description, keywords: extracted.keywords, categoria });
+  console.log(`#️⃣ Hashtags: ${hashtags.join(' ')}`);
+  const legenda = {};
+  const caption = await generateCaption(decodedTitle, chapeu, extracted.description || '', extracted.captionContext, {
+    categoria,
+    url,
+    creditos: fotoPrincipal && fotoPrincipal.credit,
+    hashtags,
+    report: legenda
+  });
+
+  // Baixar e validar a imagem (arquivo temporário)
+  let tempImagePath;
+  let downloaded;
+  try {
+    downloaded = await downloadImage(extracted.imageUrl);
+    tempImagePath = downloaded.path;
+  } catch (downloadErr) {
+    console.error('❌ Erro ao baixar imagem:', downloadErr);
+    const err = new Error(`Erro ao baixar a imagem da notícia: ${downloadErr.message}`);
+    err.code = downloadErr.code;
+    throw err;
+  }
+
+  try {
+    // Gerar o card baseado no layout selecionado (com feature flag do layout 2)
+    let cardBuffer;
+    const render = {};
+    const requestedLayout = layoutType === 'layout2' ? 'layout2' : 'layout1';
+    const effectiveLayout = (requestedLayout === 'layout2' && FEATURE_FLAGS.ENABLE_LAYOUT2) ? 'layout2' : 'layout1';
+    console.log('🎨 Verificando layout (process-url): solicitado=', requestedLayout, ' | efetivo=', effectiveLayout);
+    if (requestedLayout === 'layout2' && !FEATURE_FLAGS.ENABLE_LAYOUT2) {
+      console.log('⚠️ Layout 2 solicitado mas DESABILITADO por feature flag; usando Layout 1');
+    }
+    if (effectiveLayout === 'layout2') {
+      console.log('✅ Usando LAYOUT 2 (Barras Dinâmicas) - process-url');
+      cardBuffer = await generateInstagramCardLayout2({
+        title: optimizedTitle,
+        categoria,
+        imagePath: tempImagePath,
+        chapeu,
+        destaquePersonalizado,
+        foco,
+        modoFoto,
+        report: render,
+        type: 'card'
+      });
+    } else {
+      console.log('📄 Usando LAYOUT 1 (Padrão) - process-url');
+      cardBuffer = await generateInstagramCard({
+        title: optimizedTitle,
+        categoria,
+        imagePath: tempImagePath,
+        chapeu,
+        destaquePersonalizado,
+        foco,
+        modoFoto,
+        report: render,
+        type: 'card'
+      });
+    }
+
+    const storyBuffer = story
+      ? await renderStoryCard({ title: optimizedTitle, categoria, imagePath: tempImagePath, chapeu, destaque: render.destaque, destaquePersonalizado, foco, modoFoto })
+      : null;
+
+    // Base do relatório de correções; as sugestões voltam para o cliente comparar na regeração
+    const destaqueSugerido = render.destaque && render.destaque.origem !== 'editor' ? render.destaque : null;
+    await feedbackStore.recordSuggestion({ categoria, chapeu: !chapeuPersonalizado, destaque: !!destaqueSugerido });
+
+    return {
+      cardImage: cardBuffer.toString('base64'),
+      storyImage: storyBuffer ? storyBuffer.toString('base64') : undefined,
+      caption,
+      canaisAjuda: legenda.canaisAjuda || [],
+      hashtags,
+      hashtagsMarca: brandHashtags(),
+      title: optimizedTitle,
+      titleVariants,
+      titleLines: render.titleLines,
+      titleWordsCut: render.titleWordsCut,
+      titleFontSize: render.titleFontSize,
+      foco,
+      modoFoto: render.modoFoto,
+      perdaRecorte: render.perdaRecorte,
+      originalTitle: decodedTitle, // CORREÇÃO: Enviar título original para edição manual
+      categoria,
+      categoriaDetectada,
+      url,
+      extractedImageUrl: extracted.imageUrl,
+      images: extracted.images,
+      imageInfo: downloaded.info,
+      imageWarnings: downloaded.warnings,
+      chapeu,
+      sugestoes: { chapeu: chapeuPersonalizado ? null : chapeu, destaque: destaqueSugerido },
+      // Descrição do card para leitores de tela (editável no preview)
+      altText: newsCardAltText({ chapeu, title: optimizedTitle, foto: fotoPrincipal }),
+      // Metadados da matéria (JSON-LD/meta) para legenda e próximos passos
+      description: extracted.description,
+      captionContext: extracted.captionContext,
+      author: extracted.author,
+      datePublished: extracted.datePublished,
+      dateModified: extracted.dateModified,
+      section: extracted.section,
+      keywords: extracted.keywords,
+      publicityAvailable: await fs.pathExists(path.join(__dirname, 'uploads', 'publicity-card.jpg'))
+    };
+  } catch (genErr) {
+    console.error('❌ Erro ao gerar card a partir da URL:', genErr);
+    throw genErr;
+  } finally {
+    // Limpar arquivo temporário
+    try { if (tempImagePath) await fs.unlink(tempImagePath); } catch {}
+  }
+}
+
+// Compara o chapéu/destaque que o editor escolheu na regeração com as sugestões automáticas do
+// process-url (`sugestoes`, JSON enviado pelo cliente) e guarda as trocas em lib/editor-feedback.js
+async function recordEditorOverrides(sugestoes, { categoria, titulo, url, chapeu, destaque }) {
+  let sugeridas = sugestoes;
+  try { sugeridas = typeof sugestoes === 'string' ? JSON.parse(sugestoes) : sugestoes; } catch (_) { return; }
+  if (!sugeridas || typeof sugeridas !== 'object') return;
+  const base = { categoria, titulo, url };
+  if (chapeu && sugeridas.chapeu) {
+    const trocou = await feedbackStore.recordOverride({ ...base, tipo: 'chapeu', sugestao: sugeridas.chapeu, escolhido: chapeu });
+    if (trocou) console.log(`📝 Chapéu corrigido pelo editor: "${sugeridas.chapeu}" → "${chapeu}"`);
+  }
+  if (destaque && sugeridas.destaque) {
+    const { inicio, fim, texto } = destaque;
+    const trocou = await feedbackStore.recordOverride({ ...base, tipo: 'destaque', sugestao: sugeridas.destaque, escolhido: { inicio, fim, texto } });
+    if (trocou) console.log(`📝 Destaque corrigido pelo editor: "${sugeridas.destaque.texto}" → "${texto}"`);
+  }
+}
+
 // API para processar URL (extrai dados, gera título/chapéu/legenda e o card)
 app.post('/api/process-url', async (req, res) => {
   console.log('🧠 Requisição para processar URL (end-to-end)');
 
   try {
-    const { url, categoria, chapeuPersonalizado, destaquePersonalizado, layoutType } = req.body;
+    const { url, categoria, chapeuPersonalizado, destaquePersonalizado, layoutType, regenerar, story } = req.body;
+    const foco = parseFoco(req.body.foco);
+    const modoFoto = parseModoFoto(req.body.modoFoto);
 
     if (!url) {
       return res.json({
@@ -1958,13 +2057,6 @@ app.post('/api/process-url', async (req, res) => {
       });
     }
 
-    if (!categoria) {
-      return res.json({
-        success: false,
-        error: 'Categoria é obrigatória'
-      });
-    }
-
     // Validar URL
     try {
       new URL(url);
@@ -1972,121 +2064,21 @@ app.post('/api/process-url', async (req, res) => {
       return res.json({ success: false, error: 'URL inválida' });
     }
 
-    console.log(`🔍 Extraindo dados iniciais de: ${url}`);
-    const extracted = await extractDataFromUrl(url);
-
-    if (!extracted || !extracted.title) {
-      return res.json({ success: false, error: 'Não foi possível extrair o título da página' });
-    }
-
-    if (!extracted.imageUrl) {
-      return res.json({ success: false, error: 'Não foi possível localizar a imagem principal da notícia' });
-    }
-
-    const originalTitle = extracted.title;
-
-    // Decodificar entidades HTML no título para uso na legenda
-    function decodeHtmlEntitiesGlobal(text) {
-      const entities = {
-        '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&nbsp;': ' ',
-        '&aacute;': 'á', '&Aacute;': 'Á', '&agrave;': 'à', '&Agrave;': 'À',
-        '&acirc;': 'â', '&Acirc;': 'Â', '&atilde;': 'ã', '&Atilde;': 'Ã',
-        '&auml;': 'ä', '&Auml;': 'Ä', '&eacute;': 'é', '&Eacute;': 'É',
-        '&egrave;': 'è', '&Egrave;': 'È', '&ecirc;': 'ê', '&Ecirc;': 'Ê',
-        '&iacute;': 'í', '&Iacute;': 'Í', '&igrave;': 'ì', '&Igrave;': 'Ì',
-        '&icirc;': 'î', '&Icirc;': 'Î', '&oacute;': 'ó', '&Oacute;': 'Ó',
-        '&ograve;': 'ò', '&Ograve;': 'Ò', '&ocirc;': 'ô', '&Ocirc;': 'Ô',
-        '&otilde;': 'õ', '&Otilde;': 'Õ', '&uacute;': 'ú', '&Uacute;': 'Ú',
-        '&ugrave;': 'ù', '&Ugrave;': 'Ù', '&ucirc;': 'û', '&Ucirc;': 'Û',
-        '&ccedil;': 'ç', '&Ccedil;': 'Ç'
-      };
-      return text.replace(/&[a-zA-Z]+;/g, (entity) => entities[entity] || entity);
-    }
-
-    const decodedTitle = decodeHtmlEntitiesGlobal(originalTitle);
-
-    // Otimizar título e gerar chapéu/legenda
-  const optimizedTitle = await optimizeTitle(originalTitle);
-    // Usar chapéu personalizado ou gerar automaticamente (sempre em CAIXA ALTA)
-    const chapeu = (chapeuPersonalizado ? chapeuPersonalizado.toUpperCase() : null) || await generateChapeu(optimizedTitle);
-    console.log(`🏷️ Chapéu definido: "${chapeu}" ${chapeuPersonalizado ? '(personalizado)' : '(automático)'}`);
-  // Legenda deve usar o TÍTULO COMPLETO DECODIFICADO (sem entidades HTML)
-  const caption = await generateCaption(decodedTitle, chapeu, extracted.description || '');
-
-    // Baixar a imagem para arquivo temporário
-    let tempImagePath;
     try {
-      console.log('📥 Baixando imagem para gerar o card:', extracted.imageUrl);
-      const imageResponse = await makeHttpsRequest(extracted.imageUrl);
-      if (!imageResponse.ok) {
-        throw new Error(`Falha ao baixar a imagem (status ${imageResponse.status})`);
-      }
-      const imageBuffer = await imageResponse.buffer();
-      const filename = `extracted_${Date.now()}.jpg`;
-      tempImagePath = path.join(__dirname, 'uploads', filename);
-      await fs.ensureDir(path.dirname(tempImagePath));
-      await fs.writeFile(tempImagePath, imageBuffer);
-      console.log('✅ Imagem baixada com sucesso');
-    } catch (downloadErr) {
-      console.error('❌ Erro ao baixar imagem:', downloadErr);
-      return res.json({ success: false, error: 'Erro ao baixar a imagem da notícia' });
+      outboundPolicy.check(url);
+    } catch (policyError) {
+      return res.json({ success: false, error: policyError.message, code: policyError.code });
     }
 
-    try {
-      // Gerar o card baseado no layout selecionado (com feature flag do layout 2)
-      let cardBuffer;
-      const requestedLayout = layoutType === 'layout2' ? 'layout2' : 'layout1';
-      const effectiveLayout = (requestedLayout === 'layout2' && FEATURE_FLAGS.ENABLE_LAYOUT2) ? 'layout2' : 'layout1';
-      console.log('🎨 Verificando layout (process-url): solicitado=', requestedLayout, ' | efetivo=', effectiveLayout);
-      if (requestedLayout === 'layout2' && !FEATURE_FLAGS.ENABLE_LAYOUT2) {
-        console.log('⚠️ Layout 2 solicitado mas DESABILITADO por feature flag; usando Layout 1');
-      }
-      if (effectiveLayout === 'layout2') {
-        console.log('✅ Usando LAYOUT 2 (Barras Dinâmicas) - process-url');
-        cardBuffer = await generateInstagramCardLayout2({
-          title: optimizedTitle,
-          categoria,
-          imagePath: tempImagePath,
-          chapeu,
-          destaquePersonalizado,
-          type: 'card'
-        });
-      } else {
-        console.log('📄 Usando LAYOUT 1 (Padrão) - process-url');
-        cardBuffer = await generateInstagramCard({
-          title: optimizedTitle,
-          categoria,
-          imagePath: tempImagePath,
-          chapeu,
-          destaquePersonalizado,
-          type: 'card'
-        });
-      }
-
-      // Limpar arquivo temporário
-      try { await fs.unlink(tempImagePath); } catch {}
-
-      return res.json({
-        success: true,
-        cardImage: cardBuffer.toString('base64'),
-        caption,
-        title: optimizedTitle,
-        originalTitle: decodedTitle, // CORREÇÃO: Enviar título original para edição manual
-        categoria,
-        url,
-        extractedImageUrl: extracted.imageUrl,
-        chapeu,
-        publicityAvailable: await fs.pathExists(path.join(__dirname, 'uploads', 'publicity-card.jpg'))
-      });
-    } catch (genErr) {
-      console.error('❌ Erro ao gerar card a partir da URL:', genErr);
-      try { if (tempImagePath) await fs.unlink(tempImagePath); } catch {}
-      return res.json({ success: false, error: genErr.message });
-    }
+    // `regenerar`: respostas novas da IA em vez das guardadas no cache
+    const processar = () => processArticleUrl({ url, categoria, chapeuPersonalizado, destaquePersonalizado, layoutType, story: !!story, foco, modoFoto });
+    if (regenerar) console.log('🔄 Regenerar: ignorando o cache da IA');
+    const result = await (regenerar ? llm.withoutCache(processar) : processar());
+    return res.json({ success: true, ...result });
 
   } catch (error) {
     console.error('❌ Erro no processamento da URL:', error);
-    res.json({ success: false, error: error.message });
+    res.json({ success: false, error: error.message, code: clientErrorCode(error) });
   }
 });
 
@@ -2110,33 +2102,48 @@ app.post('/api/generate-card', upload.single('image'), async (req, res) => {
     }
     
     const useManualTitle = req.body.useManualTitle === '1' || req.body.useManualTitle === 'true';
-    let imagePath = req.file?.path;
+    // semIA: troca de variação de título na UI; só re-renderiza (legenda enviada pelo cliente, destaque local)
+    const semIA = req.body.semIA === '1' || req.body.semIA === 'true';
+    // story: também devolve o card de story (storyImage) com o mesmo título, chapéu e destaque
+    const story = req.body.story === '1' || req.body.story === 'true';
+    // foco: ponto da foto marcado pelo editor no preview; sem ele, recorte automático do template
+    const foco = parseFoco(req.body.foco);
+    // modoFoto: 'cortar' | 'desfocado' (foto inteira sobre fundo desfocado); vazio = automático
+    const modoFoto = parseModoFoto(req.body.modoFoto);
+    let imagePath = null;
 
     if (!title) {
+      if (req.file) await fs.remove(req.file.path);
       return res.json({ 
         success: false, 
         error: 'Título é obrigatório' 
       });
     }
 
-    // Se não temos arquivo de upload mas temos URL extraída, baixar a imagem
-    if (!imagePath && extractedImageUrl) {
-      console.log('📥 Baixando imagem da URL extraída:', extractedImageUrl);
+    // Foto enviada ou, sem ela, a URL extraída: as duas passam pela mesma validação (lib/images.js)
+    let normalized = null;
+    if (req.file) {
       try {
-        const imageResponse = await makeHttpsRequest(extractedImageUrl);
-        if (imageResponse.ok) {
-          const imageBuffer = await imageResponse.buffer();
-          const filename = `extracted_${Date.now()}.jpg`;
-          imagePath = path.join(__dirname, 'uploads', filename);
-          await fs.ensureDir(path.dirname(imagePath));
-          await fs.writeFile(imagePath, imageBuffer);
-          console.log('✅ Imagem baixada com sucesso');
-        }
+        normalized = await normalizeUpload(req.file);
+        imagePath = normalized.path;
+      } catch (uploadError) {
+        console.error('❌ Imagem enviada inválida:', uploadError.message);
+        return res.json({
+          success: false,
+          error: 'Imagem enviada inválida: ' + uploadError.message,
+          code: clientErrorCode(uploadError)
+        });
+      }
+    } else if (extractedImageUrl) {
+      try {
+        normalized = await downloadImage(extractedImageUrl);
+        imagePath = normalized.path;
       } catch (downloadError) {
         console.error('❌ Erro ao baixar imagem:', downloadError);
         return res.json({ 
           success: false, 
-          error: 'Erro ao baixar imagem da URL: ' + downloadError.message 
+          error: 'Erro ao baixar imagem da URL: ' + downloadError.message,
+          code: clientErrorCode(downloadError)
         });
       }
     }
@@ -2152,10 +2159,12 @@ app.post('/api/generate-card', upload.single('image'), async (req, res) => {
 
     // Definir título do card: manual (sem IA) ou otimizado via IA
     let optimizedTitle;
-    if (useManualTitle) {
+    let titleVariants;
+    if (useManualTitle || semIA) {
       optimizedTitle = finalizeHeadline(title, 65);
     } else {
-      optimizedTitle = await optimizeTitle(title, undefined);
+      titleVariants = await generateHeadlineVariants(title, layoutType === 'layout2' && FEATURE_FLAGS.ENABLE_LAYOUT2 ? 'layout2' : 'layout1');
+      optimizedTitle = titleVariants.length ? titleVariants[0].titulo : clampHeadline(cleanHeadline(title));
     }
     
     // Gerar chapéu complementar - usar personalizado se fornecido (sempre em CAIXA ALTA)
@@ -2184,10 +2193,27 @@ app.post('/api/generate-card', upload.single('image'), async (req, res) => {
   
   const titleDecodificado = decodeHtmlEntitiesUpload(title);
   // Legenda deve usar o TÍTULO COMPLETO DECODIFICADO informado (não o otimizado)
-  const caption = await generateCaption(titleDecodificado, chapeu);
+  // Na regeração a partir de URL o cliente devolve descrição e trecho da matéria (reaplicando o orçamento)
+  const captionContext = buildCaptionContext(req.body.captionContext || '');
+  // Chips editados no preview vêm em `hashtags` (JSON ou "#a #b"); sem eles, gerar da matéria
+  let escolhidas = req.body.hashtags;
+  try { escolhidas = JSON.parse(escolhidas); } catch (_) { /* texto com espaços */ }
+  const hashtags = captionHashtags({ title: titleDecodificado, description: req.body.description, categoria: category, escolhidas });
+  // Com a legenda do cliente (semIA), os canais de ajuda já estão nela: `canaisAjuda` não volta
+  const legenda = {};
+  const caption = semIA && req.body.caption
+    ? req.body.caption
+    : await generateCaption(titleDecodificado, chapeu, req.body.description || '', captionContext, {
+      categoria: category,
+      url,
+      creditos: req.body.creditos,
+      hashtags,
+      report: legenda
+    });
     
     // Gerar card baseado no layout selecionado (com feature flag do layout 2)
     let cardBuffer;
+    const render = {};
     const requestedLayout = layoutType === 'layout2' ? 'layout2' : 'layout1';
     const effectiveLayout = (requestedLayout === 'layout2' && FEATURE_FLAGS.ENABLE_LAYOUT2) ? 'layout2' : 'layout1';
     console.log('🎨 Verificando layout (generate-card): solicitado=', requestedLayout, ' | efetivo=', effectiveLayout);
@@ -2202,6 +2228,9 @@ app.post('/api/generate-card', upload.single('image'), async (req, res) => {
         imagePath,
         chapeu,
         destaquePersonalizado,
+        foco,
+        modoFoto,
+        report: render,
         type: 'card'
       });
     } else {
@@ -2212,10 +2241,18 @@ app.post('/api/generate-card', upload.single('image'), async (req, res) => {
         imagePath,
         chapeu,
         destaquePersonalizado,
+        foco,
+        modoFoto,
+        semIA,
+        report: render,
         type: 'card'
       });
     }
 
+    const storyBuffer = story
+      ? await renderStoryCard({ title: optimizedTitle, categoria: category, imagePath, chapeu, destaque: render.destaque, destaquePersonalizado, foco, modoFoto })
+      : null;
+
     // Remover arquivo de upload/download temporário
     try {
       await fs.unlink(imagePath);
@@ -2223,14 +2260,37 @@ app.post('/api/generate-card', upload.single('image'), async (req, res) => {
       console.log('⚠️ Arquivo temporário já foi removido ou não existe');
     }
 
+    await recordEditorOverrides(req.body.sugestoes, {
+      categoria: category,
+      titulo: optimizedTitle,
+      url,
+      chapeu: chapeuPersonalizado ? chapeu : null,
+      destaque: render.destaque && render.destaque.origem === 'editor' ? render.destaque : null
+    });
+
     const hasPersisted = await fs.pathExists(path.join(__dirname, 'uploads', 'publicity-card.jpg'));
     res.json({
       success: true,
       cardImage: cardBuffer.toString('base64'),
+      storyImage: storyBuffer ? storyBuffer.toString('base64') : undefined,
       caption,
+      canaisAjuda: legenda.canaisAjuda,
+      hashtags,
+      hashtagsMarca: brandHashtags(),
       title: optimizedTitle,
+      titleVariants,
+      titleLines: render.titleLines,
+      titleWordsCut: render.titleWordsCut,
+      titleFontSize: render.titleFontSize,
+      foco,
+      modoFoto: render.modoFoto,
+      perdaRecorte: render.perdaRecorte,
+      chapeu,
+      altText: newsCardAltText({ chapeu, title: optimizedTitle, foto: { caption: req.body.fotoLegenda } }),
       categoria: category,
       url,
+      imageInfo: normalized ? normalized.info : undefined,
+      imageWarnings: normalized ? normalized.warnings : [],
       // Disponibilidade considerada apenas quando houver publi SALVA (persistida)
       publicityAvailable: hasPersisted
     });
@@ -2239,7 +2299,8 @@ app.post('/api/generate-card', upload.single('image'), async (req, res) => {
     console.error('❌ Erro ao gerar card:', error);
     res.json({ 
       success: false, 
-      error: error.message 
+      error: error.message,
+      code: clientErrorCode(error)
     });
   }
 });
@@ -2249,6 +2310,12 @@ app.post('/api/upload-publicity', upload.single('publicity'), async (req, res) =
   console.log('📤 Requisição para salvar card publicitário');
   
   try {
+    // Só o texto do patrocinador (sem imagem nova) também é aceito
+    if (typeof req.body.altText === 'string') {
+      await savePublicityAltText(req.body.altText);
+      if (!req.file) return res.json({ success: true, altText: await readPublicityAltText() });
+    }
+
     if (!req.file) {
       return res.json({ 
         success: false, 
@@ -2276,7 +2343,8 @@ app.post('/api/upload-publicity', upload.single('publicity'), async (req, res) =
 
     res.json({
       success: true,
-      publicityImage: base64Image
+      publicityImage: base64Image,
+      altText: await readPublicityAltText()
     });
 
   } catch (error) {
@@ -2288,6 +2356,82 @@ app.post('/api/upload-publicity', upload.single('publicity'), async (req, res) =
   }
 });
 
+// Conferir a senha da área de configurações
+app.post('/api/admin/login', requireAdmin, (req, res) => res.json({ success: true }));
+
+// Modelos de legenda por editoria (config/legendas.json ou a versão salva em PERSIST_DIR)
+app.get('/api/admin/caption-templates', requireAdmin, (req, res) => {
+  res.json({ success: true, ...loadCaptionTemplates(), placeholders: PLACEHOLDERS });
+});
+
+app.put('/api/admin/caption-templates', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, ...saveCaptionTemplates(req.body || {}), placeholders: PLACEHOLDERS });
+  } catch (error) {
+    console.error('❌ Erro ao salvar modelos de legenda:', error.message);
+    res.json({ success: false, error: error.message, code: error.code === TEMPLATE_INVALIDO ? error.code : undefined });
+  }
+});
+
+app.delete('/api/admin/caption-templates', requireAdmin, (req, res) => {
+  res.json({ success: true, ...resetCaptionTemplates(), placeholders: PLACEHOLDERS });
+});
+
+// Prévia de um modelo com uma matéria de exemplo (mesmo renderCaption da legenda real)
+app.post('/api/admin/caption-templates/preview', requireAdmin, (req, res) => {
+  const { modelo, hashtags } = req.body || {};
+  const preview = renderCaption(modelo, {
+    titulo: 'Prefeitura anuncia reforma de 12 escolas em Teresina',
+    resumo: 'Obras começam em novembro e devem beneficiar cerca de 6 mil alunos da rede municipal.',
+    url: 'https://www.r10piaui.com/noticias/exemplo',
+    creditos: '📸 Foto: Fulano de Tal/R10',
+    hashtags: [].concat(hashtags || []),
+    chapeu: 'EDUCAÇÃO',
+    categoria: 'geral'
+  });
+  res.json({ success: true, preview });
+});
+
+// Regras do chapéu (config/chapeus.json ou a versão salva em PERSIST_DIR)
+app.get('/api/admin/chapeus', requireAdmin, (req, res) => {
+  res.json({ success: true, ...loadChapeuRules().data });
+});
+
+app.put('/api/admin/chapeus', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, ...saveChapeuRules(req.body || {}) });
+  } catch (error) {
+    console.error('❌ Erro ao salvar regras de chapéu:', error.message);
+    res.json({ success: false, error: error.message, code: error.code === CHAPEU_INVALIDO ? error.code : undefined });
+  }
+});
+
+app.delete('/api/admin/chapeus', requireAdmin, (req, res) => {
+  res.json({ success: true, ...resetChapeuRules() });
+});
+
+// Testa títulos contra as regras (as enviadas, ainda não salvas, ou as atuais) e as aprendidas com
+// os editores, sem chamar a IA. Cada item é um título ou { titulo, sugestao } para simular a resposta da IA.
+app.post('/api/admin/chapeus/testar', requireAdmin, async (req, res) => {
+  try {
+    const { titulos, regras } = req.body || {};
+    const rules = regras ? compileChapeuRules(validateChapeuRules(regras)) : loadChapeuRules();
+    const aprendidas = await feedbackStore.learnedChapeuRules();
+    const resultados = [].concat(titulos || []).slice(0, 200).map(item => {
+      const { titulo, sugestao } = typeof item === 'string' ? { titulo: item } : (item || {});
+      return { titulo, ...resolveChapeu(sugestao, titulo, rules, { aprendidas }) };
+    });
+    res.json({ success: true, resultados });
+  } catch (error) {
+    res.json({ success: false, error: error.message, code: error.code === CHAPEU_INVALIDO ? error.code : undefined });
+  }
+});
+
+// Quanto os editores trocam o chapéu/destaque automático, por editoria, e as regras aprendidas
+app.get('/api/admin/editor-feedback', requireAdmin, async (req, res) => {
+  res.json({ success: true, ...await feedbackStore.report() });
+});
+
 // API para buscar a imagem publicitária salva
 app.get('/api/get-publicity', async (req, res) => {
   try {
@@ -2296,12 +2440,12 @@ app.get('/api/get-publicity', async (req, res) => {
     const hasPersisted = await fs.pathExists(path.join(persistDir, 'publicity-card.jpg'));
     if (await fs.pathExists(publicityPath)) {
       const imageBuffer = await fs.readFile(publicityPath);
-  return res.json({ success: true, publicityImage: imageBuffer.toString('base64'), source: 'persisted' });
+  return res.json({ success: true, publicityImage: imageBuffer.toString('base64'), source: 'persisted', altText: await readPublicityAltText() });
     }
     // Sem persistida: tentar padrão fixa
     const defaultPng = await getDefaultPublicityPngBuffer();
     if (defaultPng) {
-  return res.json({ success: true, publicityImage: defaultPng.toString('base64'), source: 'default' });
+  return res.json({ success: true, publicityImage: defaultPng.toString('base64'), source: 'default', altText: await readPublicityAltText() });
     }
     return res.json({ success: false, error: 'Nenhum card publicitário encontrado' });
   } catch (error) {
@@ -2310,7 +2454,8 @@ app.get('/api/get-publicity', async (req, res) => {
 });
 
 // Função para publicar carrossel no Instagram
-async function publishCarouselToInstagram(images, caption) {
+// `altTexts[i]`: descrição da imagem i para leitores de tela (campo alt_text do container do item)
+async function publishCarouselToInstagram(images, caption, altTexts = []) {
   console.log('📤 Publicando carrossel no Instagram...');
   
   try {
@@ -2338,12 +2483,13 @@ async function publishCarouselToInstagram(images, caption) {
 
       // Criar container com image_url
       const createUrl = `${INSTAGRAM_CONFIG.GRAPH_API_URL}/${INSTAGRAM_CONFIG.BUSINESS_ID}/media`;
-      const containerResponse = await makeHttpsRequest(createUrl, {
+      const containerResponse = await httpRequest(createUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           image_url: imageUrl,
           is_carousel_item: true,
+          ...altTextField(altTexts[i]),
           access_token: INSTAGRAM_CONFIG.ACCESS_TOKEN
         })
       });
@@ -2364,7 +2510,7 @@ async function publishCarouselToInstagram(images, caption) {
     
     // Passo 2: Criar container do carrossel
     const carouselCreateUrl = `${INSTAGRAM_CONFIG.GRAPH_API_URL}/${INSTAGRAM_CONFIG.BUSINESS_ID}/media`;
-    const carouselResponse = await makeHttpsRequest(carouselCreateUrl, {
+    const carouselResponse = await httpRequest(carouselCreateUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -2384,7 +2530,7 @@ async function publishCarouselToInstagram(images, caption) {
     
     // Passo 3: Publicar o carrossel
     const publishUrl = `${INSTAGRAM_CONFIG.GRAPH_API_URL}/${INSTAGRAM_CONFIG.BUSINESS_ID}/media_publish`;
-    const publishResponse = await makeHttpsRequest(publishUrl, {
+    const publishResponse = await httpRequest(publishUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -2420,6 +2566,73 @@ async function publishCarouselToInstagram(images, caption) {
   }
 }
 
+// Publica o card da notícia: carrossel com a publi (fornecida em base64 ou persistida) ou SINGLE sem publi.
+// `altText` descreve o card; `publicityAltText` (editado no preview) substitui o texto salvo do patrocinador.
+async function publishNewsPost(newsBuffer, caption, publicityCard, { altText, publicityAltText: altPubli } = {}) {
+  assertHashtagLimit(caption);
+  // Definir publi: aceitar somente quando FORNECIDA no payload ou quando HOUVER PUBLI SALVA (persistida).
+  // Não usaremos a imagem padrão para publicar carrossel; se não houver salva, publica SINGLE.
+  let publicityBuffer = null;
+  if (publicityCard) {
+    publicityBuffer = Buffer.from(publicityCard, 'base64');
+  } else {
+    const persistedPath = path.join(__dirname, 'uploads', 'publicity-card.jpg');
+    if (await fs.pathExists(persistedPath)) {
+      const buf = await fs.readFile(persistedPath);
+      publicityBuffer = await sharp(buf).resize(1080, 1350, { fit: 'cover', position: 'center' }).png().toBuffer();
+    }
+  }
+
+  if (!publicityBuffer) {
+    // Sem publi salva: publicar SINGLE com o card da notícia
+    const single = await publishToInstagram(newsBuffer, caption, altText);
+    return { postId: single.postId, mediaId: single.mediaId, mode: 'single' };
+  }
+
+  // Com publi salva: publicar carrossel
+  const textoPubli = altPubli || await readPublicityAltText();
+  const result = await publishCarouselToInstagram([newsBuffer, publicityBuffer], caption, [altText, publicityAltText(textoPubli)]);
+  return {
+    postId: result.postId,
+    carouselId: result.carouselId,
+    mediaIds: result.mediaIds,
+    mode: 'carousel'
+  };
+}
+
+// Revisão editorial antes de publicar (lib/editorial-lint.js): com bloqueios, só passa se o editor
+// justificar em `override.motivo`; a justificativa fica registrada em PERSIST_DIR/editorial-overrides.jsonl.
+// Lança Error com code REVISAO_EDITORIAL e `lint` com os achados.
+const EDITORIAL_OVERRIDES_FILE = path.join(process.env.PERSIST_DIR || path.join(__dirname, 'uploads'), 'editorial-overrides.jsonl');
+async function editorialGate({ title, chapeu, caption, override, origem }) {
+  const lint = lintEditorial({ title, chapeu, caption });
+  if (lint.ok) return lint;
+  const motivo = String((override && override.motivo) || '').trim();
+  if (motivo.length < 10) {
+    const err = new Error(`Revisão editorial: ${lint.bloqueios[0].mensagem}. Corrija ou publique informando o motivo.`);
+    err.code = REVISAO_EDITORIAL;
+    err.lint = lint;
+    throw err;
+  }
+  const registro = {
+    em: new Date().toISOString(),
+    origem,
+    motivo,
+    titulo: title || '',
+    bloqueios: lint.bloqueios.map(({ regra, campo, trecho }) => ({ regra, campo, trecho }))
+  };
+  await fs.ensureDir(path.dirname(EDITORIAL_OVERRIDES_FILE));
+  await fs.appendFile(EDITORIAL_OVERRIDES_FILE, JSON.stringify(registro) + '\n');
+  console.log(`⚠️ Revisão editorial liberada pelo editor (${origem}): "${motivo}" — ${registro.bloqueios.map(b => b.regra).join(', ')}`);
+  return lint;
+}
+
+// Checagem sem publicar, para a UI mostrar os avisos no preview
+app.post('/api/editorial-lint', (req, res) => {
+  const { title, chapeu, caption } = req.body || {};
+  res.json({ success: true, ...lintEditorial({ title, chapeu, caption }) });
+});
+
 // API para publicar carrossel no Instagram
 app.post('/api/publish-carousel', async (req, res) => {
   console.log('📤 Requisição para publicar carrossel no Instagram');
@@ -2434,45 +2647,169 @@ app.post('/api/publish-carousel', async (req, res) => {
       });
     }
 
+    await editorialGate({ title: req.body.title, chapeu: req.body.chapeu, caption, override: req.body.override, origem: 'carrossel' });
+
     // Converter base64 do card da notícia
     const newsBuffer = Buffer.from(newsCard, 'base64');
+    const result = await publishNewsPost(newsBuffer, caption, publicityCard, {
+      altText: req.body.altText,
+      publicityAltText: req.body.publicityAltText
+    });
 
-    // Definir publi: aceitar somente quando FORNECIDA no payload ou quando HOUVER PUBLI SALVA (persistida).
-    // Não usaremos a imagem padrão para publicar carrossel; se não houver salva, publica SINGLE.
-    let publicityBuffer = null;
-    if (publicityCard) {
-      publicityBuffer = Buffer.from(publicityCard, 'base64');
-    } else {
-      const persistedPath = path.join(__dirname, 'uploads', 'publicity-card.jpg');
-      if (await fs.pathExists(persistedPath)) {
-        const buf = await fs.readFile(persistedPath);
-        publicityBuffer = await sharp(buf).resize(1080, 1350, { fit: 'cover', position: 'center' }).png().toBuffer();
+    // `storyCard` (opcional): story na mesma ação. O feed já saiu; se o story falhar, só avisa
+    if (req.body.storyCard) {
+      try {
+        result.story = await publishStoryToInstagram(Buffer.from(req.body.storyCard, 'base64'));
+      } catch (storyError) {
+        result.storyError = storyError.message;
       }
     }
 
-    if (!publicityBuffer) {
-      // Sem publi salva: publicar SINGLE com o card da notícia
-      const single = await publishToInstagram(newsBuffer, caption);
-      return res.json({ success: true, postId: single.postId, mediaId: single.mediaId, mode: 'single' });
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('❌ Erro ao publicar carrossel:', error);
+    res.json({ 
+      success: false, 
+      error: error.message,
+      code: clientErrorCode(error),
+      lint: error.lint
+    });
+  }
+});
+
+// API para publicar só o story (card 1080x1920 em base64, sem prefixo data URI)
+app.post('/api/publish-story', async (req, res) => {
+  console.log('📤 Requisição para publicar story no Instagram');
+
+  try {
+    const { storyCard } = req.body;
+    if (!storyCard) {
+      return res.json({ success: false, error: 'Card do story é obrigatório' });
     }
 
-    // Com publi salva: publicar carrossel
-    const result = await publishCarouselToInstagram([newsBuffer, publicityBuffer], caption);
+    await editorialGate({ title: req.body.title, chapeu: req.body.chapeu, caption: '', override: req.body.override, origem: 'story' });
 
+    const result = await publishStoryToInstagram(Buffer.from(storyCard, 'base64'));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Erro ao publicar story:', error);
     res.json({
-      success: true,
-      postId: result.postId,
-      carouselId: result.carouselId,
-      mediaIds: result.mediaIds,
-      mode: 'carousel'
+      success: false,
+      error: error.message,
+      code: clientErrorCode(error),
+      lint: error.lint
     });
+  }
+});
 
+// ========== RASCUNHOS (MONITOR DE FEEDS) ==========
+const draftStore = createDraftStore(path.join(process.env.PERSIST_DIR || path.join(__dirname, 'uploads'), 'drafts'));
+
+const feedWatcher = createFeedWatcher({
+  feeds: FEED_CONFIG.URLS,
+  store: draftStore,
+  intervalMs: FEED_CONFIG.INTERVAL_MIN * 60 * 1000,
+  maxPerPoll: FEED_CONFIG.MAX_PER_POLL,
+  maxAgeHours: FEED_CONFIG.MAX_AGE_HOURS,
+  fetchHttp: async (feedUrl) => {
+    const resp = await httpRequest(feedUrl, { headers: { 'User-Agent': 'Mozilla/5.0 R10Publisher' } });
+    if (!resp.ok) throw new Error(`Falha ao carregar feed (${resp.error || `status ${resp.status}`})`);
+    return resp.text();
+  },
+  // Mesmo pipeline de /api/process-url, com categoria detectada automaticamente
+  processItem: async (item) => {
+    const result = await processArticleUrl({ url: item.url, layoutType: FEED_CONFIG.LAYOUT });
+    const { cardImage, publicityAvailable, ...draft } = result;
+    return { draft, image: Buffer.from(cardImage, 'base64') };
+  }
+});
+
+// Listar rascunhos (padrão: pendentes)
+app.get('/api/drafts', async (req, res) => {
+  try {
+    const status = req.query.status === 'todos' ? undefined : (req.query.status || 'pendente');
+    const drafts = await draftStore.list({ status });
+    res.json({ success: true, drafts, watcher: feedWatcher.status() });
   } catch (error) {
-    console.error('❌ Erro ao publicar carrossel:', error);
-    res.json({ 
-      success: false, 
-      error: error.message 
-    });
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Imagem do card de um rascunho
+app.get('/api/drafts/:id/image', async (req, res) => {
+  if (!isDraftId(req.params.id)) return res.status(404).json({ success: false, error: 'Rascunho não encontrado' });
+  const image = await draftStore.readImage(req.params.id);
+  if (!image) return res.status(404).json({ success: false, error: 'Imagem do rascunho não encontrada' });
+  res.type('png').send(image);
+});
+
+// Aprovar rascunho: publica (carrossel com publi ou single) com a legenda enviada ou a gerada.
+// O rascunho passa a 'publicando' antes da publicação (clique duplo ou dois editores não publicam
+// duas vezes) e volta a 'pendente' se ela falhar
+app.post('/api/drafts/:id/approve', async (req, res) => {
+  console.log(`✅ Aprovando rascunho ${req.params.id}`);
+  let claimed = null;
+  try {
+    claimed = await draftStore.transition(req.params.id, 'pendente', { status: 'publicando' });
+    if (!claimed) {
+      const draft = await draftStore.get(req.params.id);
+      const emPublicacao = Boolean(draft && draft.status === 'publicando');
+      return res.json({
+        success: false,
+        error: emPublicacao ? 'Rascunho já está sendo publicado' : 'Rascunho não encontrado ou já processado',
+        code: emPublicacao ? 'RASCUNHO_EM_PUBLICACAO' : undefined
+      });
+    }
+    const image = await draftStore.readImage(claimed.id);
+    if (!image) throw new Error('Imagem do rascunho não encontrada');
+
+    const caption = (req.body.caption || claimed.caption || '').trim();
+    await editorialGate({ title: claimed.title, chapeu: claimed.chapeu, caption, override: req.body.override, origem: `rascunho ${claimed.id}` });
+    const result = await publishNewsPost(image, caption, undefined, { altText: req.body.altText || claimed.altText });
+    // Já publicado: daqui em diante uma falha não devolve o rascunho para 'pendente'
+    claimed = null;
+    await draftStore.update(req.params.id, { status: 'publicado', caption, postId: result.postId, publishedAt: new Date().toISOString() });
+    await draftStore.removeImage(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Erro ao aprovar rascunho:', error);
+    if (claimed) await draftStore.update(claimed.id, { status: 'pendente' });
+    res.json({ success: false, error: error.message, code: clientErrorCode(error), lint: error.lint });
+  }
+});
+
+// Descartar rascunho
+app.post('/api/drafts/:id/discard', async (req, res) => {
+  try {
+    // Só rascunho pendente: um que está sendo publicado (ou já foi) mantém status e imagem
+    const discarded = await draftStore.transition(req.params.id, 'pendente', { status: 'descartado' });
+    if (!discarded) {
+      const draft = await draftStore.get(req.params.id);
+      const emPublicacao = Boolean(draft && draft.status === 'publicando');
+      return res.json({
+        success: false,
+        error: emPublicacao ? 'Rascunho está sendo publicado e não pode ser descartado' : 'Rascunho não encontrado ou já processado',
+        code: emPublicacao ? 'RASCUNHO_EM_PUBLICACAO' : undefined
+      });
+    }
+    await draftStore.removeImage(discarded.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Forçar uma verificação dos feeds agora
+app.post('/api/drafts/poll', async (req, res) => {
+  try {
+    if (!FEED_CONFIG.URLS.length) {
+      return res.json({ success: false, error: 'Nenhum feed configurado (defina FEED_URLS)' });
+    }
+    const created = await feedWatcher.pollOnce();
+    res.json({ success: true, created: created.length, watcher: feedWatcher.status() });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
   }
 });
 
@@ -2490,11 +2827,13 @@ app.post('/api/publish-instagram', async (req, res) => {
       });
     }
 
+    await editorialGate({ title: req.body.title, chapeu: req.body.chapeu, caption, override: req.body.override, origem: 'single' });
+
     // Converter base64 para buffer
     const imageBuffer = Buffer.from(cardImage, 'base64');
     
     // Publicar no Instagram
-    const result = await publishToInstagram(imageBuffer, caption);
+    const result = await publishToInstagram(imageBuffer, caption, req.body.altText);
 
     res.json({
       success: true,
@@ -2506,7 +2845,9 @@ app.post('/api/publish-instagram', async (req, res) => {
     console.error('❌ Erro ao publicar:', error);
     res.json({ 
       success: false, 
-      error: error.message 
+      error: error.message,
+      code: clientErrorCode(error),
+      lint: error.lint
     });
   }
 });
@@ -2525,7 +2866,7 @@ app.get('/api/env-check', async (req, res) => {
         IG_ACCESS_TOKEN: Boolean(process.env.IG_ACCESS_TOKEN),
         PUBLIC_BASE_URL: Boolean(process.env.PUBLIC_BASE_URL),
         GROQ_API_KEY: Boolean(process.env.GROQ_API_KEY),
-        GROQ_MODEL: Boolean(process.env.GROQ_MODEL || GROQ_CONFIG.MODEL),
+        LLM_PROVIDERS: llm.describe(),
         ENABLE_LAYOUT2: FEATURE_FLAGS.ENABLE_LAYOUT2,
         PERSIST_DIR: Boolean(process.env.PERSIST_DIR)
       },
@@ -2550,7 +2891,7 @@ app.get('/api/env-check', async (req, res) => {
 
     // Regras de prontidão mínimas
     const readyForPublish = checks.env.IG_BUSINESS_ID && checks.env.IG_ACCESS_TOKEN && checks.env.PUBLIC_BASE_URL;
-    const readyForAI = checks.env.GROQ_API_KEY === true; // IA é opcional
+    const readyForAI = llm.enabled(); // IA é opcional
 
     return res.json({ success: true, readyForPublish, readyForAI, checks });
   } catch (e) {
@@ -2559,163 +2900,24 @@ app.get('/api/env-check', async (req, res) => {
 });
 
 // ========== GERADOR DE CAPA DE VÍDEO ==========
-async function generateVideoCover({ imagePath, title, positionX = 50, positionY = 50 }) {
+// `modoFoto` (parseModoFoto): força o recorte ou a foto inteira sobre fundo desfocado; `report` recebe
+// o modo usado e quanto o recorte cortaria
+async function generateVideoCover({ imagePath, title, positionX = 50, positionY = 50, modoFoto, report }) {
   console.log(`🎬 Gerando capa de vídeo: "${title}"`);
   console.log(`🎯 Posição: X=${positionX}%, Y=${positionY}%`);
-  
-  const dimensions = { width: 1080, height: 1920 };
-  
-  // Converter porcentagem para gravity position do Sharp
-  let gravity = 'center';
-  if (positionY < 33) {
-    gravity = positionX < 33 ? 'northwest' : positionX > 66 ? 'northeast' : 'north';
-  } else if (positionY > 66) {
-    gravity = positionX < 33 ? 'southwest' : positionX > 66 ? 'southeast' : 'south';
-  } else {
-    gravity = positionX < 33 ? 'west' : positionX > 66 ? 'east' : 'center';
-  }
-  
-  console.log(`🧭 Gravity calculado: ${gravity}`);
-  
-  // 1. Redimensionar imagem SEMPRE maior primeiro, depois crop com posicionamento
-  const metadata = await sharp(imagePath).metadata();
-  console.log(`📐 Imagem original: ${metadata.width}x${metadata.height}`);
-  
-  // Sempre redimensiona para 150% maior, depois crop
-  const resizedImage = await sharp(imagePath)
-    .rotate() // Auto-rotacionar baseado em EXIF
-    .resize(Math.round(dimensions.width * 1.2), Math.round(dimensions.height * 1.2), { 
-      fit: 'cover'
-    })
-    .extract({
-      left: Math.round((dimensions.width * 1.2 - dimensions.width) * positionX / 100),
-      top: Math.round((dimensions.height * 1.2 - dimensions.height) * positionY / 100),
-      width: dimensions.width,
-      height: dimensions.height
-    })
-    .toBuffer();
-  
-  console.log(`✂️ Crop aplicado: X=${positionX}%, Y=${positionY}%`);
-
-  // 2. Ler o template overlay para vídeo
-  const overlayPath = path.join(__dirname, 'templates', 'overlay-video.png');
-  console.log(`🖼️ Carregando overlay de vídeo: ${overlayPath}`);
-  
-  let overlayBuffer = null;
-  if (await fs.pathExists(overlayPath)) {
-    overlayBuffer = await fs.readFile(overlayPath);
-    console.log(`✅ Overlay de vídeo encontrado`);
-  } else {
-    console.log(`⚠️ Overlay de vídeo não encontrado, gerando sem overlay`);
-  }
 
-  // 3. Renderizar título com Canvas (SEMPRE 3 LINHAS com barras laranjas)
-  const textCanvas = createCanvas(dimensions.width, dimensions.height);
-  const ctx = textCanvas.getContext('2d');
-  
-  // Configurações de texto
-  const fontSize = 70; // Fonte Poppins SemiBold
-  const lineHeight = 105; // Espaçamento entre linhas - BARRAS SEPARADAS!
-  const marginLeft = 60; // Margem esquerda
-  const maxWidth = dimensions.width - 120; // Largura máxima para quebra
-  
-  console.log(`🔤 Usando fonte: 600 ${fontSize}px "Poppins" (SemiBold)`);
-  
-  // Quebrar título em EXATAMENTE 3 linhas
-  const words = title.trim().split(' ');
-  const targetLines = 3;
-  const lines = [];
-  
-  ctx.font = 'bold 70px "Poppins", Arial, sans-serif'; // Mesma sintaxe do card
-  
-  // Distribuir palavras em 3 linhas de forma equilibrada
-  const wordsPerLine = Math.ceil(words.length / targetLines);
-  
-  for (let i = 0; i < targetLines; i++) {
-    const startIdx = i * wordsPerLine;
-    const endIdx = Math.min(startIdx + wordsPerLine, words.length);
-    let lineText = words.slice(startIdx, endIdx).join(' ');
-    
-    // Se a linha estiver muito longa, ajustar
-    while (ctx.measureText(lineText).width > maxWidth && lineText.includes(' ')) {
-      const lastSpace = lineText.lastIndexOf(' ');
-      const removedWord = lineText.substring(lastSpace + 1);
-      lineText = lineText.substring(0, lastSpace);
-      
-      // Adicionar palavra removida na próxima linha se houver espaço
-      if (i < targetLines - 1 && endIdx < words.length) {
-        words.splice(endIdx, 0, removedWord);
-      }
-    }
-    
-    if (lineText.trim()) {
-      lines.push(lineText.trim());
-    }
-  }
-  
-  // Garantir exatamente 3 linhas (preencher com strings vazias se necessário)
-  while (lines.length < 3) {
-    lines.push('');
-  }
-  
-  // Limitar a 3 linhas
-  const finalLines = lines.slice(0, 3);
-  
-  // Posição vertical: Baseado na imagem de referência
-  // Na imagem 1920px, o texto começa em aproximadamente 1100px do topo
-  const startY = 1100;
-  
-  // Desenhar cada linha com sua barra laranja
-  finalLines.forEach((line, index) => {
-    if (!line) return; // Pular linhas vazias
-    
-    const y = startY + (index * lineHeight);
-    const x = marginLeft;
-    
-    // Configurar fonte (mesma do card do Instagram)
-    ctx.font = 'bold 70px "Poppins", Arial, sans-serif';
-    
-    // Medir largura do texto para a barra
-    const textMetrics = ctx.measureText(line);
-    const textWidth = textMetrics.width;
-    
-    // Calcular posição da barra
-    const barHeight = fontSize + 16; // Altura da barra
-    const barPadding = 10; // Padding lateral
-    const barY = y - 8; // Posição Y da barra
-    
-    // PRIMEIRO: Desenhar barra laranja
-    ctx.fillStyle = '#FF8C00'; // Laranja R10
-    ctx.fillRect(x - barPadding, barY, textWidth + (barPadding * 2), barHeight);
-    
-    // DEPOIS: Desenhar texto CENTRALIZADO verticalmente na barra
-    ctx.fillStyle = '#FFFFFF';
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'middle'; // MIDDLE para centralizar verticalmente!
-    
-    // Posicionar texto no MEIO vertical da barra
-    const textY = barY + (barHeight / 2);
-    ctx.fillText(line, x, textY);
+  // Foto ampliada e recortada na posição escolhida, overlay opcional e título em até 3 linhas com
+  // barras laranjas (templates/layouts/video-cover.json)
+  const { buffer, caixas, fundo } = await renderTemplate(loadTemplate('video-cover'), {
+    imagem: imagePath,
+    textos: { titulo: title },
+    posicao: { x: positionX, y: positionY },
+    modoFoto
   });
-  
-  const textBuffer = textCanvas.toBuffer('image/png');
-  
-  // 4. Compor todas as camadas: imagem base + overlay + texto com barras
-  const layers = [];
-  
-  if (overlayBuffer) {
-    layers.push({ input: overlayBuffer });
-  }
-  
-  layers.push({ input: textBuffer });
-  
-  const finalBuffer = await sharp(resizedImage)
-    .composite(layers)
-    .png()
-    .toBuffer();
-  
-  console.log(`✅ Capa de vídeo gerada: ${finalLines.length} linhas`);
-  return finalBuffer;
+  if (report) Object.assign(report, { modoFoto: fundo.modo, perdaRecorte: fundo.perda });
+
+  console.log(`✅ Capa de vídeo gerada: ${caixas.titulo.linhas} linhas`);
+  return buffer;
 }
 
 // Rota para gerar capa de vídeo
@@ -2724,6 +2926,7 @@ app.post('/api/generate-video-cover', upload.single('image'), async (req, res) =
   
   try {
     const { title, positionX, positionY } = req.body;
+    const modoFoto = parseModoFoto(req.body.modoFoto);
     const imageFile = req.file;
     
     if (!imageFile) {
@@ -2739,11 +2942,14 @@ app.post('/api/generate-video-cover', upload.single('image'), async (req, res) =
     console.log(`🎯 Posição: X=${positionX || 50}%, Y=${positionY || 50}%`);
     
     // Gerar capa de vídeo
+    const render = {};
     const coverBuffer = await generateVideoCover({
       imagePath: imageFile.path,
       title: title.trim(),
       positionX: parseInt(positionX) || 50,
-      positionY: parseInt(positionY) || 50
+      positionY: parseInt(positionY) || 50,
+      modoFoto,
+      report: render
     });
     
     // Limpar arquivo temporário
@@ -2758,7 +2964,9 @@ app.post('/api/generate-video-cover', upload.single('image'), async (req, res) =
     
     res.json({
       success: true,
-      coverImage: coverBase64
+      coverImage: coverBase64,
+      modoFoto: render.modoFoto,
+      perdaRecorte: render.perdaRecorte
     });
     
   } catch (error) {
@@ -2787,9 +2995,11 @@ app.listen(PORT, () => {
   console.log(`🌐 Acesse: http://localhost:${PORT}`);
   console.log(`📱 Instagram Business ID: ${INSTAGRAM_CONFIG.BUSINESS_ID || 'NÃO DEFINIDO'}`);
   console.log(`🔑 IG Token configurado? ${INSTAGRAM_CONFIG.ACCESS_TOKEN ? 'Sim' : 'Não'}`);
-  console.log(`🤖 Groq AI configurado? ${GROQ_CONFIG.API_KEY ? 'Sim' : 'Não'}`);
+  console.log(`🤖 Provedores de IA: ${llm.describe().map(p => `${p.name} (${p.enabled ? p.model : `desativado: ${p.reason}`})`).join(' → ') || 'nenhum'}`);
   console.log(`🚧 Layout 2 habilitado? ${FEATURE_FLAGS.ENABLE_LAYOUT2 ? 'Sim' : 'Não'}`);
-  if (!GROQ_CONFIG.API_KEY) console.log('⚠️ Defina a variável de ambiente GROQ_API_KEY para habilitar IA.');
+  if (!llm.enabled()) console.log('⚠️ Defina GROQ_API_KEY (ou LLM_LOCAL_BASE_URL para um modelo local) para habilitar IA.');
   if (!INSTAGRAM_CONFIG.ACCESS_TOKEN) console.log('⚠️ Defina IG_ACCESS_TOKEN para publicar no Instagram.');
   if (!INSTAGRAM_CONFIG.PUBLIC_BASE_URL) console.log('⚠️ Defina PUBLIC_BASE_URL (ex.: https://seu-dominio.com) para permitir a publicação (image_url exigido pela Meta).');
+  console.log(`📡 Feeds monitorados: ${FEED_CONFIG.URLS.length ? FEED_CONFIG.URLS.join(', ') : 'nenhum (defina FEED_URLS)'}`);
+  feedWatcher.start();
 });
@@ -0,0 +1,40 @@
+/**
+ * TESTE - TEXTO ALTERNATIVO (lib/alt-text.js)
+ *
+ * Descrição do card da notícia (chapéu, título, legenda da foto), texto da publi e limite de tamanho.
+ *
+ * Uso: node test-alt-text.js
+ */
+const { newsCardAltText, publicityAltText, cleanAltText, MAX_ALT_TEXT } = require('./lib/alt-text');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+console.log('🧪 TESTE DO TEXTO ALTERNATIVO\n');
+
+console.log('1. Card da notícia');
+const completo = newsCardAltText({
+  chapeu: 'EDUCAÇÃO',
+  title: 'Câmara de Floriano aprova reajuste para professores',
+  foto: { caption: 'Vereadores durante a sessão   desta terça' }
+});
+check('chapéu, título e foto, nessa ordem', completo === 'Card de notícia do R10 Piauí. Com a etiqueta EDUCAÇÃO, o título diz: Câmara de Floriano aprova reajuste para professores. Ao fundo, foto: Vereadores durante a sessão desta terça.');
+check('título com pontuação própria não ganha ponto extra', newsCardAltText({ title: 'Quem vai pagar a conta?' }).includes('O título diz: Quem vai pagar a conta? Ao fundo'));
+check('sem chapéu', newsCardAltText({ title: 'Obra começa amanhã' }).includes('O título diz: Obra começa amanhã.'));
+check('foto sem legenda', newsCardAltText({ chapeu: 'OBRAS', title: 'Obra começa amanhã', foto: {} }).endsWith('Ao fundo, foto da matéria.'));
+
+console.log('\n2. Publi');
+check('texto do patrocinador', publicityAltText('  Anúncio da Loja X:\n promoção ') === 'Anúncio da Loja X: promoção');
+check('sem texto salvo, genérico', publicityAltText('') === 'Card publicitário do R10 Piauí.');
+
+console.log('\n3. Limite');
+const longo = cleanAltText('palavra '.repeat(400));
+check(`no máximo ${MAX_ALT_TEXT} caracteres, cortado em palavra inteira`, longo.length <= MAX_ALT_TEXT && longo.endsWith('palavra…'));
+check('vazio continua vazio', cleanAltText(null) === '');
+
+console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+process.exitCode = failures ? 1 : 0;
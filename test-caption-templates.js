@@ -0,0 +1,63 @@
+/**
+ * TESTE - MODELOS DE LEGENDA (lib/caption-templates.js)
+ *
+ * Renderização dos placeholders, remoção de linhas vazias, modelo por editoria com
+ * fallback para o padrão, validação e gravação em PERSIST_DIR (diretório temporário).
+ *
+ * Uso: node test-caption-templates.js
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const persistDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legendas-'));
+process.env.PERSIST_DIR = persistDir;
+const { templateFor, renderCaption, saveCaptionTemplates, resetCaptionTemplates, loadCaptionTemplates, TEMPLATE_INVALIDO } = require('./lib/caption-templates');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+function expectError(fn) {
+  try { fn(); } catch (e) { return e; }
+  return null;
+}
+
+console.log('🧪 TESTE DOS MODELOS DE LEGENDA\n');
+
+console.log('1. Renderização');
+const modelo = '{titulo}\n\n{resumo}\n\n📸 {creditos}\n\n🔗 {url}\n\n{hashtags}';
+const full = renderCaption(modelo, { titulo: 'Título', resumo: 'Resumo da matéria.', creditos: 'Foto: Ana', url: 'https://x.com/a', hashtags: ['#A', '#B'] });
+check('placeholders preenchidos e hashtags unidas por espaço', full === 'Título\n\nResumo da matéria.\n\n📸 Foto: Ana\n\n🔗 https://x.com/a\n\n#A #B');
+const sparse = renderCaption(modelo, { titulo: 'Título', hashtags: [] });
+check('linhas só com placeholders vazios (e emoji) somem, sem linhas em branco duplas', sparse === 'Título');
+check('texto fixo na linha é mantido mesmo com placeholder vazio', renderCaption('{titulo}\nLeia em {url} agora', { titulo: 'T' }) === 'T\nLeia em  agora');
+check('placeholder desconhecido fica como está', renderCaption('{titulo} {outro}', { titulo: 'T' }) === 'T {outro}');
+
+console.log('\n2. Modelo por editoria');
+check('esporte tem modelo próprio', templateFor('esporte').categoria === 'esporte' && templateFor('esporte').modelo.startsWith('⚽'));
+check('editoria sem modelo usa o padrão', templateFor('inexistente').categoria === 'geral');
+const geral = renderCaption(templateFor('geral').modelo, { titulo: 'T', resumo: 'R', hashtags: templateFor('geral').hashtags });
+check('modelo padrão reproduz o rodapé antigo', geral === 'T\n\nR\n\n📍 Leia a matéria completa em www.r10piaui.com\n\n🔴 R10 Piauí – Dá gosto de ver!\n\n#R10Piauí #Notícias #Piauí');
+
+console.log('\n3. Validação e gravação');
+const noTitle = expectError(() => saveCaptionTemplates({ padrao: 'geral', templates: { geral: { modelo: '{resumo}' } } }));
+check('modelo sem {titulo} é recusado', noTitle && noTitle.code === TEMPLATE_INVALIDO);
+const unknown = expectError(() => saveCaptionTemplates({ padrao: 'geral', templates: { geral: { modelo: '{titulo} {autor}' } } }));
+check('placeholder desconhecido é recusado', unknown && /\{autor\}/.test(unknown.message));
+const noDefault = expectError(() => saveCaptionTemplates({ padrao: 'geral', templates: { esporte: { modelo: '{titulo}' } } }));
+check('padrão inexistente é recusado', noDefault && /padrão/.test(noDefault.message));
+
+saveCaptionTemplates({ padrao: 'geral', templates: { geral: { modelo: '🔴 {titulo}\n\n{resumo}\n\n{hashtags}', hashtags: ['R10', '#Piauí', ' #Nova Era '] } } });
+check('arquivo gravado em PERSIST_DIR', fs.existsSync(path.join(persistDir, 'legendas.json')));
+check('hashtags normalizadas (# e sem espaços)', templateFor('geral').hashtags.join(' ') === '#R10 #Piauí #NovaEra');
+check('nova versão vale sem reiniciar', templateFor('esporte').modelo.startsWith('🔴'));
+resetCaptionTemplates();
+check('restaurar padrão apaga a versão salva', !fs.existsSync(path.join(persistDir, 'legendas.json')) && Boolean(loadCaptionTemplates().templates.esporte));
+
+fs.removeSync(persistDir);
+console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,59 @@
+/**
+ * TESTE - DETECÇÃO DE EDITORIA (lib/categorias.js)
+ *
+ * Palavras-chave no título/descrição/tags, palavra inteira e sem acento, empate com peso
+ * reduzido, sinais de URL/seção e o padrão (geral) quando nada casa.
+ *
+ * Uso: node test-categorias.js
+ */
+const path = require('path');
+
+// Sempre o mapa do repositório, mesmo que exista um PERSIST_DIR/categorias.json local
+process.env.CATEGORY_MAP_PATH = path.join(__dirname, 'config', 'categorias.json');
+const { detectCategory } = require('./lib/categorias');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+console.log('🧪 TESTE DA DETECÇÃO DE EDITORIA\n');
+
+console.log('1. Palavras-chave');
+const policia = detectCategory({ title: 'Homem é preso em flagrante após assalto em Teresina' });
+check('título com termos policiais → polícia', policia.categoria === 'polícia');
+check('sinal de palavras lista os termos encontrados', policia.sinais.length === 1 && policia.sinais[0].fonte === 'palavras' &&
+  /preso/.test(policia.sinais[0].valor) && /flagrante/.test(policia.sinais[0].valor));
+check('confiança entre 0 e 1', policia.confianca > 0 && policia.confianca <= 1);
+
+const semAcento = detectCategory({ title: 'Camara aprova projeto', description: 'O prefeito e o vereador discutiram a eleicao' });
+check('comparação sem acento (eleicao/eleição)', semAcento.categoria === 'política' && /eleicao|eleição/.test(semAcento.sinais[0].valor));
+
+const tags = detectCategory({ title: 'Confira a programação do fim de semana', keywords: ['futebol', 'campeonato'] });
+check('tags também contam', tags.categoria === 'esporte');
+
+const parcial = detectCategory({ title: 'Prédio pegou fogo no Centro; bombeiros atuaram', description: 'Apresentação teatral adiada' });
+check('palavra dentro de outra não conta ("fogo" ≠ "gol", "teatral" ≠ "ator")', parcial.categoria === 'geral');
+
+const empate = detectCategory({ title: 'Cantor é preso' });
+const unico = detectCategory({ title: 'Suspeito é preso' });
+check('empate entre categorias reduz o peso do sinal', empate.sinais[0].peso < unico.sinais[0].peso);
+
+console.log('\n2. Sinais da página');
+const url = detectCategory({ url: 'https://exemplo.com/noticias/esporte/2025/10/materia.html', title: 'Suspeito é preso' });
+check('segmento da URL pesa mais que uma palavra-chave', url.categoria === 'esporte' && url.sinais.some(s => s.fonte === 'url'));
+const secao = detectCategory({ section: 'Caso de Polícia', title: 'Nota da redação' });
+check('seção composta casa palavra a palavra', secao.categoria === 'polícia' && secao.sinais[0].fonte === 'secao');
+
+console.log('\n3. Padrão');
+const nada = detectCategory({ title: 'Feira de artesanato abre inscrições', description: 'Expositores têm até sexta para se cadastrar' });
+check('sem nenhum sinal → geral com confiança 0', nada.categoria === 'geral' && nada.confianca === 0 && nada.sinais.length === 0);
+const vazio = detectCategory();
+check('matéria vazia → geral', vazio.categoria === 'geral' && vazio.confianca === 0);
+const urlInvalida = detectCategory({ url: 'não é uma url' });
+check('URL inválida é ignorada', urlInvalida.categoria === 'geral');
+
+console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,57 @@
+/**
+ * TESTE - REGRAS DO CHAPÉU (lib/chapeu.js)
+ *
+ * Roda o corpus de títulos (fixtures/chapeus/corpus.json) pelas regras e mostra o chapéu de cada um
+ * (e de onde veio); `ia` no item simula a resposta da IA. Também cobre validação e recarga das
+ * regras salvas.
+ *
+ * Uso: node test-chapeu.js [corpus.json]
+ *   Com outro corpus, itens sem `esperado` só aparecem no relatório.
+ */
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+process.env.PERSIST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chapeu-'));
+const { resolveChapeu, loadChapeuRules, saveChapeuRules, resetChapeuRules, validateChapeuRules } = require('./lib/chapeu');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+const corpusFile = process.argv[2] || path.join(__dirname, 'fixtures', 'chapeus', 'corpus.json');
+const corpus = JSON.parse(fs.readFileSync(corpusFile, 'utf8'));
+
+console.log('🧪 TESTE DAS REGRAS DO CHAPÉU\n');
+
+console.log(`1. Corpus (${path.relative(process.cwd(), corpusFile)})`);
+corpus.forEach(({ titulo, ia, esperado }) => {
+  const r = resolveChapeu(ia, titulo);
+  const origem = r.origem === 'regra' ? `regra "${r.termo}"` : r.origem;
+  const recusa = r.motivo ? `; IA "${r.sugestao}" recusada: ${r.motivo}` : '';
+  const linha = `${r.chapeu.padEnd(15)} ← ${titulo}${ia ? ` [IA: ${ia}]` : ''} (${origem}${recusa})`;
+  if (esperado === undefined) console.log(`   • ${linha}`);
+  else check(esperado === r.chapeu ? linha : `${linha} — esperado ${esperado}`, esperado === r.chapeu);
+});
+
+console.log('\n2. Validação');
+const base = loadChapeuRules().data;
+const erro = (data) => { try { validateChapeuRules(data); return null; } catch (e) { return e.code; } };
+check('regras do repositório são válidas', erro(base) === null);
+check('permitido também proibido é recusado', erro({ ...base, permitidos: [...base.permitidos, 'URGENTE'] }) === 'CHAPEU_INVALIDO');
+check('regra sem termos é recusada', erro({ ...base, regras: [{ chapeu: 'SAÚDE', termos: [] }] }) === 'CHAPEU_INVALIDO');
+check('chapéu acima do limite de caracteres é recusado', erro({ ...base, padrao: 'UM CHAPÉU COMPRIDO DEMAIS' }) === 'CHAPEU_INVALIDO');
+
+console.log('\n3. Regras salvas valem sem reiniciar');
+saveChapeuRules({ ...base, apenasPermitidos: true, regras: [{ chapeu: 'AGRO', termos: ['safra*', 'soja'] }, ...base.regras] });
+check('nova regra é usada', resolveChapeu('', 'Safra de soja bate recorde no cerrado').chapeu === 'AGRO');
+check('apenasPermitidos recusa sugestão fora da lista', resolveChapeu('LEGISLATIVO', 'Vereadores aprovam orçamento').motivo === 'fora dos permitidos');
+resetChapeuRules();
+check('restaurar volta ao padrão', resolveChapeu('', 'Safra de soja bate recorde no cerrado').chapeu !== 'AGRO');
+
+fs.rmSync(process.env.PERSIST_DIR, { recursive: true, force: true });
+console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,89 @@
+/**
+ * TESTE - CORREÇÕES DOS EDITORES (lib/editor-feedback.js)
+ *
+ * Semelhança entre títulos, escolha dos exemplos para os prompts, regras de chapéu aprendidas,
+ * registro das trocas (uma por matéria, apagada ao voltar à sugestão) e relatório por editoria.
+ *
+ * Uso: node test-editor-feedback.js
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createFeedbackStore, learnChapeuRules, similarity } = require('./lib/editor-feedback');
+const { chapeuFromTitle, resolveChapeu } = require('./lib/chapeu');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+const chapeu = (titulo, escolhido, sugestao = 'ESPECIAL') => ({ tipo: 'chapeu', titulo, sugestao, escolhido });
+
+async function main() {
+  console.log('🧪 TESTE DAS CORREÇÕES DOS EDITORES\n');
+
+  console.log('1. Semelhança entre títulos');
+  check('mesmas palavras de conteúdo, sem acento/caixa', similarity('Enchente atinge bairros de Teresina', 'ENCHENTE ATINGE BAIRROS DE TERESINA') === 1);
+  check('palavras vazias não contam', similarity('Prefeito diz isso sobre a obra', 'Vereador diz isso sobre a praça') === 0);
+  check('parcialmente parecidos ficam entre 0 e 1', (s => s > 0 && s < 1)(similarity('Chuva forte alaga ruas em Teresina', 'Chuva derruba árvores em Picos')));
+
+  console.log('\n2. Regras aprendidas');
+  const regras = learnChapeuRules([
+    chapeu('Detran abre agendamento para vistoria', 'TRÂNSITO'),
+    chapeu('Detran muda regras da vistoria de motos', 'TRÂNSITO'),
+    chapeu('Detran lança aplicativo', 'SERVIÇOS'),
+    chapeu('Vacinação contra gripe começa segunda', 'SAÚDE')
+  ]);
+  const transito = regras.find(r => r.chapeu === 'TRÂNSITO');
+  check('palavra repetida com o mesmo chapéu vira regra', !!transito && transito.termos.includes('vistoria'));
+  check('palavra dividida entre chapéus (2 de 3) não vira regra', !transito.termos.includes('detran'));
+  check('uma ocorrência só não basta', !regras.some(r => r.chapeu === 'SAÚDE' || r.chapeu === 'SERVIÇOS'));
+  const aprendida = chapeuFromTitle('Vistoria de veículos tem novo prazo', undefined, { aprendidas: regras });
+  check('regra aprendida vale antes das configuradas', aprendida.chapeu === 'TRÂNSITO' && aprendida.origem === 'aprendida' && aprendida.termo === 'Vistoria');
+  check('sem regra aprendida, segue a configuração', chapeuFromTitle('Polícia prende suspeito de assalto', undefined, { aprendidas: regras }).origem === 'regra');
+  check('resposta válida da IA continua valendo', resolveChapeu('MOBILIDADE', 'Vistoria de veículos tem novo prazo', undefined, { aprendidas: regras }).origem === 'ia');
+
+  console.log('\n3. Registro das trocas');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'editor-feedback-'));
+  try {
+    const store = createFeedbackStore(dir);
+    await store.recordSuggestion({ categoria: 'policia', chapeu: true, destaque: true });
+    await store.recordSuggestion({ categoria: 'policia', chapeu: true });
+    await store.recordSuggestion({ categoria: 'politica', chapeu: true, destaque: true });
+    const base = { categoria: 'policia', titulo: 'Polícia prende suspeito de assalto em Picos', url: 'https://exemplo.com/a' };
+    check('troca registrada', await store.recordOverride({ ...base, tipo: 'chapeu', sugestao: 'SEGURANÇA', escolhido: 'prisão' }));
+    check('chapéu igual à sugestão (sem acento/caixa) não conta', !(await store.recordOverride({ ...base, url: 'https://exemplo.com/b', tipo: 'chapeu', sugestao: 'SEGURANÇA', escolhido: 'seguranca' })));
+    await store.recordOverride({ ...base, titulo: 'Suspeito de assalto é preso em Picos', tipo: 'chapeu', sugestao: 'SEGURANÇA', escolhido: 'FLAGRANTE' });
+    const exemplos = await store.examples('chapeu', 'Suspeito de assalto foge em Picos');
+    check('mesma matéria regerada substitui a troca anterior', exemplos.length === 1 && exemplos[0].escolhido === 'FLAGRANTE');
+    await store.recordOverride({ ...base, tipo: 'destaque', sugestao: { inicio: 0, fim: 1, texto: 'Polícia prende', origem: 'ia' }, escolhido: { inicio: 2, fim: 4, texto: 'suspeito de assalto' } });
+    const destaques = await store.examples('destaque', 'Polícia prende suspeito em Parnaíba');
+    check('destaque guarda só início, fim e texto', destaques.length === 1 && destaques[0].sugestao.origem === undefined && destaques[0].escolhido.texto === 'suspeito de assalto');
+    check('título sem palavras em comum não vira exemplo', (await store.examples('chapeu', 'Festival de música movimenta Oeiras')).length === 0);
+
+    const report = await store.report();
+    const policia = report.porCategoria.find(c => c.categoria === 'policia');
+    check('taxa de troca por editoria', policia.chapeu.sugeridos === 2 && policia.chapeu.corrigidos === 1 && policia.chapeu.taxa === 50 && policia.destaque.taxa === 100);
+    check('editoria sem trocas aparece com 0%', report.porCategoria.find(c => c.categoria === 'politica').chapeu.taxa === 0);
+    check('troca mais comum', report.trocasFrequentes[0].de === 'SEGURANÇA' && report.trocasFrequentes[0].para === 'FLAGRANTE');
+
+    await store.recordOverride({ ...base, tipo: 'chapeu', sugestao: 'SEGURANÇA', escolhido: 'SEGURANÇA' });
+    check('voltar à sugestão apaga a troca', (await store.examples('chapeu', base.titulo)).length === 0);
+    const salvo = await fs.readJson(path.join(dir, 'editor-feedback.json'));
+    check('estado salvo em disco', salvo.sugestoes.policia.chapeu === 2 && salvo.correcoes.length === 1);
+    const reaberto = createFeedbackStore(dir);
+    check('nova instância lê o arquivo', (await reaberto.examples('destaque', base.titulo)).length === 1);
+  } finally {
+    await fs.remove(dir);
+  }
+
+  console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+  process.exitCode = failures ? 1 : 0;
+}
+
+main().catch(err => {
+  console.error('❌ Erro inesperado:', err);
+  process.exitCode = 1;
+});
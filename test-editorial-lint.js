@@ -0,0 +1,71 @@
+/**
+ * TESTE - REVISÃO EDITORIAL (lib/editorial-lint.js)
+ *
+ * Identificação de criança/adolescente e de vítima de violência sexual, método de suicídio,
+ * termos gráficos e os casos que NÃO devem bloquear (iniciais, idade sem nome, pena, lugares, parentes e
+ * estudantes adultos, "menor preço").
+ *
+ * Uso: node test-editorial-lint.js
+ */
+const { lintEditorial, findPersonName } = require('./lib/editorial-lint');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+const rulesOf = (texts) => {
+  const result = lintEditorial(texts);
+  return [...result.bloqueios, ...result.alertas].map(a => a.regra);
+};
+const blocked = (texts) => !lintEditorial(texts).ok;
+
+console.log('🧪 TESTE DA REVISÃO EDITORIAL\n');
+
+console.log('1. Nomes de pessoas');
+check('nome completo', findPersonName('A vítima, Maria Clara Souza, foi socorrida') === 'Maria Clara Souza');
+check('prenome seguido de idade', findPersonName('O estudante Lucas, 15 anos, morreu') === 'Lucas');
+check('iniciais não são nome', findPersonName('A.C.S., de 12 anos, foi atropelada') === null);
+check('órgãos e municípios não são nome', findPersonName('Polícia Civil de José de Freitas e Conselho Tutelar atuam no caso') === null);
+
+console.log('\n2. Crianças e adolescentes (ECA)');
+check('menor com nome bloqueia', rulesOf({ title: 'Menina Ana Clara Souza, de 12 anos, é atropelada em Teresina' }).includes('menor-identificado'));
+check('idade abaixo de 18 + nome bloqueia', blocked({ caption: 'Pedro Henrique Lima, 16 anos, foi socorrido ao HUT.' }));
+check('menor sem nome passa', !blocked({ title: 'Criança de 5 anos é atropelada na zona Sul de Teresina' }));
+check('iniciais passam', !blocked({ title: 'A.C.S., de 12 anos, foi atropelada em José de Freitas' }));
+check('adolescente apreendido com nome', rulesOf({ caption: 'Adolescente de 16 anos é apreendido após roubo; João Pedro Santos foi levado à delegacia.' }).includes('menor-infrator'));
+check('pena e tempo decorrido não são idade', !blocked({ title: 'Carlos Alberto Nunes é condenado a 15 anos; crime ocorreu há 10 anos' }));
+
+console.log('\n3. Parentes, estudantes e "menor" sem sinal de idade (não bloqueiam)');
+const filho = lintEditorial({ title: 'Filho do prefeito, Marcos Vinícius Araújo assume secretaria em Picos' });
+check('"filho do prefeito" adulto só gera alerta', filho.ok && filho.alertas.some(a => a.regra === 'menor-possivel'));
+check('neto de político adulto não bloqueia', !blocked({ caption: 'O empresário Rafael Nogueira, neto do ex-governador, foi eleito presidente da associação.' }));
+check('estudante universitário adulto não bloqueia', !blocked({ title: 'Estudante de medicina Ana Beatriz Moura, de 23 anos, é aprovada em residência' }));
+check('aluna adulta não bloqueia', !blocked({ caption: 'A aluna do mestrado Juliana Ribeiro apresentou a pesquisa na UFPI.' }));
+const preco = lintEditorial({ caption: 'Supermercado Bom Preço de João Batista tem o menor preço da cesta básica.' });
+check('"menor preço" não aciona regra de menor', preco.ok && !preco.alertas.some(a => /^menor/.test(a.regra)));
+check('"menor número" e "menores índices" não bloqueiam', !blocked({ title: 'Escola de Maria Helena Costa registra menor número de faltas e menores índices de evasão' }));
+check('parente com idade abaixo de 18 continua bloqueando', rulesOf({ title: 'Filho de Carlos Mendes, de 14 anos, é baleado em Teresina' }).includes('menor-identificado'));
+check('"menor de idade" com nome continua bloqueando', blocked({ caption: 'Menor de idade, Gabriel Alves Rocha foi levado ao Conselho Tutelar.' }));
+
+console.log('\n4. Violência sexual');
+check('vítima nomeada bloqueia', rulesOf({ caption: 'Mulher denuncia estupro; Maria Silva registrou boletim na Delegacia da Mulher.' }).includes('vitima-violencia-sexual'));
+check('parentesco com o agressor bloqueia', rulesOf({ title: 'Polícia prende padrasto suspeito de estuprar enteada em Picos' }).includes('violencia-sexual-parentesco'));
+check('fato sem identificação passa', !blocked({ title: 'Polícia prende suspeito de estupro em Teresina' }));
+
+console.log('\n5. Suicídio e termos gráficos');
+check('método de suicídio bloqueia', rulesOf({ title: 'Homem comete suicídio ao se jogar de viaduto' }).includes('suicidio-metodo'));
+const mencao = lintEditorial({ title: 'Jovem comete suicídio em Parnaíba' });
+check('só a menção gera alerta, sem bloquear', mencao.ok && mencao.alertas.some(a => a.regra === 'suicidio-mencao'));
+const grafico = lintEditorial({ caption: 'Corpo é encontrado carbonizado na zona rural.' });
+check('termo gráfico é alerta', grafico.ok && grafico.alertas[0].regra === 'termo-grafico' && grafico.alertas[0].termo === 'carbonizado');
+
+console.log('\n6. Campos e legenda padrão');
+const achado = lintEditorial({ chapeu: 'SUICÍDIO', caption: 'Texto.\n\n🔴 R10 Piauí – Dá gosto de ver!\n\n#R10Piauí #Notícias #Piauí' });
+check('chapéu é revisado', achado.alertas.some(a => a.campo === 'chapeu'));
+check('rodapé e hashtags não geram falso positivo', !blocked({ title: 'Menino é resgatado', caption: '📍 Leia a matéria completa em www.r10piaui.com\n\n🔴 R10 Piauí – Dá gosto de ver!\n\n#R10Piauí #Notícias #Piauí' }));
+
+console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,151 @@
+/**
+ * TESTE - EXTRATORES POR SITE (lib/extractors)
+ *
+ * Roda cada plugin contra uma página salva em fixtures/extractors e o extrator genérico
+ * contra uma página AMP com metatags em ordem "invertida" (content antes de property) e uma
+ * página sem container conhecido (texto principal pela pontuação estilo Readability), além do
+ * JSON-LD (bloco NewsArticle, @graph, bloco inválido e volta às metatags quando não há matéria nele)
+ * e a lista de fotos candidatas (ordem das fontes, duplicatas, miniaturas e pixels de rastreamento).
+ *
+ * Uso: node test-extractors.js
+ */
+const path = require('path');
+const fs = require('fs-extra');
+const cheerio = require('cheerio');
+const { extractArticle, findExtractor } = require('./lib/extractors');
+const { extractMainText } = require('./lib/extractors/readability');
+const { parseJsonLdNodes } = require('./lib/extractors/generic');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'extractors');
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+const load = async (file, url) => extractArticle(await fs.readFile(path.join(FIXTURES, file), 'utf8'), url);
+
+(async () => {
+  console.log('🧪 TESTE DOS EXTRATORES\n');
+
+  console.log('1. Registro por hostname');
+  check('r10piaui.com com www', findExtractor('https://www.r10piaui.com/noticias/x').name === 'r10piaui');
+  check('piaui.pi.gov.br', findExtractor('https://piaui.pi.gov.br/noticias/x').name === 'piaui.pi.gov.br');
+  check('teresina.pi.gov.br', findExtractor('https://teresina.pi.gov.br/noticias/x').name === 'teresina.pi.gov.br');
+  check('outro subdomínio de pi.gov.br cai no genérico', findExtractor('https://saude.pi.gov.br/x') === null);
+  check('domínio parecido cai no genérico', findExtractor('https://falsor10piaui.com/x') === null);
+
+  console.log('\n2. r10piaui.com');
+  const r10 = await load('r10piaui.html', 'https://www.r10piaui.com/noticias/policia/homem-preso-zona-sul');
+  check('plugin usado', r10.extractor === 'r10piaui');
+  check('título sem sufixo do portal', r10.title === 'Homem é preso após assalto a posto de combustível na zona Sul de Teresina');
+  check('linha fina', r10.subtitle.startsWith('Suspeito foi localizado pela Polícia Militar'));
+  check('autor sem "Por"', r10.author === 'Carlos Andrade');
+  check('data convertida para ISO', r10.datePublished === '2026-10-19T08:45:00-03:00');
+  check('corpo com 4 parágrafos', r10.body.split('\n\n').length === 4);
+  check('corpo sem publicidade e "Leia também"', !/Publicidade|Leia também/.test(r10.body));
+  check('foto de destaque primeiro, maior do srcset', r10.imageUrl === 'https://www.r10piaui.com/uploads/2026/10/posto-assalto-1600.jpg');
+  check('crédito da foto', r10.images[0].credit === 'Jailson Soares/R10');
+  check('logo e banner fora das candidatas', !r10.images.some(i => /logo|banner/.test(i.url)));
+  check('breadcrumbs do genérico preservados', r10.breadcrumbs.join('>') === 'Início>Polícia');
+
+  console.log('\n3. piaui.pi.gov.br');
+  const gov = await load('piaui-gov.html', 'https://piaui.pi.gov.br/noticias/sesapi-amplia-vacinacao');
+  check('plugin usado', gov.extractor === 'piaui.pi.gov.br');
+  check('título', gov.title === 'Sesapi amplia horário de vacinação em Teresina');
+  check('subtítulo', gov.subtitle === 'Postos da capital funcionam até as 21h durante a campanha contra a gripe');
+  check('data', gov.datePublished === '2026-10-18T16:20:00-03:00');
+  check('autor da assinatura "Texto:"', gov.author === 'Ana Beatriz Sousa – Ascom Sesapi');
+  check('assinaturas fora do corpo', gov.body.split('\n\n').length === 3 && !/Texto:|Fotos:/.test(gov.body));
+  check('crédito "Fotos:" aplicado às fotos', gov.images[0].credit === 'Regis Falcão/Ascom');
+  check('foto da matéria antes da capa og', gov.images[0].url.endsWith('vacinacao-posto.jpg') && gov.images.some(i => i.source === 'og'));
+  check('órgão como seção', gov.section === 'Secretaria de Estado da Saúde');
+
+  console.log('\n4. teresina.pi.gov.br');
+  const pmt = await load('teresina-gov.html', 'https://teresina.pi.gov.br/noticias/recuperacao-avenida-kennedy');
+  check('plugin usado', pmt.extractor === 'teresina.pi.gov.br');
+  check('título', pmt.title === 'Prefeitura inicia recuperação da Avenida Kennedy');
+  check('data do <time>', pmt.datePublished === '2026-10-17T11:05:00-03:00');
+  check('autor', pmt.author === 'Semcom');
+  check('corpo sem compartilhamento/relacionados', pmt.body.split('\n\n').length === 3 && !/Compartilhe|Relacionado/.test(pmt.body));
+  check('miniatura do post é a foto principal', pmt.imageUrl.endsWith('/kennedy.jpg'));
+  const equipe = pmt.images.find(i => i.url.endsWith('kennedy-equipe.jpg'));
+  check('legenda e crédito do figcaption', equipe && equipe.credit === 'Renato Bezerra/PMT' && equipe.caption.startsWith('Equipes trabalham'));
+  check('breadcrumbs do JSON-LD', pmt.breadcrumbs.includes('Infraestrutura'));
+
+  console.log('\n5. Genérico (AMP, metatags com content antes de property)');
+  const amp = await load('generic-amp.html', 'https://portalexemplo.com.br/amp/noticias/chuva-alaga-ruas');
+  check('extrator genérico', amp.extractor === 'generic');
+  check('og:title em qualquer ordem de atributos', amp.title === 'Chuva forte alaga ruas de Parnaíba');
+  check('descrição', amp.description === 'Temporal de 80 mm deixou pontos de alagamento no litoral');
+  check('subtítulo (linha fina)', amp.subtitle === 'Temporal de 80 mm deixou pontos de alagamento no litoral');
+  check('autor e data das metatags', amp.author === 'Redação Portal Exemplo' && amp.datePublished.startsWith('2026-10-19'));
+  check('article:tag como palavras-chave', amp.keywords.join(',') === 'chuva,Parnaíba');
+  check('og:image como foto principal', amp.imageUrl === 'https://portalexemplo.com.br/fotos/chuva.jpg');
+  const ampImg = amp.images.find(i => i.url.endsWith('chuva-rua.jpg'));
+  check('<amp-img> com legenda e crédito', ampImg && ampImg.caption === 'Rua alagada no Centro' && ampImg.credit === 'Leitor');
+  check('corpo sem "Leia também"', amp.body.split('\n\n').length === 3);
+
+  console.log('\n6. Texto principal estilo Readability (sem container conhecido)');
+  const messy = await load('generic-readability.html', 'https://jornaldosul.com.br/politica/camara-aprova-reajuste');
+  const paragraphs = messy.body.split('\n\n');
+  check('3 parágrafos da matéria', paragraphs.length === 3 && paragraphs[0].startsWith('A Câmara Municipal de Floriano'));
+  check('sem menu, publicidade, comentários, barra lateral e rodapé', !/Anuncie|Maria:|Mais lidas|Acidente|Jornal do Sul ©|Início/.test(messy.body));
+  check('sem listas de links e "Veja também"', !/concurso com 200 vagas|ranking das cidades/.test(messy.body));
+  const wp = extractMainText(cheerio.load(await fs.readFile(path.join(FIXTURES, 'teresina-gov.html'), 'utf8')));
+  check('WordPress sem plugin: relacionados do Jetpack fora do texto', wp && wp.text.split('\n\n').length === 3 && !/Relacionado|Compartilhe/.test(wp.text));
+
+  console.log('\n7. JSON-LD');
+  const ldScript = (json) => `<script type="application/ld+json">${json}</script>`;
+  const single = parseJsonLdNodes(cheerio.load(ldScript('{"@context":"https://schema.org","@type":"NewsArticle","headline":"Bloco único"}')));
+  check('bloco NewsArticle isolado', single.length === 1 && single[0].headline === 'Bloco único');
+  const repaired = parseJsonLdNodes(cheerio.load(ldScript('{"@type":"NewsArticle","headline":"Linha\nquebrada",}')));
+  check('quebra de linha dentro da string e vírgula sobrando são tolerados', repaired.length === 1 && repaired[0].headline === 'Linha quebrada');
+  const flattened = parseJsonLdNodes(cheerio.load(ldScript('[{"@type":"WebSite"},{"@graph":[{"@type":"WebPage"},{"@type":"NewsArticle"}]}]')));
+  check('lista e @graph achatados', flattened.map(n => [].concat(n['@type'] || '@graph').join()).join(',') === 'WebSite,@graph,WebPage,NewsArticle');
+
+  const graph = await load('generic-jsonld.html', 'https://noticiasdolitoral.com.br/cidades/ponte-igaracu-liberada');
+  check('bloco inválido ignorado sem derrubar os outros', graph.source === 'json-ld');
+  check('NewsArticle dentro do @graph vence as metatags', graph.title === 'Ponte sobre o Rio Igaraçu é liberada após reforma' &&
+    graph.description === 'Tráfego de veículos pesados volta a ser permitido a partir desta terça');
+  check('linha fina do alternativeHeadline', graph.subtitle === 'Obra durou oito meses e custou R$ 4 milhões');
+  check('autor, datas e seção do JSON-LD', graph.author === 'Luana Rocha' && graph.datePublished === '2026-10-19T09:00:00-03:00' &&
+    graph.dateModified === '2026-10-19T10:15:00-03:00' && graph.section === 'Cidades');
+  check('keywords separadas por vírgula', graph.keywords.join('|') === 'Parnaíba|ponte|infraestrutura');
+  check('breadcrumbs na ordem de position', graph.breadcrumbs.join('>') === 'Início>Cidades');
+  check('primeira imagem do JSON-LD como foto principal', graph.imageUrl === 'https://noticiasdolitoral.com.br/img/ponte-1200.jpg');
+  const ldFoto = graph.images[0];
+  check('ImageObject com dimensões, legenda e crédito', ldFoto.source === 'json-ld' && ldFoto.width === 1200 && ldFoto.height === 800 &&
+    ldFoto.caption === 'Ponte reaberta' && ldFoto.credit === 'Ascom/Parnaíba');
+  check('imagem em string na lista do JSON-LD', graph.images.some(i => i.url.endsWith('/ponte-detalhe.jpg') && i.source === 'json-ld'));
+
+  const broken = await load('generic-jsonld-quebrado.html', 'https://noticiasdolitoral.com.br/cultura/feira-artesanato');
+  check('sem NewsArticle legível, volta às metatags', broken.source === 'meta' && broken.title === 'Feira de artesanato ocupa a Praça da Graça');
+  check('descrição, autor, data e seção das metatags', broken.description === 'Evento reúne 80 expositores até domingo' &&
+    broken.author === 'Redação' && broken.datePublished === '2026-10-18T17:30:00-03:00' && broken.section === 'Cultura');
+  check('palavras-chave da metatag keywords', broken.keywords.join('|') === 'feira|artesanato');
+  check('og:image relativa resolvida pela URL da página', broken.imageUrl === 'https://noticiasdolitoral.com.br/img/feira.jpg');
+  check('corpo do container conhecido', broken.body.split('\n\n').length === 2);
+
+  console.log('\n8. Fotos candidatas');
+  const gallery = await load('generic-imagens.html', 'https://festivalpi.com.br/cultura/festival-inverno');
+  const urls = gallery.images.map(i => i.url.replace('https://festivalpi.com.br', ''));
+  check('ordem: JSON-LD, og:image, twitter:image, <figure> e <img> do corpo', urls.join(' ') ===
+    '/fotos/palco-principal.jpg /fotos/capa.jpg /fotos/capa-twitter.jpg /fotos/show-1600.jpg /fotos/artesanato.jpg');
+  check('fonte de cada candidata', gallery.images.map(i => i.source).join(',') === 'json-ld,og,twitter,figure,img');
+  check('URLs relativas resolvidas', gallery.images.every(i => i.url.startsWith('https://festivalpi.com.br/fotos/')));
+  const capa = gallery.images.find(i => i.url.endsWith('/capa.jpg'));
+  check('og:image repetida no corpo (URL relativa) aparece uma vez', urls.filter(u => u === '/fotos/capa.jpg').length === 1);
+  check('duplicata mantém a primeira fonte e as dimensões da og:image', capa.source === 'og' && capa.width === 1200 && capa.height === 630);
+  check('duplicata completa legenda e crédito que faltavam', capa.caption === 'Público na praça' && capa.credit === 'Divulgação');
+  const show = gallery.images.find(i => i.source === 'figure');
+  check('maior do srcset com legenda e crédito do figcaption', show.width === 1600 && show.caption === 'Show de abertura na Praça da Matriz' &&
+    show.credit === 'Paulo Barros');
+  check('lazy-load (data-src) no lugar do placeholder data:', urls.includes('/fotos/artesanato.jpg') && !gallery.images.some(i => /^data:/.test(i.url)));
+  check('miniaturas abaixo de 200 px fora (JSON-LD e corpo)', !urls.some(u => /selo|miniatura/.test(u)));
+  check('pixels de rastreamento, logo e SVG fora', !gallery.images.some(i => /facebook\.com\/tr|pixel|logo|\.svg/.test(i.url)));
+
+  console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+  process.exitCode = failures ? 1 : 0;
+})();
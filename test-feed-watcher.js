@@ -0,0 +1,135 @@
+/**
+ * TESTE - MONITOR DE FEEDS (RSS / Atom / news-sitemap)
+ *
+ * Roda o monitor contra os arquivos locais em fixtures/feeds, com um pipeline falso
+ * no lugar de /api/process-url (sem rede, sem IA, sem renderização).
+ *
+ * Uso: node test-feed-watcher.js
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parseFeed, createFeedWatcher } = require('./lib/feed-watcher');
+const { createDraftStore, isDraftId } = require('./lib/drafts');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'feeds');
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+async function withStore(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'r10-drafts-'));
+  try {
+    return await fn(createDraftStore(dir), dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+const fakePipeline = (processed) => async (item) => {
+  processed.push(item.url);
+  if (item.url.includes('falha')) throw new Error('pipeline falhou');
+  return {
+    draft: { title: item.title.toUpperCase(), caption: `${item.title}\n\n#R10Piauí`, categoria: 'geral' },
+    image: Buffer.from('png-falso')
+  };
+};
+
+(async () => {
+  console.log('🧪 TESTE DO MONITOR DE FEEDS\n');
+
+  console.log('1. Parser de RSS 2.0');
+  const rss = parseFeed(await fs.readFile(path.join(FIXTURES, 'rss.xml'), 'utf8'));
+  check('3 itens lidos', rss.length === 3);
+  check('CDATA do título removido', rss[0].title === 'Governo do Piauí anuncia concurso com 500 vagas');
+  check('&amp; decodificado no link', rss[2].url.endsWith('?utm=feed&x=1'));
+  check('atom:link do canal ignorado', !rss.some(i => i.url.endsWith('/feed')));
+
+  console.log('\n2. Parser de Atom');
+  const atom = parseFeed(await fs.readFile(path.join(FIXTURES, 'atom.xml'), 'utf8'));
+  check('2 entradas lidas', atom.length === 2);
+  check('link rel=alternate usado', atom[0].url === 'https://www.pi.gov.br/noticias/sesapi-amplia-vacinacao');
+  check('updated usado quando não há published', atom[1].published.startsWith('2026-10-19T07'));
+
+  console.log('\n3. Parser de news-sitemap');
+  const sitemap = parseFeed(await fs.readFile(path.join(FIXTURES, 'news-sitemap.xml'), 'utf8'));
+  check('2 URLs lidas', sitemap.length === 2);
+  check('news:title lido', sitemap[0].title === 'Chuva forte alaga ruas de Teresina');
+
+  console.log('\n4. Ciclo completo com arquivo local: cria rascunhos e não repete');
+  await withStore(async (store) => {
+    const processed = [];
+    const watcher = createFeedWatcher({
+      feeds: [path.join(FIXTURES, 'rss.xml'), `file://${path.join(FIXTURES, 'atom.xml')}`],
+      store,
+      processItem: fakePipeline(processed),
+      maxPerPoll: 10,
+      maxAgeHours: 0
+    });
+    const first = await watcher.pollOnce();
+    check('5 rascunhos criados no primeiro ciclo', first.length === 5);
+    check('mais recente primeiro', processed[0].endsWith('homem-preso-zona-sul'));
+    const pending = await store.list({ status: 'pendente' });
+    check('rascunhos ficam pendentes com os dados do pipeline', pending.length === 5 && pending.every(d => d.caption && d.hasImage));
+    check('imagem do rascunho salva', String(await store.readImage(pending[0].id)) === 'png-falso');
+    const second = await watcher.pollOnce();
+    check('segundo ciclo não reprocessa nada', second.length === 0 && processed.length === 5);
+  });
+
+  console.log('\n5. Limite por ciclo, matérias antigas e falhas do pipeline');
+  await withStore(async (store, dir) => {
+    const now = Date.now();
+    const feedFile = path.join(dir, 'feed.xml');
+    const item = (slug, hoursAgo) => `<item><title>${slug}</title><link>https://www.r10piaui.com/noticias/${slug}</link><pubDate>${new Date(now - hoursAgo * 3600 * 1000).toUTCString()}</pubDate></item>`;
+    await fs.writeFile(feedFile, `<rss version="2.0"><channel>${item('a', 1)}${item('b', 2)}${item('falha', 3)}${item('c', 4)}${item('d', 5)}${item('antiga', 100)}</channel></rss>`);
+
+    // 5 matérias recentes com limite de 3 por ciclo (maxPerPoll + 2)
+    const processed = [];
+    const watcher = createFeedWatcher({ feeds: [feedFile], store, processItem: fakePipeline(processed), maxPerPoll: 3, maxAgeHours: 48 });
+    const created = await watcher.pollOnce();
+    check('apenas 3 itens processados', processed.length === 3);
+    check('falha vira rascunho com status erro', created.some(d => d.status === 'erro' && d.error === 'pipeline falhou'));
+    check('antigos marcados como vistos', await store.hasSeen('https://www.r10piaui.com/noticias/antiga'));
+    check('excedentes não são marcados como vistos', !(await store.hasSeen('https://www.r10piaui.com/noticias/c')) && !(await store.hasSeen('https://www.r10piaui.com/noticias/d')));
+    const next = await watcher.pollOnce();
+    check('ciclo seguinte gera os excedentes', next.length === 2 && processed.slice(3).every(u => /\/(c|d)$/.test(u)));
+    const drafts = await store.list();
+    check('todas as matérias recentes viraram rascunho', ['a', 'b', 'falha', 'c', 'd'].every(slug => drafts.some(d => d.url.endsWith(`/${slug}`))) && drafts.length === 5);
+    await watcher.pollOnce();
+    check('nada é reprocessado no terceiro ciclo', processed.length === 5);
+  });
+
+  console.log('\n6. Descartar e atualizar rascunho');
+  await withStore(async (store) => {
+    const draft = await store.add({ title: 'x', caption: 'y' }, Buffer.from('img'));
+    await store.update(draft.id, { status: 'descartado' });
+    await store.removeImage(draft.id);
+    check('descartado sai da lista de pendentes', (await store.list({ status: 'pendente' })).length === 0);
+    check('imagem removida', (await store.readImage(draft.id)) === null);
+  });
+
+  console.log('\n7. Aprovação concorrente, descarte e id do rascunho');
+  await withStore(async (store, dir) => {
+    const draft = await store.add({ title: 'x', caption: 'y' }, Buffer.from('img'));
+    const [a, b] = await Promise.all([
+      store.transition(draft.id, 'pendente', { status: 'publicando' }),
+      store.transition(draft.id, 'pendente', { status: 'publicando' })
+    ]);
+    check('só uma das aprovações simultâneas passa', Boolean(a) !== Boolean(b) && (await store.get(draft.id)).status === 'publicando');
+    check('status diferente do esperado não muda', (await store.transition(draft.id, 'pendente', { status: 'publicado' })) === null);
+    // Descartar durante a publicação: a rota de descarte usa a mesma transição a partir de 'pendente'
+    check('descarte durante a publicação é recusado', (await store.transition(draft.id, 'pendente', { status: 'descartado' })) === null);
+    check('rascunho em publicação mantém status e imagem', (await store.get(draft.id)).status === 'publicando' && Boolean(await store.readImage(draft.id)));
+    const outro = await store.add({ title: 'z', caption: 'w' }, Buffer.from('img'));
+    check('rascunho pendente é descartado', (await store.transition(outro.id, 'pendente', { status: 'descartado' }))?.status === 'descartado');
+    await fs.writeFile(path.join(dir, '..', 'fora.png'), 'x');
+    check('id fora do formato não lê arquivo', isDraftId(draft.id) && !isDraftId('../fora') && (await store.readImage('../fora')) === null);
+    await fs.remove(path.join(dir, '..', 'fora.png'));
+  });
+
+  console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+  process.exitCode = failures ? 1 : 0;
+})();
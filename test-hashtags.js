@@ -0,0 +1,60 @@
+/**
+ * TESTE - GERADOR DE HASHTAGS (lib/hashtags.js)
+ *
+ * CamelCase com acentos, municípios (inclusive os que exigem contexto), times só na editoria
+ * de esporte, órgãos, rodovias, limite configurável, marca sempre presente e teto de 30.
+ *
+ * Uso: node test-hashtags.js
+ */
+const { generateHashtags, finalizeHashtags, formatHashtag, countHashtags, INSTAGRAM_LIMIT } = require('./lib/hashtags');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+const tagsOf = (article, options) => generateHashtags(article, options).hashtags;
+
+console.log('🧪 TESTE DO GERADOR DE HASHTAGS\n');
+
+console.log('1. Formatação');
+check('CamelCase mantém acentos', formatHashtag('São Raimundo Nonato') === '#SãoRaimundoNonato');
+check('numeral romano e sigla mantidos', formatHashtag('Pedro II') === '#PedroII' && formatHashtag('Detran-PI') === '#DetranPI');
+check('apóstrofo e preposições', formatHashtag("Olho D'Água do Piauí") === '#OlhoDÁguaDoPiauí');
+
+console.log('\n2. Entidades do título');
+const acidente = tagsOf({ title: 'Acidente na BR-343 em Piripiri deixa dois feridos; PRF investiga', categoria: 'polícia' });
+check('marca sempre primeiro', acidente[0] === '#R10Piauí');
+check('município, rodovia e órgão', ['#Piripiri', '#BR343', '#PRF'].every(t => acidente.includes(t)));
+check('sem acento também casa (Parnaiba)', tagsOf({ title: 'Festival em Parnaiba reúne turistas' }).includes('#Parnaíba'));
+check('nome composto não vira o menor (Cocal dos Alves)', (() => {
+  const tags = tagsOf({ title: 'Escola de Cocal dos Alves ganha prêmio' });
+  return tags.includes('#CocalDosAlves') && !tags.includes('#Cocal');
+})());
+check('município ambíguo só com preposição ou UF', tagsOf({ title: 'Obra em Pedro II é entregue' }).includes('#PedroII')
+  && !tagsOf({ title: 'Pedro II, o imperador, é tema de exposição' }).includes('#PedroII')
+  && tagsOf({ title: 'União (PI) recebe feira' }).includes('#União'));
+check('palavra comum não vira município', !tagsOf({ title: 'Preços altos assustam consumidores' }).some(t => /Altos/.test(t)));
+check('tema sem diferenciar caixa', tagsOf({ title: 'Casos de Dengue sobem no estado' }).includes('#Dengue'));
+
+console.log('\n3. Times e editoria');
+const jogo = tagsOf({ title: 'River vence o Altos pelo Campeonato Piauiense', categoria: 'esporte', fixed: ['#R10Piauí', '#Esporte'] });
+check('times na editoria de esporte', jogo.includes('#RiverPI') && jogo.includes('#AltosPI') && jogo.includes('#CampeonatoPiauiense'));
+check('hashtags fixas do modelo preservadas', jogo.includes('#Esporte'));
+check('"Altos" fora do esporte não é time', !tagsOf({ title: 'Prefeitura anuncia obras em Altos' }).includes('#AltosPI')
+  && tagsOf({ title: 'Prefeitura anuncia obras em Altos' }).includes('#Altos'));
+
+console.log('\n4. Limites');
+const longo = { title: 'Teresina, Parnaíba, Picos, Floriano, Piripiri, Campo Maior e Barras recebem vacinas da Sesapi' };
+check('máximo configurável de derivadas', tagsOf(longo, { max: 2 }).length === 3);
+check('sugestões além do máximo ficam disponíveis', generateHashtags(longo, { max: 2 }).sugeridas.length > 2);
+const muitas = Array.from({ length: 40 }, (_, i) => `#Tag${i}`);
+const finais = finalizeHashtags(muitas);
+check('teto de 30 do Instagram com a marca incluída', finais.length === INSTAGRAM_LIMIT && finais[0] === '#R10Piauí');
+check('duplicadas sem diferenciar acento/caixa', finalizeHashtags(['#piaui', '#Piauí', 'Piauí']).length === 2);
+check('contagem de hashtags na legenda', countHashtags('Texto\n\n#A #B #a #C') === 3);
+
+console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,51 @@
+/**
+ * TESTE - CANAIS DE AJUDA NA LEGENDA (lib/help-lines.js)
+ *
+ * Regras de palavras por tema (CVV 188, Ligue 180, Disque 100), leitura da resposta da IA,
+ * montagem do bloco e posição do {apoio} em modelos antigos.
+ *
+ * Uso: node test-help-lines.js
+ */
+const { detectHelpTopics, parseHelpClassification, helpBlock, withHelpPlaceholder } = require('./lib/help-lines');
+const { renderCaption } = require('./lib/caption-templates');
+const { lintEditorial } = require('./lib/editorial-lint');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+const temas = (texts) => detectHelpTopics(texts).map(t => t.tema).join(',');
+
+console.log('🧪 TESTE DOS CANAIS DE AJUDA\n');
+
+console.log('1. Regras por tema');
+check('suicídio -> CVV', temas(['Jovem comete suicídio em Parnaíba']) === 'suicidio');
+check('automutilação -> CVV', temas(['', 'Casos de automutilação entre adolescentes preocupam escolas']) === 'suicidio');
+check('feminicídio -> Ligue 180', temas(['Polícia investiga feminicídio em Picos']) === 'violencia-mulher');
+check('agressão + companheira na mesma frase -> Ligue 180', temas(['Homem é preso após agredir a companheira em Teresina']) === 'violencia-mulher');
+check('maus-tratos a idoso -> Disque 100', temas(['Idoso é resgatado após sofrer maus-tratos da família']) === 'direitos-humanos');
+check('estupro de vulnerável -> Ligue 180 e Disque 100', temas(['Homem é condenado por estupro de vulnerável']) === 'violencia-mulher,direitos-humanos');
+check('matéria comum não dispara', temas(['Prefeitura de Teresina anuncia reforma de escolas', 'Obras começam em novembro.']) === '');
+check('termos em frases diferentes não combinam', temas(['Mulher é eleita presidente da associação. Homem é preso após agressão em bar.']) === '');
+
+console.log('\n2. Resposta da IA');
+check('lista de códigos', parseHelpClassification('suicidio, violencia-mulher').map(t => t.tema).join(',') === 'suicidio,violencia-mulher');
+check('acento e caixa não atrapalham', parseHelpClassification('Suicídio').map(t => t.nome).join(',') === 'CVV 188');
+check('NENHUM e códigos desconhecidos', parseHelpClassification('NENHUM').length === 0 && parseHelpClassification('violencia').length === 0);
+
+console.log('\n3. Bloco na legenda');
+const bloco = helpBlock([{ tema: 'direitos-humanos' }, { tema: 'suicidio' }]);
+check('um bloco por tema, na ordem do arquivo', bloco.split('\n').length === 2 && bloco.startsWith('💛') && bloco.includes('Disque 100'));
+check('sem temas, bloco vazio', helpBlock([]) === '');
+const antigo = '{titulo}\n\n{resumo}\n\n📍 Leia mais\n\n{hashtags}';
+const caption = renderCaption(withHelpPlaceholder(antigo), { titulo: 'Título', resumo: 'Resumo.', hashtags: '#A', apoio: helpBlock([{ tema: 'suicidio' }]) });
+check('modelo sem {apoio}: bloco logo depois do resumo', caption.split('\n\n')[2].includes('CVV'));
+check('modelo com {apoio} fica como está', withHelpPlaceholder('{titulo}\n{apoio}') === '{titulo}\n{apoio}');
+check('sem bloco a linha some', renderCaption(withHelpPlaceholder(antigo), { titulo: 'Título', resumo: 'Resumo.', hashtags: '#A' }) === 'Título\n\nResumo.\n\n📍 Leia mais\n\n#A');
+check('blocos não disparam a revisão editorial', lintEditorial({ caption: helpBlock([{ tema: 'suicidio' }, { tema: 'violencia-mulher' }, { tema: 'direitos-humanos' }]) }).alertas.length === 0);
+
+console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+process.exitCode = failures ? 1 : 0;
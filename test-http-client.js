@@ -0,0 +1,120 @@
+/**
+ * TESTE - CLIENTE HTTP (lib/http-client.js)
+ *
+ * Sobe um servidor local com rotas de redirecionamento, gzip/brotli, ISO-8859-1,
+ * resposta lenta, resposta grande e falhas intermitentes.
+ *
+ * Uso: node test-http-client.js
+ */
+const http = require('http');
+const zlib = require('zlib');
+const { httpRequest } = require('./lib/http-client');
+
+let failures = 0;
+let flaky = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  switch (url.pathname) {
+    case '/redir':
+      res.writeHead(301, { Location: '/redir2' });
+      return res.end();
+    case '/redir2':
+      res.writeHead(302, { Location: `http://${req.headers.host}/ok` });
+      return res.end();
+    case '/loop':
+      res.writeHead(302, { Location: '/loop' });
+      return res.end();
+    case '/see-other':
+      res.writeHead(303, { Location: '/echo' });
+      return res.end();
+    case '/echo': {
+      const chunks = [];
+      req.on('data', d => chunks.push(d));
+      return req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ method: req.method, body: Buffer.concat(chunks).toString() }));
+      });
+    }
+    case '/ok':
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('chegou');
+    case '/gzip':
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Encoding': 'gzip' });
+      return res.end(zlib.gzipSync('<p>Notícia compactada</p>'));
+    case '/br':
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Encoding': 'br' });
+      return res.end(zlib.brotliCompressSync('<p>Notícia em brotli</p>'));
+    case '/latin1-header':
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=ISO-8859-1' });
+      return res.end(Buffer.from('<p>Piauí: eleição</p>', 'latin1'));
+    case '/latin1-meta':
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(Buffer.from('<html><head><meta charset="iso-8859-1"></head><body>Teresina, São João</body></html>', 'latin1'));
+    case '/slow':
+      return setTimeout(() => res.end('tarde demais'), 1500);
+    case '/big':
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      return res.end(Buffer.alloc(64 * 1024));
+    case '/flaky':
+      flaky++;
+      if (flaky < 3) {
+        res.writeHead(503);
+        return res.end('indisponível');
+      }
+      res.writeHead(200);
+      return res.end('recuperado');
+    default:
+      res.writeHead(404);
+      return res.end();
+  }
+});
+
+(async () => {
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  console.log('🧪 TESTE DO CLIENTE HTTP\n');
+
+  console.log('1. Redirecionamentos');
+  const redir = await httpRequest(`${base}/redir`);
+  check('segue 301 + 302 até o destino', redir.ok && (await redir.text()) === 'chegou');
+  check('informa URL final e redirected', redir.redirected && redir.url.endsWith('/ok'));
+  const loop = await httpRequest(`${base}/loop`, { maxRedirects: 3 });
+  check('para após o limite de saltos', !loop.ok && /Redirecionamentos demais/.test(loop.error));
+  const post = await httpRequest(`${base}/see-other`, { method: 'POST', body: { a: 1 } });
+  check('303 vira GET sem corpo', (await post.json()).method === 'GET');
+
+  console.log('\n2. Descompactação');
+  check('gzip', (await (await httpRequest(`${base}/gzip`)).text()) === '<p>Notícia compactada</p>');
+  check('brotli', (await (await httpRequest(`${base}/br`)).text()) === '<p>Notícia em brotli</p>');
+
+  console.log('\n3. Charset');
+  check('ISO-8859-1 pelo cabeçalho', (await (await httpRequest(`${base}/latin1-header`)).text()).includes('Piauí: eleição'));
+  check('ISO-8859-1 pelo <meta charset>', (await (await httpRequest(`${base}/latin1-meta`)).text()).includes('São João'));
+
+  console.log('\n4. Limites e timeouts (nunca rejeita)');
+  const slow = await httpRequest(`${base}/slow`, { readTimeout: 300, retries: 0 });
+  check('timeout de leitura vira status 0 com error', slow.status === 0 && /Timeout de leitura/.test(slow.error));
+  const big = await httpRequest(`${base}/big`, { maxBytes: 16 * 1024 });
+  check('corpo acima do limite é recusado', !big.ok && /excede o limite/.test(big.error));
+  const refused = await httpRequest('http://127.0.0.1:1/', { retries: 0 });
+  check('conexão recusada resolve com error', refused.status === 0 && Boolean(refused.error));
+  const invalid = await httpRequest('nao-e-url');
+  check('URL inválida resolve com error', !invalid.ok && /URL inválida/.test(invalid.error));
+
+  console.log('\n5. Retry com backoff');
+  const retried = await httpRequest(`${base}/flaky`, { retryDelay: 20 });
+  check('GET repetido após 503 até funcionar', retried.ok && flaky === 3);
+  flaky = 0;
+  const noRetry = await httpRequest(`${base}/flaky`, { method: 'POST', retryDelay: 20 });
+  check('POST não é repetido', noRetry.status === 503 && flaky === 1);
+
+  server.close();
+  console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+  process.exitCode = failures ? 1 : 0;
+})();
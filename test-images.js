@@ -0,0 +1,80 @@
+/**
+ * TESTE - VALIDAÇÃO DE IMAGENS BAIXADAS (lib/images.js)
+ *
+ * Gera imagens em memória com sharp (JPEG, PNG com transparência, WebP, GIF animado)
+ * e confere detecção do formato real, conversão e avisos de resolução.
+ *
+ * Uso: node test-images.js
+ */
+const sharp = require('sharp');
+const { normalizeImage, sniffImageType, IMAGEM_INVALIDA } = require('./lib/images');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+const solid = (width, height, channels = 3) => sharp({
+  create: { width, height, channels, background: channels === 4 ? { r: 200, g: 30, b: 30, alpha: 0.5 } : { r: 200, g: 30, b: 30 } }
+});
+
+async function rejects(buffer) {
+  try {
+    await normalizeImage(buffer);
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+(async () => {
+  console.log('🧪 TESTE DE VALIDAÇÃO DE IMAGENS\n');
+
+  const jpeg = await solid(1200, 800).jpeg().toBuffer();
+  const png = await solid(1200, 800, 4).png().toBuffer();
+  const webp = await solid(1200, 800).webp().toBuffer();
+  // GIF animado: o sharp 0.33 não cria animações do zero, então duplicamos o quadro de um GIF de 1 quadro
+  const stillGif = await solid(40, 80).gif().toBuffer();
+  const frameStart = stillGif.indexOf(Buffer.from('21f904', 'hex'));
+  const frame = stillGif.subarray(frameStart, stillGif.length - 1);
+  const gif = Buffer.concat([stillGif.subarray(0, frameStart), frame, frame, Buffer.from([0x3b])]);
+
+  console.log('1. Formato pelos magic bytes');
+  check('JPEG', sniffImageType(jpeg) === 'jpeg');
+  check('PNG', sniffImageType(png) === 'png');
+  check('WebP', sniffImageType(webp) === 'webp');
+  check('GIF', sniffImageType(gif) === 'gif');
+  check('AVIF pela marca ftyp', sniffImageType(Buffer.from('000000206674797061766966000000006d696631', 'hex')) === 'avif');
+  check('HEIC pela marca ftyp', sniffImageType(Buffer.from('000000186674797068656963000000006d696631', 'hex')) === 'heic');
+  check('HTML não é imagem', sniffImageType(Buffer.from('<!DOCTYPE html><html>404</html>')) === null);
+
+  console.log('\n2. Recusa do que não é imagem');
+  const html = await rejects(Buffer.from('<!DOCTYPE html><html><body>Página não encontrada</body></html>'));
+  check('página HTML recusada com IMAGEM_INVALIDA', html && html.code === IMAGEM_INVALIDA && /página HTML/.test(html.message));
+  const truncated = await rejects(jpeg.subarray(0, 40));
+  check('JPEG truncado recusado', truncated && truncated.code === IMAGEM_INVALIDA);
+
+  console.log('\n3. Normalização');
+  const fromJpeg = await normalizeImage(jpeg);
+  check('JPEG mantido como está', fromJpeg.buffer === jpeg && fromJpeg.ext === 'jpg' && fromJpeg.warnings.length === 0);
+  const fromWebp = await normalizeImage(webp);
+  check('WebP convertido para JPEG', fromWebp.format === 'jpeg' && sniffImageType(fromWebp.buffer) === 'jpeg' && fromWebp.originalFormat === 'webp');
+  const fromGif = await normalizeImage(gif);
+  const gifMeta = await sharp(fromGif.buffer).metadata();
+  check('GIF animado vira só o primeiro quadro', gifMeta.height === 80 && !(gifMeta.pages > 1));
+  check('GIF opaco vira JPEG', fromGif.format === 'jpeg');
+  check('aviso de imagem animada', fromGif.warnings.some(w => /animada/.test(w)));
+  const fromPng = await normalizeImage(png);
+  check('PNG com transparência continua PNG', fromPng.ext === 'png' && fromPng.format === 'png');
+
+  console.log('\n4. Resolução mínima');
+  const small = await normalizeImage(await solid(150, 100).jpeg().toBuffer());
+  check('miniatura gera aviso de baixa resolução', small.warnings.some(w => /baixa resolução \(150x100/.test(w)));
+  const custom = await normalizeImage(jpeg, { minWidth: 1080, minHeight: 1350 });
+  check('mínimo configurável', custom.warnings.length === 1);
+
+  console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+  process.exitCode = failures ? 1 : 0;
+})();
@@ -0,0 +1,168 @@
+/**
+ * TESTE - PROVEDORES DE IA (lib/llm.js)
+ *
+ * Sobe dois servidores falsos compatíveis com /chat/completions (um "primário" que pode
+ * responder 429/500/vazio e um "local") e verifica parâmetros por tarefa, cadeia de
+ * fallback, pausa após 429, provedores desativados por falta de chave/URL e o cache de
+ * respostas (lib/llm-cache.js) com chamadas simultâneas compartilhadas.
+ *
+ * Uso: node test-llm.js
+ */
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createLlmClient } = require('./lib/llm');
+const { createLlmCache, cacheKey } = require('./lib/llm-cache');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+// Cada servidor guarda as requisições recebidas e responde conforme `mode`
+function fakeProvider(reply) {
+  const state = { mode: 'ok', calls: [] };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', d => chunks.push(d));
+    req.on('end', () => {
+      state.calls.push({ path: req.url, auth: req.headers.authorization || '', body: JSON.parse(Buffer.concat(chunks).toString() || '{}') });
+      if (state.mode === '429') {
+        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '120' });
+        return res.end('{"error":{"message":"rate limit"}}');
+      }
+      if (state.mode === '500') {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        return res.end('{"error":{"message":"boom"}}');
+      }
+      const content = state.mode === 'empty' ? '' : reply;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+    });
+  });
+  return { server, state };
+}
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+(async () => {
+  console.log('🧪 TESTE DOS PROVEDORES DE IA\n');
+
+  const primary = fakeProvider('  resposta do primário  ');
+  const local = fakeProvider('resposta do local');
+  const primaryUrl = await listen(primary.server);
+  const localUrl = await listen(local.server);
+
+  let clock = 1000;
+  const config = {
+    cadeia: ['primario', 'local'],
+    provedores: {
+      primario: { baseUrl: `${primaryUrl}/v1/`, apiKeyEnv: 'TESTE_PRIMARIO_KEY', exigeChave: true, model: 'modelo-pequeno' },
+      local: { baseUrl: '', exigeChave: false, model: 'modelo-local' }
+    },
+    tarefas: {
+      legenda: { temperature: 0.15, maxTokens: 200, timeout: 2000, modelos: { primario: 'modelo-grande' } },
+      chapeu: { temperature: 0.2, maxTokens: 8, timeout: 2000 }
+    }
+  };
+  const env = { TESTE_PRIMARIO_KEY: 'segredo', LLM_LOCAL_BASE_URL: `${localUrl}/v1` };
+  const llm = createLlmClient({ config, env, now: () => clock });
+
+  console.log('1. Configuração');
+  check('dois provedores ativos, na ordem da cadeia', llm.describe().map(p => `${p.name}:${p.enabled}`).join(',') === 'primario:true,local:true');
+  check('describe não expõe a chave', !JSON.stringify(llm.describe()).includes('segredo'));
+  const semChave = createLlmClient({ config, env: {} });
+  check('sem chave e sem URL local: IA desativada', !semChave.enabled() && semChave.describe()[0].reason === 'sem TESTE_PRIMARIO_KEY');
+  const nenhum = await semChave.complete('legenda', [{ role: 'user', content: 'oi' }]);
+  check('complete sem provedor resolve com ok=false', !nenhum.ok && /Nenhum provedor/.test(nenhum.error));
+
+  console.log('\n2. Parâmetros por tarefa');
+  const legenda = await llm.complete('legenda', [{ role: 'user', content: 'Escreva a legenda' }]);
+  const sent = primary.state.calls[0];
+  check('resposta aparada e provedor informado', legenda.ok && legenda.text === 'resposta do primário' && legenda.provider === 'primario');
+  check('endpoint /chat/completions sem barra dupla', sent.path === '/v1/chat/completions');
+  check('Authorization com a chave do ambiente', sent.auth === 'Bearer segredo');
+  check('modelo específico da tarefa', sent.body.model === 'modelo-grande' && legenda.model === 'modelo-grande');
+  check('temperature e max_tokens da tarefa', sent.body.temperature === 0.15 && sent.body.max_tokens === 200);
+  await llm.complete('chapeu', [{ role: 'user', content: 'chapéu' }]);
+  check('outra tarefa usa o modelo padrão do provedor', primary.state.calls[1].body.model === 'modelo-pequeno' && primary.state.calls[1].body.max_tokens === 8);
+  await llm.complete('titulo', [{ role: 'user', content: 'título' }], { temperature: 0.5 });
+  check('tarefa sem configuração usa padrões + overrides', primary.state.calls[2].body.temperature === 0.5 && primary.state.calls[2].body.max_tokens === 200);
+
+  console.log('\n3. Cadeia de fallback');
+  primary.state.mode = '500';
+  const after500 = await llm.complete('chapeu', [{ role: 'user', content: 'x' }]);
+  check('5xx no primário cai para o local', after500.ok && after500.provider === 'local' && after500.attempts[0].status === 500);
+  check('local recebe o próprio modelo e nenhuma chave', local.state.calls[0].body.model === 'modelo-local' && local.state.calls[0].auth === '');
+  primary.state.mode = 'empty';
+  const afterEmpty = await llm.complete('chapeu', [{ role: 'user', content: 'x' }]);
+  check('resposta vazia também cai para o local', afterEmpty.ok && afterEmpty.provider === 'local');
+
+  console.log('\n4. Pausa após 429');
+  primary.state.mode = '429';
+  const callsBefore = primary.state.calls.length;
+  const limited = await llm.complete('chapeu', [{ role: 'user', content: 'x' }]);
+  check('429 cai para o local', limited.ok && limited.provider === 'local');
+  primary.state.mode = 'ok';
+  const paused = await llm.complete('chapeu', [{ role: 'user', content: 'x' }]);
+  check('primário em pausa não é chamado (Retry-After: 120)', paused.provider === 'local' && primary.state.calls.length === callsBefore + 1 && paused.attempts[0].error === 'em pausa');
+  clock += 121000;
+  const resumed = await llm.complete('chapeu', [{ role: 'user', content: 'x' }]);
+  check('depois da pausa o primário volta', resumed.provider === 'primario');
+
+  console.log('\n5. Todos falhando');
+  primary.state.mode = '500';
+  local.state.mode = '500';
+  const allFail = await llm.complete('chapeu', [{ role: 'user', content: 'x' }]);
+  check('ok=false com as tentativas registradas', !allFail.ok && allFail.attempts.length === 2 && /Todos os provedores/.test(allFail.error));
+  const onlyLocal = createLlmClient({ config, env: { ...env, LLM_CHAIN: 'local' } });
+  check('LLM_CHAIN restringe a cadeia', onlyLocal.describe().map(p => p.name).join(',') === 'local');
+
+  console.log('\n6. Cache e chamadas simultâneas');
+  primary.state.mode = 'ok';
+  local.state.mode = 'ok';
+  clock += 121000;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-'));
+  try {
+    const cacheConfig = { ...config, cache: { horas: 1 }, tarefas: { ...config.tarefas, chapeu: { ...config.tarefas.chapeu, versao: 1 } } };
+    const cached = createLlmClient({ config: cacheConfig, env, now: () => clock, cache: createLlmCache({ dir, now: () => clock }) });
+    const pergunta = [{ role: 'user', content: 'Chapéu para:  "Obra começa"' }];
+    let calls = primary.state.calls.length;
+    const primeira = await cached.complete('chapeu', pergunta);
+    const repetida = await cached.complete('chapeu', [{ role: 'user', content: 'Chapéu para: "Obra começa"\n' }]);
+    check('mesma entrada (espaços normalizados) sai do cache', primeira.ok && !primeira.cached && repetida.cached && repetida.text === primeira.text && primary.state.calls.length === calls + 1);
+    await cached.complete('legenda', pergunta);
+    check('outra tarefa tem outra chave', primary.state.calls.length === calls + 2);
+    const nova = await cached.complete('chapeu', pergunta, { cache: false });
+    check('cache: false chama a IA de novo', !nova.cached && primary.state.calls.length === calls + 3);
+    const semCache = await cached.withoutCache(() => cached.complete('chapeu', pergunta));
+    check('withoutCache vale para as chamadas dentro da função', !semCache.cached && primary.state.calls.length === calls + 4);
+    calls = primary.state.calls.length;
+    const [a, b] = await Promise.all([
+      cached.complete('chapeu', [{ role: 'user', content: 'simultânea' }]),
+      cached.complete('chapeu', [{ role: 'user', content: 'simultânea' }])
+    ]);
+    check('chamadas iguais simultâneas viram uma requisição', a.ok && b.ok && primary.state.calls.length === calls + 1);
+    const reaberto = createLlmClient({ config: cacheConfig, env, now: () => clock, cache: createLlmCache({ dir, now: () => clock }) });
+    check('cache persiste em disco', (await reaberto.complete('chapeu', pergunta)).cached === true);
+    clock += 3601000;
+    check('depois da validade chama a IA', !(await reaberto.complete('chapeu', pergunta)).cached && primary.state.calls.length === calls + 2);
+    const chave = (versao, modelos) => cacheKey({ task: 'chapeu', versao, modelos, messages: pergunta });
+    check('versão do prompt e modelos mudam a chave', chave(1, 'primario/a') !== chave(2, 'primario/a') && chave(1, 'primario/a') !== chave(1, 'primario/b'));
+    primary.state.mode = '500';
+    local.state.mode = '500';
+    await reaberto.complete('chapeu', [{ role: 'user', content: 'falha' }]);
+    primary.state.mode = 'ok';
+    check('falha não fica no cache', !(await reaberto.complete('chapeu', [{ role: 'user', content: 'falha' }])).cached);
+  } finally {
+    await fs.remove(dir);
+  }
+
+  primary.server.close();
+  local.server.close();
+  console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+  process.exitCode = failures ? 1 : 0;
+})();
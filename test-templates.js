@@ -0,0 +1,142 @@
+/**
+ * TESTE - TEMPLATES DE LAYOUT (lib/layout-templates.js + lib/template-engine.js)
+ *
+ * Templates do repositório válidos, variante story, cópia em PERSIST_DIR (e fallback quando está
+ * quebrada), medida do título a partir do template e renderização: tamanho final, linhas por caixa,
+ * cor da barra pela categoria, caixa ancorada em outra, recorte da foto (foco do editor e automático) e
+ * foto inteira sobre fundo desfocado quando o recorte cortaria demais.
+ *
+ * Uso: node test-templates.js
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { registerFont } = require('canvas');
+
+const fontsDir = path.join(__dirname, 'fonts');
+[['Regular', '400'], ['SemiBold', '600'], ['ExtraBold', '800']].forEach(([name, weight]) => {
+  const file = path.join(fontsDir, `Poppins-${name}.ttf`);
+  if (fs.existsSync(file)) registerFont(file, { family: 'Poppins', weight });
+});
+
+const persistDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+process.env.PERSIST_DIR = persistDir;
+
+const { loadTemplate, listTemplates, validateTemplate } = require('./lib/layout-templates');
+const { renderTemplate } = require('./lib/template-engine');
+const { titleLayout } = require('./lib/title-layout');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+const sizeOf = async (buffer) => {
+  const { width, height } = await sharp(buffer).metadata();
+  return `${width}x${height}`;
+};
+
+async function pixel(buffer, x, y) {
+  const { data } = await sharp(buffer).extract({ left: x, top: y, width: 1, height: 1 }).raw().toBuffer({ resolveWithObject: true });
+  return `#${[...data.slice(0, 3)].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function main() {
+  console.log('🧪 TESTE DOS TEMPLATES DE LAYOUT\n');
+  const foto = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+  const titulo = 'Prefeitura de Teresina anuncia mutirão de cirurgias eletivas';
+  const longo = 'Câmara Municipal de Floriano aprova por unanimidade reajuste salarial de oito por cento para professores da rede';
+
+  try {
+    console.log('1. Templates do repositório');
+    const nomes = listTemplates();
+    check('layout1, layout2 e capa de vídeo', ['layout1', 'layout2', 'video-cover'].every(n => nomes.includes(n)));
+    check('todos válidos', nomes.every(n => validateTemplate(loadTemplate(n)).length === 0));
+    const card = loadTemplate('layout1');
+    const story = loadTemplate('layout1', 'story');
+    check('story troca tamanho, overlay e posições', story.altura === 1920 && story.camadas[0].imagem === 'overlaystory.png' && story.caixas.chapeu.y === 950);
+    check('story herda o resto do card', story.caixas.titulo.fonte.tamanho === card.caixas.titulo.fonte.tamanho && story.cores.polícia === card.cores.polícia);
+    check('variante desconhecida = layout base', loadTemplate('layout1', 'xyz') === card);
+    check('mesmo objeto enquanto o arquivo não muda', loadTemplate('layout1') === card);
+    check('medida do título vem do template', titleLayout('layout1').fontSize === card.caixas.titulo.fonte.tamanho && titleLayout('layout1').maxLines === 3);
+
+    console.log('\n2. Validação e cópia em PERSIST_DIR');
+    const erros = validateTemplate({ largura: 1080, altura: 0, caixas: { titulo: { x: 0, y: { abaixoDe: 'chapeu' }, fonte: { tamanho: 70 }, quebra: 'palavras' } } });
+    check('aponta tamanho, âncora inexistente e largura da quebra', erros.length === 3);
+    check('nome com caminho recusado', (() => { try { loadTemplate('../package'); return false; } catch { return true; } })());
+    await fs.outputJson(path.join(persistDir, 'layouts', 'layout2.json'), { ...loadTemplate('layout2'), altura: 1080 });
+    check('cópia editada tem precedência', loadTemplate('layout2').altura === 1080);
+    await fs.outputFile(path.join(persistDir, 'layouts', 'layout2.json'), '{ quebrado');
+    check('cópia ilegível cai no template do repositório', loadTemplate('layout2').altura === 1350);
+    await fs.remove(path.join(persistDir, 'layouts'));
+
+    console.log('\n3. Renderização');
+    const l1 = await renderTemplate(card, { imagem: foto, categoria: 'polícia', textos: { chapeu: 'SAÚDE', titulo }, destaque: { boldStart: 2, boldLength: 3 } });
+    check('card 1080x1350', await sizeOf(l1.buffer) === '1080x1350');
+    check('título em até 3 linhas, sem cortar', l1.caixas.titulo.linhas <= 3 && l1.caixas.titulo.palavrasCortadas === 0);
+    check('destaque marcado nas palavras', l1.caixas.titulo.texto.flat().filter(w => w.isBold).map(w => w.text).join(' ') === 'Teresina anuncia mutirão');
+    check('barra do chapéu na cor da editoria', await pixel(l1.buffer, 62, card.caixas.chapeu.y + 2) === card.cores.polícia);
+    const outra = await renderTemplate(card, { imagem: foto, categoria: 'Inexistente', textos: { chapeu: 'SAÚDE', titulo: longo } });
+    check('título longo informa as palavras que ficaram de fora', outra.caixas.titulo.linhas === 3 && outra.caixas.titulo.palavrasCortadas > 0);
+    check('categoria fora da lista usa a cor padrão', await pixel(outra.buffer, 62, card.caixas.chapeu.y + 2) === card.cores.padrao);
+
+    const l2 = await renderTemplate(loadTemplate('layout2'), { imagem: foto, textos: { chapeu: 'SAÚDE PÚBLICA', titulo } });
+    check('layout2: título logo abaixo do chapéu', l2.caixas.titulo.y === l2.caixas.chapeu.y + l2.caixas.chapeu.linhas * 85 + 50);
+    const semChapeu = await renderTemplate(loadTemplate('layout2'), { imagem: foto, textos: { titulo } });
+    check('layout2 sem chapéu não desenha o título', !semChapeu.caixas.titulo);
+
+    const capa = await renderTemplate(loadTemplate('video-cover'), { imagem: foto, textos: { titulo: longo }, posicao: { x: 0, y: 100 } });
+    check('capa de vídeo 1080x1920', await sizeOf(capa.buffer) === '1080x1920');
+    check('capa de vídeo em no máximo 3 linhas', capa.caixas.titulo.linhas === 3);
+    check('barra laranja atrás de cada linha', await pixel(capa.buffer, 52, 1092 + 105 * 2 + 2) === '#ff8c00');
+
+    console.log('\n4. Recorte da foto');
+    const quadrado = (fundo) => ({ largura: 100, altura: 100, fundo, caixas: { t: { x: 0, y: 0, fonte: { tamanho: 10 } } } });
+    const metades = await sharp({ create: { width: 1600, height: 600, channels: 3, background: '#ff0000' } })
+      .composite([{ input: { create: { width: 800, height: 600, channels: 3, background: '#0000ff' } }, left: 800, top: 0 }])
+      .png().toBuffer();
+    const esquerda = await renderTemplate(quadrado({ ajuste: 'cover' }), { imagem: metades, textos: {}, foco: { x: 10, y: 50 } });
+    const direita = await renderTemplate(quadrado({ ajuste: 'cover' }), { imagem: metades, textos: {}, foco: { x: 90, y: 50 } });
+    check('foco do editor escolhe o lado da foto', await pixel(esquerda.buffer, 50, 50) === '#ff0000' && await pixel(direita.buffer, 50, 50) === '#0000ff');
+    const borda = await renderTemplate(quadrado({ ajuste: 'cover' }), { imagem: metades, textos: {}, foco: { x: 100, y: 0 } });
+    check('foco na borda não sai da foto', await sizeOf(borda.buffer) === '100x100' && await pixel(borda.buffer, 99, 0) === '#0000ff');
+    const alvo = await sharp({ create: { width: 1600, height: 600, channels: 3, background: '#808080' } })
+      .composite([{ input: { create: { width: 200, height: 200, channels: 3, background: '#ff0000' } }, left: 1300, top: 200 }])
+      .png().toBuffer();
+    const centro = await renderTemplate(quadrado({ ajuste: 'cover' }), { imagem: alvo, textos: {} });
+    const atencao = await renderTemplate(quadrado({ ajuste: 'cover', recorte: 'atencao' }), { imagem: alvo, textos: {} });
+    check('recorte por atenção acha a região de interesse', await pixel(centro.buffer, 50, 50) === '#808080' && await pixel(atencao.buffer, 50, 50) === '#ff0000');
+    check('card e story usam o recorte automático', card.fundo.recorte === 'atencao' && story.fundo.recorte === 'atencao' && loadTemplate('layout2').fundo.recorte === 'atencao');
+    check('recorte desconhecido é recusado', validateTemplate(quadrado({ recorte: 'rostos' })).length === 1);
+
+    console.log('\n5. Foto inteira sobre fundo desfocado');
+    const faixa = await sharp({ create: { width: 400, height: 100, channels: 3, background: '#ff0000' } }).png().toBuffer();
+    const comDesfoque = quadrado({ ajuste: 'cover', desfoque: { limite: 0.3, sigma: 5, brilho: 0.5, centroY: 50 } });
+    const inteira = await renderTemplate(comDesfoque, { imagem: faixa, textos: {} });
+    check('recorte acima do limite usa o fundo desfocado', inteira.fundo.modo === 'desfocado' && inteira.fundo.perda === 0.75);
+    const [r] = (await pixel(inteira.buffer, 50, 5)).match(/[0-9a-f]{2}/g).map(h => parseInt(h, 16));
+    check('foto inteira no centro, fundo escurecido em volta', await pixel(inteira.buffer, 50, 50) === '#ff0000' && r < 200);
+    check('editor força o recorte', (await renderTemplate(comDesfoque, { imagem: faixa, textos: {}, modoFoto: 'cortar' })).fundo.modo === 'cortar');
+    const retrato = await sharp({ create: { width: 90, height: 100, channels: 3, background: '#00ff00' } }).png().toBuffer();
+    check('abaixo do limite recorta', (await renderTemplate(comDesfoque, { imagem: retrato, textos: {} })).fundo.modo === 'cortar');
+    check('editor força o desfocado', (await renderTemplate(comDesfoque, { imagem: retrato, textos: {}, modoFoto: 'desfocado' })).fundo.modo === 'desfocado');
+    const panoramica = await sharp({ create: { width: 2000, height: 600, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+    const l1Panoramica = await renderTemplate(card, { imagem: panoramica, textos: { titulo } });
+    check('card com foto panorâmica em 1080x1350 desfocado', l1Panoramica.fundo.modo === 'desfocado' && await sizeOf(l1Panoramica.buffer) === '1080x1350');
+    check('story tolera mais recorte', story.fundo.desfoque.limite > card.fundo.desfoque.limite && story.fundo.desfoque.sigma === card.fundo.desfoque.sigma);
+    check('limite fora de 0–1 é recusado', validateTemplate(quadrado({ desfoque: { limite: 1.5 } })).length === 1);
+  } finally {
+    await fs.remove(persistDir);
+  }
+
+  console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+  process.exitCode = failures ? 1 : 0;
+}
+
+main().catch(err => {
+  console.error('❌ Erro inesperado:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,73 @@
+/**
+ * TESTE - MEDIÇÃO DO TÍTULO NO LAYOUT (lib/title-layout.js)
+ *
+ * Quebra pela largura real da fonte (letras largas ocupam mais linhas que o mesmo número de
+ * letras estreitas), pior caso do destaque em negrito, limites de linha por layout, linhas
+ * equilibradas e fonte reduzida (em vez de cortar palavras) quando o título não cabe.
+ *
+ * Uso: node test-title-layout.js
+ */
+const path = require('path');
+const fs = require('fs');
+const { registerFont } = require('canvas');
+
+const fontsDir = path.join(__dirname, 'fonts');
+[['Regular', '400'], ['ExtraBold', '800']].forEach(([name, weight]) => {
+  const file = path.join(fontsDir, `Poppins-${name}.ttf`);
+  if (fs.existsSync(file)) registerFont(file, { family: 'Poppins', weight });
+});
+
+const { measureTitle, wrapTitleWords, fitTitle, lineWidth, createMeasurer, titleLayout } = require('./lib/title-layout');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+console.log('🧪 TESTE DA MEDIÇÃO DO TÍTULO\n');
+
+console.log('1. Largura real da fonte');
+const largas = 'MMMMMM WWWWWW MMMMM WWWW MMMM WWW';
+const estreitas = 'iiii lll iiii llll iii lll iii llll iiii lll iiii lll iii';
+check('letras estreitas cabem mesmo com mais caracteres', estreitas.length > largas.length
+  && measureTitle(estreitas, 'layout1').linhas < measureTitle(largas, 'layout1').linhas);
+check('título curto cabe', measureTitle('Professores de Floriano ganham reajuste', 'layout1').cabe);
+const longo = 'Câmara Municipal de Floriano aprova por unanimidade reajuste salarial de oito por cento para professores';
+check('título longo não cabe em 3 linhas', !measureTitle(longo, 'layout1').cabe && measureTitle(longo, 'layout1').maxLinhas === 3);
+
+console.log('\n2. Destaque em negrito');
+const titulo = 'Prefeitura de Teresina anuncia mutirão de cirurgias eletivas';
+const semNegrito = measureTitle(titulo, 'layout1', { boldStart: -1, boldLength: 0 }).linhas;
+check('sem destaque informado usa o pior caso', measureTitle(titulo, 'layout1').linhas >= semNegrito);
+
+console.log('\n3. Quebra e layouts');
+const layout = titleLayout('layout1');
+const words = longo.split(' ');
+const lines = wrapTitleWords(words, {}, layout);
+check('nenhuma palavra é descartada na quebra', lines.reduce((n, l) => n + l.length, 0) === words.length);
+check('layout desconhecido cai no layout1', titleLayout('xyz') === layout);
+check('layout2 aceita mais linhas', measureTitle(longo, 'layout2').maxLinhas > 3);
+
+console.log('\n4. Linhas equilibradas e fonte reduzida');
+const textos = (ls) => ls.map(l => l.map(w => w.text).join(' '));
+const curto = 'Governo do Piauí anuncia concurso com 500 vagas'.split(' ');
+const guloso = wrapTitleWords(curto, {}, layout);
+const equilibrado = fitTitle(curto, {}, layout);
+check('mesmo número de linhas da quebra gulosa', equilibrado.lines.length === guloso.length && equilibrado.fontSize === layout.fontSize);
+check('sem linha de duas palavras sobrando no fim', textos(guloso).at(-1) === '500 vagas' && textos(equilibrado.lines).at(-1) !== '500 vagas');
+const medio = 'Câmara Municipal de Floriano aprova reajuste salarial para professores da rede'.split(' ');
+const reduzido = fitTitle(medio, { boldStart: 4, boldLength: 3 }, layout);
+check('não cabe em 3 linhas no tamanho normal', wrapTitleWords(medio, {}, layout).length > layout.maxLines);
+check('fonte diminui em vez de cortar palavras', reduzido.fontSize < layout.fontSize && reduzido.fontSize >= layout.minFontSize
+  && reduzido.lines.length <= layout.maxLines && reduzido.wordsCut === 0);
+const medida = createMeasurer({ ...layout, fontSize: reduzido.fontSize });
+check('nenhuma linha passa da largura no tamanho final', reduzido.lines.every(l => lineWidth(l, medida) <= layout.maxWidth));
+const fit = measureTitle(medio.join(' '), 'layout1');
+check('medida informa que cabe e o tamanho final', fit.cabe && fit.linhas <= 3 && fit.tamanhoFonte < fit.tamanhoNormal);
+const cortado = fitTitle(words, {}, layout);
+check('só no tamanho mínimo o excesso é cortado', cortado.fontSize === layout.minFontSize && cortado.lines.length === 3 && cortado.wordsCut > 0);
+
+console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+process.exitCode = failures ? 1 : 0;
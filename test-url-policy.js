@@ -0,0 +1,84 @@
+/**
+ * TESTE - POLÍTICA DE URLS DE SAÍDA (lib/url-policy.js)
+ *
+ * Verifica bloqueio de endereços internos, allowlist de domínios e a checagem
+ * repetida em redirecionamentos pelo httpRequest.
+ *
+ * Uso: node test-url-policy.js
+ */
+const http = require('http');
+const { createUrlPolicy, isBlockedAddress, URL_BLOQUEADA } = require('./lib/url-policy');
+const { httpRequest } = require('./lib/http-client');
+
+let failures = 0;
+
+function check(description, condition) {
+  console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+function blockedBy(policy, url) {
+  try {
+    policy.check(url);
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+}
+
+(async () => {
+  console.log('🧪 TESTE DA POLÍTICA DE URLS\n');
+
+  console.log('1. Faixas de IP');
+  ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.0.10', '169.254.169.254', '100.64.1.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+    .forEach(ip => check(`${ip} bloqueado`, isBlockedAddress(ip)));
+  // NAT64: o IPv4 embutido no prefixo 64:ff9b::/96 decide; o de uso local (64:ff9b:1::/48) é todo bloqueado
+  ['64:ff9b::7f00:1', '64:ff9b::127.0.0.1', '64:ff9b::a9fe:a9fe', '64:ff9b:0:0:0:0:c0a8:a', '64:ff9b:1::808:808']
+    .forEach(ip => check(`${ip} (NAT64) bloqueado`, isBlockedAddress(ip)));
+  ['8.8.8.8', '177.38.10.5', '2804:14c::1', '64:ff9b::808:808'].forEach(ip => check(`${ip} liberado`, !isBlockedAddress(ip)));
+
+  console.log('\n2. Checagem da URL');
+  const policy = createUrlPolicy({ allowedDomains: [], allowPrivate: false });
+  check('http://localhost bloqueado', blockedBy(policy, 'http://localhost:3000/') === URL_BLOQUEADA);
+  check('IP de metadados bloqueado', blockedBy(policy, 'http://169.254.169.254/latest/meta-data') === URL_BLOQUEADA);
+  check('IPv6 loopback bloqueado', blockedBy(policy, 'http://[::1]/') === URL_BLOQUEADA);
+  check('loopback via NAT64 bloqueado', blockedBy(policy, 'http://[64:ff9b::127.0.0.1]/') === URL_BLOQUEADA);
+  check('file:// bloqueado', blockedBy(policy, 'file:///etc/passwd') === URL_BLOQUEADA);
+  check('URL com credenciais bloqueada', blockedBy(policy, 'https://user:pw@r10piaui.com/') === URL_BLOQUEADA);
+  check('site público liberado', blockedBy(policy, 'https://www.r10piaui.com/noticias/x') === null);
+
+  const lista = createUrlPolicy({ allowedDomains: ['r10piaui.com', 'cdn.r10piaui.com.br'], allowPrivate: false });
+  check('allowlist aceita subdomínio', blockedBy(lista, 'https://www.r10piaui.com/x') === null);
+  check('allowlist aceita CDN listada', blockedBy(lista, 'https://cdn.r10piaui.com.br/foto.jpg') === null);
+  check('allowlist recusa outro domínio', blockedBy(lista, 'https://exemplo.com/') === URL_BLOQUEADA);
+  check('allowlist não aceita sufixo parecido', blockedBy(lista, 'https://falsor10piaui.com/') === URL_BLOQUEADA);
+
+  console.log('\n3. Resolução DNS');
+  const lookupError = await new Promise(r => policy.lookup('localhost', {}, (err) => r(err)));
+  check('nome que resolve para loopback é recusado', lookupError && lookupError.code === URL_BLOQUEADA);
+
+  console.log('\n4. httpRequest com política (inclusive após redirecionamento)');
+  const server = http.createServer((req, res) => {
+    if (req.url === '/para-localhost') {
+      res.writeHead(302, { Location: `http://localhost:${server.address().port}/segredo` });
+      return res.end();
+    }
+    res.end('ok');
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const direct = await httpRequest(`${base}/`, { policy });
+  check('destino interno resolve com code URL_BLOQUEADA', !direct.ok && direct.code === URL_BLOQUEADA);
+
+  const soIp = createUrlPolicy({ allowedDomains: ['127.0.0.1'], allowPrivate: true });
+  const redirected = await httpRequest(`${base}/para-localhost`, { policy: soIp });
+  check('redirecionamento para host fora da política é bloqueado', !redirected.ok && redirected.code === URL_BLOQUEADA);
+
+  const liberado = await httpRequest(`${base}/`, { policy: createUrlPolicy({ allowedDomains: [], allowPrivate: true }) });
+  check('OUTBOUND_ALLOW_PRIVATE libera endereços locais', liberado.ok);
+
+  server.close();
+  console.log(failures ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os testes passaram');
+  process.exitCode = failures ? 1 : 0;
+})();